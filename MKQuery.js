@@ -7,8 +7,27 @@
  *     If the string is a CSS Selector, will return,
  *         A NodeWrapper instance, if exactly one element matches the selector
  *         An MQ instance, if more than one element matches the selector
- *     If the string is an HTML element surrounded by angle brackets
- *         A NodeWrapper instance of the newly created element
+ *     If the string is HTML markup surrounded by angle brackets, will return,
+ *         A NodeWrapper instance of the newly created element, if the markup has one root element
+ *         An MQ instance of the newly created elements, if the markup has several root elements
+ *
+ *     If key 'strict' is true in the options argument, or `$.config.strict` is true,
+ *         An MQ instance is always returned, even for exactly one element
+ *     If key 'live' is true in the options argument,
+ *         An MQ instance is returned, whose selected elements are kept in sync
+ *         with the document until `instance.dispose()` is called
+ *     If key 'root' (or 'context') is defined in the options argument,
+ *         Only elements inside the root are selected. The root may be a CSS Selector,
+ *         an HTMLElement, NodeWrapper, MQ, ShadowRoot, Document or Window.
+ *         Elements are created in the document of the root
+ *     If key 'pierce' is true in the options argument,
+ *         Elements inside open shadow roots are selected as well
+ *
+ *     CSS Selectors may use custom pseudo-classes, like `:visible` or `:eq(2)`,
+ *     see `MQSelector`
+ *
+ *     When creating elements, the options argument may define 'attrs', 'dataset',
+ *     'style', 'classes', 'children' and 'on' keys, see `MQ.__create__` for details
  *
  * If called with a MQ instance, a copy of the MQ instance is returned
  *
@@ -30,6 +49,12 @@
  *
  * 2. With a HTML element surrounded by angle brackets
  *     const element = $('<div>') // Creates a new 'div' element
+ *     const items = $('<li class="item">One</li><li class="item">Two</li>') // Creates two 'li' elements
+ *     const button = $('<button>', {classes: 'primary', on: {click: save}}) // Creates a 'button' element
+ *
+ * 2a. With a CSS Selector and a root
+ *     const buttons = $('button', {root: $('my-app').get().shadowRoot}) // selects the buttons in a shadow root
+ *     const all = $('button', {pierce: true})                           // selects buttons in every open shadow root
  *
  * 3. With a MQ instance
  *     const element = $('div') // $('div') returns a MQ instance of all divs
@@ -67,7 +92,8 @@ function $(args, options={}) {
         if (!('useCapture' in options)) {
             options.useCapture = false
         }
-        window.addEventListener(options.on, args, options.useCapture)
+        const _w = MQ.__document__(options.root === undefined ? options.context : options.root).defaultView || window
+        _w.addEventListener(options.on, args, options.useCapture)
     }
     else {
         options.__str__ = false
@@ -81,6 +107,130 @@ function $(args, options={}) {
     return new MQ(args, options)
 }
 
+/**
+ * Global configuration of MKQuery
+ *
+ *     strict : If true, `$` always returns an MQ instance, even if exactly one
+ *              element is selected or created. May be overridden per call
+ *              using the 'strict' key of the options argument of `$`
+ *     sanitize : If true, or an allowlist Object, `html()` sanitizes the markup
+ *                written, see `MQSanitizer`. May be overridden per call
+ *     legacyAttr : If true, `attr()` reads and writes data attributes, like
+ *                  in earlier versions, instead of HTML attributes
+ *     syncBatch : If true, batched reads and writes run synchronously instead
+ *                 of in the next frame, useful in tests, see `MQScheduler`
+ */
+$.config = {
+    strict: false,
+    sanitize: false,
+    legacyAttr: false,
+    syncBatch: false,
+}
+
+/**
+ * Creates a `$` function bound to another document, like the document of an
+ * iframe, a `DOMParser` result, or a jsdom window
+ *
+ * The bound function selects and creates elements in the given document, and
+ * `$.observe`, `$.waitFor`, `$.onVisible`, `$.ready` and `$.when` of the bound
+ * function use it by default, and a CSS Selector given as root is selected in it.
+ * Styles and observers come from the window of that document, so the bound
+ * function also works outside of a browser, like with jsdom in Node.
+ * Everything else, including `$.config`, is shared with `$`
+ *
+ * Example Usage
+ *     const $frame = $.using(document.querySelector('iframe').contentWindow)
+ *     $frame('button.submit').on('click', submit)
+ *
+ * @param  {Window | Document} t The window or document to bind to
+ *
+ * @return {function} The bound `$` function
+ */
+$.using = function (t) {
+    const d = t && t.document ? t.document : t
+    if (!d || !d.nodeType || d.nodeType !== d.DOCUMENT_NODE) throw new MQIllegalArgumentError(`Cannot bind to ${t}, because it is not a window or document`)
+    const _$ = (args, options={}) => {
+        const r = options.root === undefined ? options.context : options.root
+        return $(args, {...options, root: typeof r === 'string' ? $(r, {root: d, strict: true}) : r || d})
+    }
+    Object.setPrototypeOf(_$, $)
+    _$.observe = (s, o, c) => typeof o === 'function' ? $.observe(s, {root: d}, o) : $.observe(s, {root: d, ...o}, c)
+    _$.waitFor = (s, o) => $.waitFor(s, {root: d, ...o})
+    _$.onVisible = (s, c, o) => $.onVisible(s, c, {root: d, ...o})
+    _$.ready = () => d.readyState !== 'loading' ? Promise.resolve() : $.when('DOMContentLoaded', {target: d})
+    _$.when = (e, o) => $.when(e, {target: d.defaultView || d, ...o})
+    return _$
+}
+
+/**
+ * Returns a Promise that resolves once the document is parsed, like the
+ * `DOMContentLoaded` event. Resolves right away if it already is
+ *
+ * Example Usage
+ *     await $.ready()
+ *
+ * @return {Promise} Resolves once the document is ready
+ */
+$.ready = function () {
+    if (document.readyState !== 'loading') return Promise.resolve()
+    return $.when('DOMContentLoaded', {target: document})
+}
+
+/**
+ * Returns a Promise that resolves with the next event of the given type,
+ * the Promise counterpart of `$(fn, {on: event})`
+ *
+ * Options
+ *     target  : Where to listen, a window, document, element, NodeWrapper or
+ *               CSS Selector. Defaults to `window`
+ *     timeout : Rejects with an MQTimeoutError after the given number of milliseconds
+ *     signal  : AbortSignal, rejects with an MQAbortError when aborted
+ *
+ * The 'load' event of a window resolves right away if the page is already loaded
+ *
+ * Example Usage
+ *     const event = await $.when('resize')
+ *     await $.when('transitionend', {target: '#drawer', timeout: 1000})
+ *
+ * @param  {string} e The event type to wait for
+ * @param  {Object} o (optional) Additional options
+ *
+ * @return {Promise} Resolves to the event
+ */
+$.when = function (e, o={}) {
+    let t = o.target || window
+    if (typeof t === 'string' || t instanceof NodeWrapper || t instanceof MQ) {
+        t = MQ.__nodes__(t, true)[0]
+        if (!t) throw new MQIllegalArgumentError(`Cannot wait for ${e} on ${o.target}, because it was not found`)
+    }
+    if (e === 'load' && t.document && t.document.readyState === 'complete') return Promise.resolve(new t.Event('load'))
+    return new Promise((resolve, reject) => {
+        if (o.signal && o.signal.aborted) return reject(new MQAbortError(`Stopped waiting for ${e}`))
+        let timer
+        const done = () => {
+            t.removeEventListener(e, listener)
+            clearTimeout(timer)
+            if (o.signal) o.signal.removeEventListener('abort', onAbort)
+        }
+        const listener = event => {
+            done()
+            resolve(event)
+        }
+        const onAbort = () => {
+            done()
+            reject(new MQAbortError(`Stopped waiting for ${e}`))
+        }
+        t.addEventListener(e, listener)
+        if (o.timeout > 0) {
+            timer = setTimeout(() => {
+                done()
+                reject(new MQTimeoutError(`Timed out after ${o.timeout}ms waiting for ${e}`))
+            }, o.timeout)
+        }
+        if (o.signal) o.signal.addEventListener('abort', onAbort)
+    })
+}
+
 /**
  * @author M K
  *
@@ -88,6 +238,10 @@ function $(args, options={}) {
  */
 class MQ {
     #nl
+    #prev
+    #strict
+    #live
+    #deferred
     /**
      * Internal method, shouldn't be called by external sources
      * All functions must be used from the objects returned by the `$` function
@@ -98,32 +252,51 @@ class MQ {
      * @return {MQ | NodeWrapper} The result of the query wrapped in either MQ or NodeWrapper
      */
     constructor (n, o) {
+        this.#strict = o.strict === undefined ? !!$.config.strict : !!o.strict
+        const live = !!o.live
+        const pierce = !!o.pierce
+        const root = o.root === undefined ? o.context : o.root
+        delete o.strict
+        delete o.live
+        delete o.pierce
+        delete o.root
+        delete o.context
+        if (o.__arr__) {
+            this.#nl = n
+            this.#prev = o.__prev__
+            this.#wrap()
+            if (this.#nl.length == 1) this.first().__prev__ = this.#prev || null
+            return this.#nl.length == 1 && !this.#strict ? this.first() : this
+        }
         if (!o.__str__) {
+            if (n instanceof MQ) {
+                return MQ.__from__(n.list(), undefined, this.#strict)
+            }
             if (o.__isp__) {
-                return new NodeWrapper(n.get())
+                return this.#strict ? MQ.__from__([n], undefined, true) : new NodeWrapper(n.get())
             }
             return new NodeWrapper(n)
         }
         delete o.__str__
-        if (n.startsWith('<') && n.endsWith('>')) {
-            return MQ.__create__(n.slice(1,-1), o)
-        }
-        try {
-            this.#nl = [...document.querySelectorAll(n)]
-        }
-        catch (err) {
-            throw new MQInvalidSelectorError("Invalid Selector")
+        if (n.trim().startsWith('<') && n.trim().endsWith('>')) {
+            return MQ.__create__(n.trim(), o, this.#strict, MQ.__document__(root))
         }
+        const roots = MQ.__roots__(root)
+        this.#nl = MQ.__select__(n, roots, pierce)
         this.#wrap()
-        if (this.#nl.length === 0) {
-            this.length = 0
-        }
-        else {
-            this.length = this.#nl.length
+        if (live) {
+            this.#live = new (MQ.__view__(MQ.__document__(root)).MutationObserver)(() => this.#refresh(n, roots, pierce))
+            for (let _ of roots) this.#live.observe(_, {childList: true, subtree: true, attributes: true})
+            return this
         }
-        return this.#nl.length == 1 ? this.first() : this
+        return this.#nl.length == 1 && !this.#strict ? this.first() : this
     }
 
+    /**
+     * The number of selected elements
+     */
+    get length() {return this.#nl.length}
+
     /**
      * Iterator to allow usage of the instance in `for ... of` loops
      */
@@ -141,540 +314,8508 @@ class MQ {
      * Internal method to create instances, shouldn't be called by external sources
      * All functionality must be used by the `$` function
      *
-     * @param  {string}    n element to create
-     * @param  {Object} o additional arguments
+     * The markup may be a single tag like `<div>`, or any HTML fragment like
+     * `<li class="item">Hi</li><li>Bye</li>`. Self-closing tags like `<my-el/>`
+     * are expanded, and table parts like `<tr>` or `<td>` are created without
+     * the surrounding table. Only elements at the top level of the fragment
+     * are kept, text between them is discarded.
      *
-     * @return {NodeWrapper} The newly created element
+     * The following keys of the additional arguments are handled specially,
+     * and applied to every top level element
+     *     attrs    : Object of HTML attributes to set
+     *     dataset  : Object of data attributes to set
+     *     style    : Object of CSS properties to set (a string is used as is)
+     *     classes  : String or Array of CSS classes to add
+     *     children : Array of children to append. Strings are parsed as markup
+     *                if surrounded by angle brackets, and as text otherwise
+     *     on       : Object of event handlers to bind, keyed by event
+     * Any other key is written as a property of the element
+     *
+     * @param  {string}   n The markup of the elements to create
+     * @param  {Object}   o additional arguments
+     * @param  {boolean}  s (optional) Whether to return an MQ instance even for a single element
+     * @param  {Document} d (optional) The document to create the elements in, defaults to `document`
+     *
+     * @return {MQ | NodeWrapper} The newly created element(s)
      */
-    static __create__(n, o) {
-        let _
+    static __create__(n, o, s, d=document) {
+        const _s = /^<([a-z][^\s/>]*)\s*\/?>(?:<\/\1\s*>)?$/i.exec(n)
+        let _l
         try {
-            _ =  new NodeWrapper(document.createElement(n))
+            _l = _s ? [d.createElement(_s[1])] : MQ.__parse__(n, d)
         }
         catch (err) {
-            console.log(err)
             throw new MQElementCreationError(`Cannot create element ${n}`)
         }
-        for(let __ of Object.keys(o)) {
-            _.get()[__] = o[__]
-        }
-        return _
+        if (_l.length === 0) throw new MQElementCreationError(`Cannot create element ${n}`)
+        for (let _ of _l) MQ.#apply(new NodeWrapper(_), o)
+        return MQ.__from__(_l, undefined, s)
     }
 
     /**
-     * Allows manipulation of CSS properties of the given instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
+     * Internal method to parse markup into elements, shouldn't be called by external sources
      *
-     * Can be called with 2 signatures
+     * Uses a `<template>` element, so that elements which are only valid in
+     * certain contexts, like `<tr>` and `<td>`, are parsed correctly
      *
-     * 1. With 2 arguments, `instance.css(property, value)`
-     *     Applies the given value of the specified property on each element
-     * 2. With 3 arguments, `instance.css(property, value, importance)`
-     *     Applies the given value and importance of the specified property on each element
+     * @param  {string}   n The markup to parse
+     * @param  {Document} d (optional) The document to create the elements in, defaults to `document`
      *
-     * @param  {string} p The property to read or write to
-     * @param  {string} v The value to write to the specified property
-     * @param  {string} i (optional) The priority of the value on the specified property
+     * @return {Array} The top level elements of the parsed markup
+     */
+    static __parse__(n, d=document) {
+        const _t = d.createElement('template')
+        _t.innerHTML = `${n}`.replace(MQ.#selfClosing, '<$1$2></$1>')
+        return [...d.importNode(_t.content, true).childNodes].filter(_ => _.nodeType === _.ELEMENT_NODE)
+    }
+
+    /**
+     * Matches self-closing tags of elements that are not void elements
+     */
+    static #selfClosing = /<(?!(?:area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)[\s/>])([a-z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*?)\s*\/>/gi
+
+    /**
+     * Internal method to apply the additional arguments of `$` to a newly created element
      *
-     * @return {MQ} The current calling instance (this)
+     * @param  {NodeWrapper} n The newly created element
+     * @param  {Object}      o additional arguments
      */
-    css(p, v, i) {
-        if (!p || !v) throw new MQIllegalArgumentError("Poperty and Value must be specified")
-        return this.each(e => e.css(p, v, i))
+    static #apply(n, o) {
+        const e = n.get()
+        for (let _ of Object.keys(o)) {
+            const v = o[_]
+            if (_ === 'attrs') {
+                for (let a of Object.keys(v)) {
+                    if (v[a] !== null && v[a] !== undefined && v[a] !== false) e.setAttribute(a, v[a] === true ? '' : `${v[a]}`)
+                }
+            }
+            else if (_ === 'dataset') {
+                for (let a of Object.keys(v)) e.dataset[a] = v[a]
+            }
+            else if (_ === 'style' && v && typeof v === 'object') {
+                for (let p of Object.keys(v)) {
+                    n.css(p.startsWith('--') ? p : p.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`), v[p])
+                }
+            }
+            else if (_ === 'classes') {
+                n.addClass(...(typeof v === 'string' ? v.split(/\s+/) : v).filter(c => c))
+            }
+            else if (_ === 'children') {
+                for (let c of (v instanceof Array ? v : [v])) {
+                    if (c instanceof MQ) n.append(c.list())
+                    else if (typeof c !== 'string') n.append(c)
+                    else if (c.trim().startsWith('<') && c.trim().endsWith('>')) n.append(MQ.__parse__(c, e.ownerDocument))
+                    else e.appendChild(e.ownerDocument.createTextNode(c))
+                }
+            }
+            else if (_ === 'on') {
+                for (let ev of Object.keys(v)) n.on(ev, v[ev])
+            }
+            else {
+                e[_] = v
+            }
+        }
     }
 
     /**
-     * Allows manipulation of innerHTML property of the given instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
+     * Internal method to select the elements matching a CSS Selector,
+     * shouldn't be called by external sources
      *
-     * @param  {string} t The value to write to the innerHTML property
+     * When piercing, every open shadow root inside the roots is queried as
+     * well, in the order of the hosts. The selector is matched within each
+     * tree separately, so combinators do not cross shadow boundaries
      *
-     * @return {MQ} The current calling instance (this)
+     * @param  {string}  s The CSS Selector
+     * @param  {Array}   r (optional) The elements, documents or shadow roots to query in,
+     *                     defaults to `[document]`
+     * @param  {boolean} p (optional) Whether to pierce open shadow roots
+     *
+     * @return {Array} The matching HTMLElements
      */
-    html(t) {
-        if (!t) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.html(t)")
-        return this.each(e => e.html(t))
+    static __select__(s, r=[document], p=false) {
+        if (!p) return MQSelector.select(s, r)
+        MQSelector.compile(s, r.length ? MQ.__document__(r[0]) : undefined)
+        const _l = new Set()
+        for (let _ of r) MQ.#pierce(_, s, _l)
+        return [..._l]
     }
 
     /**
-     * Allows manipulation of innerText property of the given instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
-     *
-     * @param  {string} t The value to write to the innerText property
+     * Internal method to query a root and the open shadow roots inside it
      *
-     * @return {MQ} The current calling instance (this)
+     * @param  {Node}   r The element, document or shadow root to query in
+     * @param  {string} s The CSS Selector
+     * @param  {Set}    l The matching elements found so far
      */
-    text(t) {
-        if (!t) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.text(t)")
-        return this.each(e => e.text(t))
+    static #pierce(r, s, l) {
+        if (r.shadowRoot) MQ.#pierce(r.shadowRoot, s, l)
+        const m = new Set(MQSelector.select(s, [r]))
+        for (let e of r.querySelectorAll('*')) {
+            if (m.has(e)) l.add(e)
+            if (e.shadowRoot) MQ.#pierce(e.shadowRoot, s, l)
+        }
     }
 
     /**
-     * Returns the nth element in the list of elements in this instance
-     * Index may be negative, which represents elements from the end of the list
+     * Internal method to resolve the root option of `$`, shouldn't be called by external sources
      *
-     * @param  {number} n The index of the element to retrieve
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Document | ShadowRoot | Window} r The root option
      *
-     * @return {NodeWrapper} The nth element in the list of elements
+     * @return {Array} The elements, documents or shadow roots to query in
      */
-    nth(n) {
-        n = parseInt(n)
-        if (isNaN(n)) throw new MQIllegalArgumentError("Illegal Argument")
-        n += n < 0 ? this.#nl.length : 0
-        if (!(0 < n < this.#nl.length)) throw new MQIndexOutOfBoundsError("Index Out Of Bounds")
-        return this.#nl[n]
+    static __roots__(r) {
+        if (r === undefined || r === null) return [document]
+        if (typeof r === 'string') return MQ.__select__(r)
+        if (r instanceof NodeWrapper || r instanceof MQ) return r.toArray()
+        if (r.nodeType && [r.ELEMENT_NODE, r.DOCUMENT_NODE, r.DOCUMENT_FRAGMENT_NODE].includes(r.nodeType)) return [r]
+        if (r.document && r.document.nodeType === r.document.DOCUMENT_NODE) return [r.document]
+        throw new MQIllegalArgumentError(`Cannot query in ${r}, because it is not an element, document or shadow root`)
     }
 
     /**
-     * Applies the given function on each of the selected elements in this instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
+     * Internal method to resolve the document of the root option of `$`,
+     * shouldn't be called by external sources
      *
-     * @param  {function} c The function to apply to each element
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Document | ShadowRoot | Window} r The root option
      *
-     * @return {MQ} The current calling instance (this)
+     * @return {Document} The document the root belongs to
      */
-    each(c) {
-        if (typeof c !== 'function') throw new MQIllegalArgumentError("Illegal Argument")
-        for(let _ of this.#nl) c(_)
-        return this
+    static __document__(r) {
+        const _r = MQ.__roots__(r)[0]
+        if (!_r) return document
+        return _r.nodeType === _r.DOCUMENT_NODE ? _r : _r.ownerDocument
     }
 
     /**
-     * Maps the given function on each of the selected elements in this instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
+     * Internal method to get the window of the document a node belongs to,
+     * shouldn't be called by external sources
      *
-     * @param  {function} c The function to apply to each element
+     * @param  {Node} n The node
      *
-     * @return {Array} The resulting mapped values
+     * @return {Window} The window, or `window` if the document has none
      */
-    map(c) {
-        if (typeof c !== 'function') throw new MQIllegalArgumentError("Illegal Argument")
-        const _results = []
-        for(let _ of this.#nl) _results.push(c(_))
-        return _results
+    static __view__(n) {
+        return (n.ownerDocument || n).defaultView || window
     }
 
     /**
-     * Returns the first element from the selected elements in this instance
+     * Internal method to get the document of the selected elements
      *
-     * @return {NodeWrapper} The first element
+     * @return {Document} The document of the first selected element, or `document` if none are selected
      */
-    first() {return this.#nl[0]}
+    #owner() {return this.#nl.length ? this.#nl[0].get().ownerDocument : document}
 
     /**
-     * Returns the last element from the selected elements in this instance
+     * Internal method to update the selected elements of a live instance
      *
-     * @return {NodeWrapper} The last element
+     * NodeWrapper instances of elements that are still selected are kept
+     *
+     * @param  {string}  s The CSS Selector of the instance
+     * @param  {Array}   r The roots of the instance
+     * @param  {boolean} p Whether the instance pierces open shadow roots
      */
-    last() {return this.#nl[this.#nl.length - 1]}
+    #refresh(s, r, p) {
+        const _w = new Map(this.#nl.map(_ => [_.get(), _]))
+        this.#nl = MQ.__select__(s, r, p).map(_ => _w.get(_) || new NodeWrapper(_))
+    }
 
     /**
-     * Internal method to wrap HTMLElement with a NodeWrapper
+     * Stops updating a live instance, created using `$(selector, {live: true})`
+     * The currently selected elements stay selected
+     *
+     * @return {MQ} The current calling instance (this)
      */
-    #wrap() {this.#nl = this.#nl.map(_ => new NodeWrapper(_))}
+    dispose() {
+        if (this.#live) this.#live.disconnect()
+        this.#live = null
+        return this
+    }
 
     /**
-     * Returns an Array of NodeWrapper instance corresponding to the selected elements
+     * Internal method to turn the arguments of DOM manipulation methods into
+     * a list of nodes, shouldn't be called by external sources
      *
-     * @return {Array} The NodeWrapper instances of the selected elements
+     * @param  {string | Node | NodeWrapper | MQ | Array} n The nodes to resolve
+     * @param  {boolean}                                  s (optional) Whether strings are always CSS Selectors,
+     *                                                      otherwise markup is parsed
+     * @param  {Document}                                 d (optional) The document to parse markup and
+     *                                                      query CSS Selectors in, defaults to `document`
+     *
+     * @return {Array} The resolved nodes
      */
-    list() {return this.#nl}
+    static __nodes__(n, s, d=document) {
+        if (n === null || n === undefined) return []
+        if (typeof n === 'string') {
+            const _n = n.trim()
+            if (!s && _n.startsWith('<') && _n.endsWith('>')) return MQ.__parse__(_n, d)
+            return MQ.__select__(n, [d])
+        }
+        if (n instanceof NodeWrapper || n instanceof MQ) return n.toArray()
+        if (n instanceof Array) return n.flatMap(_ => MQ.__nodes__(_, s, d))
+        if (typeof n.nodeType !== 'number') throw new MQIllegalArgumentError(`Cannot insert ${n}, because it is not a node`)
+        return [n]
+    }
 
     /**
-     * Returns the number of selected elements
+     * Internal method to insert nodes relative to several targets, shouldn't
+     * be called by external sources
+     *
+     * The nodes are inserted relative to the last target, and copies of them
+     * relative to the others
      *
-     * @return {number} The number of selected elements
+     * @param  {Array}  t The target elements
+     * @param  {Array}  n The nodes to insert
+     * @param  {string} f Where to insert, the name of the ChildNode or
+     *                    ParentNode method to use, like 'append' or 'before'
      */
-    length() {return this.#nl.length}
+    static __insert__(t, n, f) {
+        t.forEach((e, i) => {
+            const last = i === t.length - 1
+            const _f = e.ownerDocument.createDocumentFragment()
+            for (let _ of n) {
+                if (_ !== e) _f.appendChild(last ? _ : _.cloneNode(true))
+            }
+            e[f](_f)
+        })
+    }
 
     /**
-     * Dispatches a click event on all the selected elements in this instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
+     * Internal method to wrap elements in a copy of a given element, shouldn't
+     * be called by external sources
      *
-     * @return {MQ} The current calling instance (this)
+     * @param  {Array}                              l The elements to wrap, moved into the copy in order
+     * @param  {string | HTMLElement | NodeWrapper} w The element to wrap with
      */
-    click() {return this.each(e => e.click())}
+    static __wrap__(l, w) {
+        if (l.length === 0) return
+        const _w = MQ.__nodes__(w, false, l[0].ownerDocument).find(_ => _.nodeType === _.ELEMENT_NODE)
+        if (!_w) throw new MQIllegalArgumentError(`Cannot wrap with ${w}, because it is not an element`)
+        const c = _w.cloneNode(true)
+        let _i = c
+        while (_i.firstElementChild) _i = _i.firstElementChild
+        if (l[0].parentNode) l[0].parentNode.insertBefore(c, l[0])
+        _i.append(...l)
+    }
 
     /**
-     * Adds an event listener to all the selected elements in this instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
+     * Internal method to remove the parents of elements, keeping the parents'
+     * children in their place, shouldn't be called by external sources
+     *
+     * @param  {Array}  l The elements whose parents to remove
+     * @param  {string} s (optional) CSS Selector the parents must match to be removed
+     */
+    static __unwrap__(l, s) {
+        for (let p of new Set(l.map(_ => _.parentElement))) {
+            if (!p || !p.parentNode || p === p.ownerDocument.body || p === p.ownerDocument.documentElement) continue
+            if (s !== undefined && !MQ.__matches__(p, s)) continue
+            p.replaceWith(...p.childNodes)
+        }
+    }
+
+    /**
+     * Internal method to create instances from a list of elements, shouldn't be called by external sources
+     * All functionality must be used by the `$` function
      *
-     * @param  {string}   e The event to add the handler to
-     * @param  {function} c The handler callback function
-     * @param  {boolean}  u useCapture argument for adding eventListener
+     * Duplicate elements are removed, and the remaining are sorted in document order,
+     * unless another order is given.
+     * Elements in different trees, like copies not yet inserted, keep their order
      *
-     * @return {MQ} The current calling instance (this)
+     * @param  {Array}            l The HTMLElement or NodeWrapper instances to select
+     * @param  {MQ | NodeWrapper} p (optional) The selection `end()` should return to
+     * @param  {boolean}          s (optional) Whether to return an MQ instance even for a single element,
+     *                              defaults to `$.config.strict`
+     * @param  {string}           o (optional) The order, 'reverse' for reverse document order, like
+     *                              ancestors from the closest to the furthest, or 'list' to keep the
+     *                              order of the list, like subsets of a selection. Defaults to document order
+     *
+     * @return {MQ | NodeWrapper} The elements wrapped in either MQ or NodeWrapper
      */
-    on(e,c,u) {return this.each(q => q.on(e, c, u))}
+    static __from__(l, p, s, o) {
+        let _l = [...new Set([...l].map(_ => _ instanceof NodeWrapper ? _.get() : _).filter(_ => _))]
+        if (o !== 'list') _l.sort((a, b) => {
+            const c = a.compareDocumentPosition(b)
+            if (a === b || c & a.DOCUMENT_POSITION_DISCONNECTED) return 0
+            return !!(c & a.DOCUMENT_POSITION_FOLLOWING) === (o === 'reverse') ? 1 : -1
+        })
+        return new MQ(_l, {__arr__: true, __prev__: p, strict: s})
+    }
 
     /**
-     * Appends the selected elements in this instance, to a given parent element
+     * Allows manipulation of CSS properties of the given instance
      * Note: This is a mass operation, applies to all selected elements in this instance
      *
-     * @param  {HTMLElement | NodeWrapper} n The parent element to add to
+     * Can be called with 2 signatures
+     *
+     * 1. With 2 arguments, `instance.css(property, value)`
+     *     Applies the given value of the specified property on each element
+     * 2. With 3 arguments, `instance.css(property, value, importance)`
+     *     Applies the given value and importance of the specified property on each element
+     *
+     * @param  {string} p The property to read or write to
+     * @param  {string} v The value to write to the specified property
+     * @param  {string} i (optional) The priority of the value on the specified property
      *
      * @return {MQ} The current calling instance (this)
      */
-    appendTo(n) {return this.each(e => e.appendTo(n))}
+    css(p, v, i) {
+        if (!p || !v) throw new MQIllegalArgumentError("Poperty and Value must be specified")
+        return this.#write(e => e.css(p, v, i))
+    }
 
     /**
-     * Adds a CSS class to all the selected elements in this instance
-     * Note: This is a mass operation, applies to all selected elements in this instance
+     * Allows manipulation of HTML attributes of the given instance
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
      *
-     * @param  {string} c variable number of strings, each being a class to add
+     * Reading returns the attribute(s) of the first selected element, or
+     * undefined if no elements are selected. See `NodeWrapper.attr` for the signatures
      *
-     * @return {MQ} The current calling instance (this)
+     * @param  {string | Object} a The attribute to read or write to, or an Object of attributes to write
+     * @param  {*}               v The value to write to the specified attribute
+     *
+     * @return {MQ | Object | string} The value(s) read, or the current calling instance (this) when writing
      */
-    addClass(...c) {return this.each(e => e.addClass(...c))}
+    attr(a, v) {
+        if (a === undefined || (typeof a !== 'object' && arguments.length < 2)) {
+            return this.#read(e => e.attr(a))
+        }
+        return this.#write(e => e.attr(a, v))
+    }
 
     /**
-     * Removes a CSS class to all the selected elements in this instance
+     * Removes HTML attributes from all the selected elements in this instance
      * Note: This is a mass operation, applies to all selected elements in this instance
      *
-     * @param  {string} c variable number of strings, each being a class to remove
+     * @param  {...string} a The attributes to remove, may also be separated by spaces
      *
      * @return {MQ} The current calling instance (this)
      */
-    removeClass(...c) {return this.each(e => e.removeClass(...c))}
-}
+    removeAttr(...a) {return this.#write(e => e.removeAttr(...a))}
 
-/**
- * @author M K
- *
- * Wraps a HTMLElement instance to provide additional functionality
- */
-class NodeWrapper {
     /**
-     * Internal method, shouldn't be called by external sources
-     * All functionality must be used by the `$` function
+     * Allows manipulation of DOM properties of the given instance
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
      *
-     * @param  {HTMLElement} n Args to the constructor
+     * Reading returns the property of the first selected element, or
+     * undefined if no elements are selected. See `NodeWrapper.prop` for the signatures
      *
-     * @return {NodeWrapper} A Wrapped HTMLElement
+     * @param  {string | Object} p The property to read or write to, or an Object of properties to write
+     * @param  {*}               v The value to write to the specified property
+     *
+     * @return {MQ | *} The value read, or the current calling instance (this) when writing
      */
-    constructor(n) {
-        this.n = n
-        this.length = 1
-        this.__isProxy = false
-        return NodeWrapper.#proxify(this)
+    prop(p, v) {
+        if (typeof p !== 'object' && arguments.length < 2) {
+            return this.#read(e => e.prop(p))
+        }
+        return this.#write(e => e.prop(p, v))
     }
 
     /**
-     * Allows the object to be used in `for ... of` loops
+     * Allows manipulation of ARIA attributes of the given instance
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
      *
-     * Only exists for compatibility with MQ, so users do not have to
-     * worry about being unable to use results from `$` as iterators
+     * Reading returns the attribute of the first selected element, or
+     * undefined if no elements are selected. See `NodeWrapper.aria` for the signatures
+     *
+     * @param  {string | Object} a The attribute to read or write to, or an Object of attributes to write
+     * @param  {*}               v The value to write to the specified attribute
+     *
+     * @return {MQ | boolean | string} The value read, or the current calling instance (this) when writing
      */
-    [Symbol.iterator]() {
-        let _ = false
-        return {
-            next: () => {
-                if (_) return {done: true}
-                _ = true
-                return { done: false, value: this}
-            }
+    aria(a, v) {
+        if (typeof a !== 'object' && arguments.length < 2) {
+            return this.#read(e => e.aria(a))
         }
+        return this.#write(e => e.aria(a, v))
     }
 
     /**
-     * Dispatches a click event on the HTMLElement wrapped by the instance
+     * Allows typed access to the data of the given instance
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * Reading returns the data of the first selected element, or
+     * undefined if no elements are selected. See `NodeWrapper.data` for the signatures
+     *
+     * @param  {string | Object} k The key to read or write to, or an Object of keys to write
+     * @param  {*}               v The value to write to the specified key
+     *
+     * @return {MQ | Object | *} The value(s) read, or the current calling instance (this) when writing
      */
-    click() {
-        this.n.click()
-        return this
+    data(k, v) {
+        if (k === undefined || (typeof k !== 'object' && arguments.length < 2)) {
+            return this.#read(e => e.data(k))
+        }
+        return this.#write(e => e.data(k, v))
     }
 
     /**
-     * Allows manipulation of innerHTML property of the wrapped HTMLElement
-     *
-     * Can be used with 2 signatures
-     * 1. Without arguments, `instance.html()`
-     *     Returns the value of the innerHTML property
-     * 2. With 1 argument, `instance.html(html)`
-     *     Sets the innerHTML property to the given argument
+     * Removes data from all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
      *
-     * @param  {string} t (optional) The value to write to the innerHTML property
+     * @param  {...string} k (optional) The keys to remove, all data is removed if not specified
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @return {MQ} The current calling instance (this)
      */
-    html(t) {
-        if (!t) return this.n.innerHTML
-        this.n.innerHTML = `${t}`
-        return this
-    }
+    removeData(...k) {return this.#write(e => e.removeData(...k))}
 
     /**
-     * Allows manipulation of innerText property of the wrapped HTMLElement
+     * Allows manipulation of the width of the given instance, as a number of pixels
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
      *
-     * Can be used with 2 signatures
-     * 1. Without arguments, `instance.text()`
-     *     Returns the value of the innerText property
-     * 2. With 1 argument, `instance.text(text)`
-     *     Sets the innerText property to the given argument
+     * Reading returns the width of the first selected element, or undefined
+     * if no elements are selected. See `NodeWrapper.width`
      *
-     * @param  {string} t (optional) The value to write to the innerText property
+     * @param  {number | string} v (optional) The width to set, numbers are in pixels
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @return {MQ | number} The width if called without arguments, the current calling instance (this) otherwise
      */
-    text(t) {
-        if (!t) return this.n.innerText
-        this.n.innerText = `${t}`
-        return this
+    width(v) {return v === undefined ? this.#read(e => e.width()) : this.#write(e => e.width(v))}
+
+    /**
+     * Allows manipulation of the height of the given instance, as a number of pixels
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
+     *
+     * Reading returns the height of the first selected element, or undefined
+     * if no elements are selected. See `NodeWrapper.height`
+     *
+     * @param  {number | string} v (optional) The height to set, numbers are in pixels
+     *
+     * @return {MQ | number} The height if called without arguments, the current calling instance (this) otherwise
+     */
+    height(v) {return v === undefined ? this.#read(e => e.height()) : this.#write(e => e.height(v))}
+
+    /**
+     * Returns the inner width of the first selected element, see `NodeWrapper.innerWidth`
+     *
+     * @return {number} The inner width, or undefined if no elements are selected
+     */
+    innerWidth() {return this.#read(e => e.innerWidth())}
+
+    /**
+     * Returns the inner height of the first selected element, see `NodeWrapper.innerHeight`
+     *
+     * @return {number} The inner height, or undefined if no elements are selected
+     */
+    innerHeight() {return this.#read(e => e.innerHeight())}
+
+    /**
+     * Returns the outer width of the first selected element, see `NodeWrapper.outerWidth`
+     *
+     * @param  {boolean} m (optional) Whether to include the margin as well
+     *
+     * @return {number} The outer width, or undefined if no elements are selected
+     */
+    outerWidth(m) {return this.#read(e => e.outerWidth(m))}
+
+    /**
+     * Returns the outer height of the first selected element, see `NodeWrapper.outerHeight`
+     *
+     * @param  {boolean} m (optional) Whether to include the margin as well
+     *
+     * @return {number} The outer height, or undefined if no elements are selected
+     */
+    outerHeight(m) {return this.#read(e => e.outerHeight(m))}
+
+    /**
+     * Returns the positions of all the selected elements in this instance, relative to the document
+     *
+     * @return {Array} The positions, as `{top, left}` in pixels, see `NodeWrapper.offset`
+     */
+    offset() {return this.map(e => e.offset())}
+
+    /**
+     * Returns the positions of all the selected elements in this instance, relative to their offset parents
+     *
+     * @return {Array} The positions, as `{top, left}` in pixels, see `NodeWrapper.position`
+     */
+    position() {return this.map(e => e.position())}
+
+    /**
+     * Allows manipulation of the vertical scroll position of the given instance
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {number} v (optional) The scroll position to set, in pixels
+     *
+     * @return {MQ | number} The scroll position of the first selected element if called without arguments,
+     *                       the current calling instance (this) otherwise
+     */
+    scrollTop(v) {return v === undefined ? this.#read(e => e.scrollTop()) : this.#write(e => e.scrollTop(v))}
+
+    /**
+     * Allows manipulation of the horizontal scroll position of the given instance
+     * Note: Writing is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {number} v (optional) The scroll position to set, in pixels
+     *
+     * @return {MQ | number} The scroll position of the first selected element if called without arguments,
+     *                       the current calling instance (this) otherwise
+     */
+    scrollLeft(v) {return v === undefined ? this.#read(e => e.scrollLeft()) : this.#write(e => e.scrollLeft(v))}
+
+    /**
+     * Scrolls all the selected elements in this instance to a position or to one of their descendants
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {number | Object | string | HTMLElement | NodeWrapper} t The target, see `NodeWrapper.scrollTo`
+     * @param  {Object}                                               o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    scrollTo(t, o) {return this.each(e => e.scrollTo(t, o))}
+
+    /**
+     * Scrolls the first selected element into view, see `NodeWrapper.scrollIntoView`
+     *
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    scrollIntoView(o) {
+        if (this.#nl.length) this.#nl[0].scrollIntoView(o)
+        return this
+    }
+
+    /**
+     * Checks whether each of the selected elements in this instance is visible in the viewport
+     *
+     * @param  {boolean} f (optional) Whether the elements must be fully visible, defaults to false
+     *
+     * @return {Array} A boolean for each selected element, see `NodeWrapper.isInViewport`
+     */
+    isInViewport(f) {return this.map(e => e.isInViewport(f))}
+
+    /**
+     * Returns a copy of this instance, whose mass operations that write to
+     * the DOM are queued and flushed in the next frame, see `MQScheduler`
+     *
+     * Example Usage
+     *     $('td.price').defer().addClass('stale').css('opacity', '0.5')
+     *     await $.flush()
+     *
+     * @return {MQ} The copy
+     */
+    defer() {
+        const _ = MQ.__from__(this.list(), this, true)
+        _.#deferred = true
+        return _
+    }
+
+    /**
+     * Internal method to apply a mass operation that writes to the DOM,
+     * queued if this instance is deferred or inside `$.batch`
+     *
+     * @param  {function} c The function to apply to each element
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    #write(c) {
+        if (this.#deferred || MQScheduler.__batching__()) MQScheduler.__defer__(() => this.each(c))
+        else this.each(c)
+        return this
+    }
+
+    /**
+     * Internal method to read a value from the first selected element
+     *
+     * @param  {function} c The function reading the value from a NodeWrapper
+     *
+     * @return {*} The value, or undefined if no elements are selected
+     */
+    #read(c) {return this.#nl.length ? c(this.#nl[0]) : undefined}
+
+    /**
+     * Allows manipulation of innerHTML property of the given instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * See `NodeWrapper.html` for the supported options
+     *
+     * @param  {string} t The value to write to the innerHTML property
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    html(t, o) {
+        if (t === undefined) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.html(t)")
+        return this.#write(e => e.html(t, o))
+    }
+
+    /**
+     * Writes to the innerHTML property of the given instance, without sanitizing,
+     * even if `$.config.sanitize` is enabled
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string | TrustedHTML} t The value to write to the innerHTML property
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    unsafeHtml(t) {
+        if (t === undefined) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.unsafeHtml(t)")
+        return this.#write(e => e.unsafeHtml(t))
+    }
+
+    /**
+     * Renders a template with the given data into the given instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * See `NodeWrapper.render` for the supported arguments
+     *
+     * @param  {string | function} t The template, or a compiled template
+     * @param  {Object}            d (optional) The data
+     * @param  {Object}            o (optional) Additional options, like in `instance.html`
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    render(t, d, o) {
+        const h = (typeof t === 'function' ? t : MQTemplate.compile(t))(d)
+        return this.#write(e => e.html(h, o))
+    }
+
+    /**
+     * Updates the content of the given instance to match the given markup
+     * or nodes, changing only what differs, see `NodeWrapper.morph`
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Nodes are moved to the last selected element, and copies of them to the others
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} t The new content, strings are parsed as markup
+     * @param  {Object}                                          o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    morph(t, o) {
+        if (t === undefined) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.morph(t)")
+        const markup = typeof t === 'string' || (typeof TrustedHTML !== 'undefined' && t instanceof TrustedHTML)
+        const _l = markup ? null : MQ.__nodes__(t, false)
+        let i = 0
+        return this.#write(e => e.morph(markup || ++i === this.length ? t : _l.map(_ => _.cloneNode(true)), o))
+    }
+
+    /**
+     * Allows manipulation of innerText property of the given instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} t The value to write to the innerText property
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    text(t) {
+        if (!t) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.text(t)")
+        return this.#write(e => e.text(t))
+    }
+
+    /**
+     * Returns the nth element in the list of elements in this instance
+     * Index may be negative, which represents elements from the end of the list
+     *
+     * @param  {number} n The index of the element to retrieve
+     *
+     * @return {NodeWrapper} The nth element in the list of elements
+     */
+    nth(n) {
+        n = parseInt(n)
+        if (isNaN(n)) throw new MQIllegalArgumentError("Illegal Argument")
+        n += n < 0 ? this.#nl.length : 0
+        if (n < 0 || n >= this.#nl.length) throw new MQIndexOutOfBoundsError("Index Out Of Bounds")
+        return this.#nl[n]
+    }
+
+    /**
+     * Applies the given function on each of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {function} c The function to apply to each element
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    each(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError("Illegal Argument")
+        for(let _ of this.#nl) c(_)
+        return this
+    }
+
+    /**
+     * Maps the given function on each of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {function} c The function to apply to each element
+     *
+     * @return {Array} The resulting mapped values
+     */
+    map(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError("Illegal Argument")
+        const _results = []
+        for(let _ of this.#nl) _results.push(c(_))
+        return _results
+    }
+
+    /**
+     * Returns the first element from the selected elements in this instance
+     *
+     * @return {NodeWrapper} The first element
+     */
+    first() {return this.#nl[0]}
+
+    /**
+     * Returns the last element from the selected elements in this instance
+     *
+     * @return {NodeWrapper} The last element
+     */
+    last() {return this.#nl[this.#nl.length - 1]}
+
+    /**
+     * Internal method to wrap HTMLElement with a NodeWrapper
+     */
+    #wrap() {this.#nl = this.#nl.map(_ => new NodeWrapper(_))}
+
+    /**
+     * Returns an Array of NodeWrapper instance corresponding to the selected elements
+     *
+     * @return {Array} The NodeWrapper instances of the selected elements
+     */
+    list() {return this.#nl}
+
+    /**
+     * Dispatches a click event on all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    click() {return this.each(e => e.click())}
+
+    /**
+     * Dispatches a CustomEvent on each of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} e The event to dispatch, see `NodeWrapper.trigger`
+     * @param  {*}      d (optional) The payload, available as `event.detail`
+     * @param  {Object} o (optional) Additional options
+     *
+     * The event is dispatched on every selected element, even once a handler cancelled it
+     *
+     * @return {boolean} `false` if a handler cancelled the event on any of the elements, `true` otherwise
+     */
+    trigger(e, d, o) {return this.map(q => q.trigger(e, d, o)).every(_ => _)}
+
+    /**
+     * Adds an event listener to all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * See `NodeWrapper.on` for the supported signatures
+     *
+     * @param  {string}           e The event(s) to add the handler to
+     * @param  {string}           s (optional) CSS Selector of the descendants to delegate to
+     * @param  {function}         c The handler callback function
+     * @param  {boolean | Object} u useCapture argument or options for adding eventListener
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    on(e, s, c, u) {return this.each(q => q.on(e, s, c, u))}
+
+    /**
+     * Adds an event listener that runs at most once to all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * See `NodeWrapper.once` for the supported signatures
+     *
+     * @param  {string}           e The event(s) to add the handler to
+     * @param  {string}           s (optional) CSS Selector of the descendants to delegate to
+     * @param  {function}         c The handler callback function
+     * @param  {boolean | Object} u useCapture argument or options for adding eventListener
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    once(e, s, c, u) {return this.each(q => q.once(e, s, c, u))}
+
+    /**
+     * Removes event listeners bound with `on` or `once` from all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * See `NodeWrapper.off` for the supported signatures
+     *
+     * @param  {string}   e (optional) The event(s) and/or namespaces to remove
+     * @param  {string}   s (optional) CSS Selector the handlers were delegated to
+     * @param  {function} c (optional) The handler callback function to remove
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    off(e, s, c) {return this.each(q => q.off(e, s, c))}
+
+    /**
+     * Binds a handler to keyboard shortcuts typed while the focus is inside
+     * any of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string}   k The shortcut(s), see `MQHotkeys.bind`
+     * @param  {function} c The handler
+     * @param  {Object}   o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    hotkeys(k, c, o) {return this.each(e => e.hotkeys(k, c, o))}
+
+    /**
+     * Makes all the selected elements in this instance draggable, see `NodeWrapper.draggable`
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    draggable(o) {return this.each(e => e.draggable(o))}
+
+    /**
+     * Makes all the selected elements in this instance drop targets, see `NodeWrapper.droppable`
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    droppable(o) {return this.each(e => e.droppable(o))}
+
+    /**
+     * Lets the children of all the selected elements in this instance be
+     * reordered by dragging them, see `NodeWrapper.sortable`
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    sortable(o) {return this.each(e => e.sortable(o))}
+
+    /**
+     * Recognizes swipes, long presses and pinches on all the selected
+     * elements in this instance, see `NodeWrapper.gestures`
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    gestures(o) {return this.each(e => e.gestures(o))}
+
+    /**
+     * Makes all the selected elements in this instance outlets of a router, see `NodeWrapper.outlet`
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {MQRouter} r (optional) The router, defaults to `$.router`
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    outlet(r) {return this.each(e => e.outlet(r))}
+
+    /**
+     * Traps the focus inside the first selected element in this instance, see `NodeWrapper.trapFocus`
+     *
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    trapFocus(o) {
+        this.#read(e => e.trapFocus(o))
+        return this
+    }
+
+    /**
+     * Releases the focus traps of all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    releaseFocus() {return this.each(e => e.releaseFocus())}
+
+    /**
+     * Lets the keyboard move the focus between the selected elements in this
+     * instance using the arrow keys, Home and End, with only one of them in
+     * the Tab order at a time (roving tabindex), like in lists, menus,
+     * toolbars and grids
+     *
+     * Disabled items, and items with `aria-disabled="true"`, are skipped
+     *
+     * Options:
+     * 1. `orientation`, 'vertical' for the up and down arrows, 'horizontal'
+     *     for left and right, 'both', or 'grid'. Defaults to 'vertical'
+     * 2. `columns`, the number of columns of a grid, by default each parent
+     *     element of the items is a row
+     * 3. `wrap`, whether to go from the last item to the first, and back, defaults to true
+     *
+     * Use `instance.rovingFocus(false)` to stop
+     *
+     * Example Usage
+     *     $('#toolbar button').rovingFocus({orientation: 'horizontal'})
+     *     $('#calendar [role="gridcell"]').rovingFocus({orientation: 'grid'})
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    rovingFocus(o) {
+        MQA11y.__roving__(this.toArray(), o)
+        return this
+    }
+
+    /**
+     * Adds a CSS class to all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} c variable number of strings, each being a class to add
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    addClass(...c) {return this.#write(e => e.addClass(...c))}
+
+    /**
+     * Removes a CSS class to all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} c variable number of strings, each being a class to remove
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    removeClass(...c) {return this.#write(e => e.removeClass(...c))}
+
+    /**
+     * Returns the parents of the selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the parents must match
+     *
+     * @return {MQ | NodeWrapper} The parents of the selected elements
+     */
+    parent(s) {return this.#collect(e => e.parent(s))}
+
+    /**
+     * Returns the ancestors of the selected elements in this instance, in
+     * reverse document order, from the closest to the furthest
+     *
+     * @param  {string} s (optional) CSS Selector the ancestors must match
+     *
+     * @return {MQ | NodeWrapper} The ancestors of the selected elements
+     */
+    parents(s) {return this.#collect(e => e.parents(s), 'reverse')}
+
+    /**
+     * Returns the closest element matching a selector, for each of the
+     * selected elements in this instance, starting from the element itself
+     *
+     * @param  {string} s CSS Selector the element must match
+     *
+     * @return {MQ | NodeWrapper} The closest matching elements
+     */
+    closest(s) {return this.#collect(e => e.closest(s))}
+
+    /**
+     * Returns the children of the selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the children must match
+     *
+     * @return {MQ | NodeWrapper} The children of the selected elements
+     */
+    children(s) {return this.#collect(e => e.children(s))}
+
+    /**
+     * Returns the siblings of the selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the siblings must match
+     *
+     * @return {MQ | NodeWrapper} The siblings of the selected elements
+     */
+    siblings(s) {return this.#collect(e => e.siblings(s))}
+
+    /**
+     * Returns the next sibling of each of the selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the siblings must match
+     *
+     * @return {MQ | NodeWrapper} The next siblings of the selected elements
+     */
+    next(s) {return this.#collect(e => e.next(s))}
+
+    /**
+     * Returns the previous sibling of each of the selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the siblings must match
+     *
+     * @return {MQ | NodeWrapper} The previous siblings of the selected elements
+     */
+    prev(s) {return this.#collect(e => e.prev(s))}
+
+    /**
+     * Finds all the descendants of the selected elements in this instance
+     * that match a selector
+     *
+     * @param  {string} s CSS Selector the descendants must match
+     * @param  {Object} o (optional) Additional options, see `NodeWrapper.findAll`
+     *
+     * @return {MQ | NodeWrapper} The matching descendants
+     */
+    findAll(s, o) {return this.#collect(e => e.findAll(s, o))}
+
+    /**
+     * Reduces the selected elements in this instance to the ones matching a
+     * selector, an element, or a function
+     *
+     * When given a function, it is called with each NodeWrapper instance and
+     * its index, and the elements for which it returns a truthy value are kept
+     *
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to match
+     *
+     * @return {MQ | NodeWrapper} The matching elements
+     */
+    filter(s) {
+        const m = MQ.#matcher(this.toArray(), s)
+        return MQ.__from__(this.#nl.filter(m), this, this.#strict, 'list')
+    }
+
+    /**
+     * Reduces the selected elements in this instance to the ones that do not
+     * match a selector, an element, or a function
+     *
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to not match
+     *
+     * @return {MQ | NodeWrapper} The elements that do not match
+     */
+    not(s) {
+        const m = MQ.#matcher(this.toArray(), s)
+        return MQ.__from__(this.#nl.filter((e, i) => !m(e, i)), this, this.#strict, 'list')
+    }
+
+    /**
+     * Checks whether any of the selected elements in this instance match a
+     * selector, an element, or a function
+     *
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to match
+     *
+     * @return {boolean} `true` if any element matches, `false` otherwise
+     */
+    is(s) {return this.#nl.some(MQ.#matcher(this.toArray(), s))}
+
+    /**
+     * Internal method to create a function checking whether a selected element
+     * matches a criteria. Positional pseudo-classes in selectors, like `:even`,
+     * are relative to the selected elements
+     *
+     * @param  {Array}                                              l The selected elements
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to match
+     *
+     * @return {function} Called with a NodeWrapper and its index, returns whether it matches
+     */
+    static #matcher(l, s) {
+        if (typeof s !== 'string') return (e, i) => MQ.__matches__(e, s, i)
+        const m = new Set(MQSelector.filter(l, s))
+        return e => m.has(e.get())
+    }
+
+    /**
+     * Reduces the selected elements in this instance to the ones having a
+     * descendant that matches a selector, or contain a given element
+     *
+     * @param  {string | HTMLElement | NodeWrapper} s The descendant to look for
+     *
+     * @return {MQ | NodeWrapper} The elements having a matching descendant
+     */
+    has(s) {return MQ.__from__(this.#nl.filter(e => e.has(s).length > 0), this, this.#strict, 'list')}
+
+    /**
+     * Returns the selection this instance was created from by a traversal
+     * or filtering method
+     *
+     * @return {MQ | NodeWrapper} The previous selection, or an empty MQ
+     *                            instance if there is none
+     */
+    end() {return this.#prev || MQ.__from__([], undefined, this.#strict)}
+
+    /**
+     * Returns the element at the given index in this instance as a new selection
+     * Index may be negative, which represents elements from the end of the list
+     *
+     * Unlike `instance.nth`, an index out of bounds results in an empty
+     * selection instead of an error
+     *
+     * @param  {number} i The index of the element to select
+     *
+     * @return {MQ | NodeWrapper} The selected element
+     */
+    eq(i) {
+        i = parseInt(i)
+        if (isNaN(i)) throw new MQIllegalArgumentError("Illegal Argument")
+        i += i < 0 ? this.#nl.length : 0
+        return MQ.__from__(i < 0 ? [] : this.#nl.slice(i, i + 1), this, this.#strict)
+    }
+
+    /**
+     * Returns a range of the selected elements in this instance as a new selection
+     * Indices may be negative, like `Array.prototype.slice`
+     *
+     * @param  {number} b The index to start from
+     * @param  {number} e (optional) The index to end at, exclusive
+     *
+     * @return {MQ | NodeWrapper} The selected elements
+     */
+    slice(b, e) {return MQ.__from__(this.#nl.slice(b, e), this, this.#strict, 'list')}
+
+    /**
+     * Returns the union of the selected elements in this instance and the given elements
+     * Duplicate elements are removed, and the result is sorted in document order
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to add,
+     *                                                              strings are used as CSS Selectors or markup
+     *
+     * @return {MQ | NodeWrapper} The combined elements
+     */
+    add(n) {return MQ.__from__([...this.#nl, ...MQ.#resolve(n)], this, this.#strict)}
+
+    /**
+     * Returns the selected elements in this instance which are also in the given elements
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to intersect with,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {MQ | NodeWrapper} The common elements
+     */
+    intersect(n) {
+        const _n = new Set(MQ.#resolve(n))
+        return MQ.__from__(this.#nl.filter(e => _n.has(e.get())), this, this.#strict, 'list')
+    }
+
+    /**
+     * Returns the position of an element in this instance
+     *
+     * Can be called with 2 signatures
+     *
+     * 1. Without arguments, `instance.index()`
+     *     Returns the position of the first selected element among its siblings
+     * 2. With 1 argument, `instance.index(element)`
+     *     Returns the position of the given element in this instance.
+     *     If a selector is given, the first element matching it is used
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ} n (optional) The element to look for
+     *
+     * @return {number} The position of the element, -1 if it is not found
+     */
+    index(n) {
+        if (n === undefined) {
+            const _ = this.first()
+            return _ ? _.index() : -1
+        }
+        const _n = MQ.#resolve(n)[0]
+        return this.#nl.findIndex(e => e.get() === _n)
+    }
+
+    /**
+     * Returns an Array of the HTMLElements corresponding to the selected elements
+     *
+     * @return {Array} The selected HTMLElements
+     */
+    toArray() {return this.#nl.map(e => e.get())}
+
+    /**
+     * Animates all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * See `NodeWrapper.animate` for the supported arguments
+     *
+     * @param  {Array | Object}  k The keyframes of the animation
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once every element is animated
+     */
+    animate(k, o) {return this.#all(e => e.animate(k, o))}
+
+    /**
+     * Fades in all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once every element is animated
+     */
+    fadeIn(o) {return this.#all(e => e.fadeIn(o))}
+
+    /**
+     * Fades out all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once every element is animated
+     */
+    fadeOut(o) {return this.#all(e => e.fadeOut(o))}
+
+    /**
+     * Reveals all the selected elements in this instance with a sliding motion
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once every element is animated
+     */
+    slideDown(o) {return this.#all(e => e.slideDown(o))}
+
+    /**
+     * Hides all the selected elements in this instance with a sliding motion
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once every element is animated
+     */
+    slideUp(o) {return this.#all(e => e.slideUp(o))}
+
+    /**
+     * Displays all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    show() {return this.each(e => e.show())}
+
+    /**
+     * Hides all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    hide() {return this.each(e => e.hide())}
+
+    /**
+     * Displays or hides each of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {boolean} v (optional) `true` to display, `false` to hide, toggles each element if omitted
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    toggle(v) {return this.each(e => e.toggle(v))}
+
+    /**
+     * Stops the running animation and clears the animation queue of all the
+     * selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {boolean} j (optional) Whether to jump to the end of the running animation
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    stop(j) {return this.each(e => e.stop(j))}
+
+    /**
+     * Fetches a HTML fragment, and writes it to the innerHTML property of all
+     * the selected elements in this instance. The fragment is fetched once
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} u The url of the HTML document or fragment
+     * @param  {string} s (optional) CSS Selector of the elements to keep from the document
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once the fragment is written
+     */
+    async load(u, s, o) {
+        const _ = await MQHttp.__fragment__(u, s, o, this.#owner())
+        return this.each(e => e.html(_))
+    }
+
+    /**
+     * Returns the names and values of the form controls in all the selected elements in this instance
+     *
+     * See `NodeWrapper.serializeArray` for details
+     *
+     * @return {Array} Objects with the `name` and `value` of each control
+     */
+    serializeArray() {return this.#nl.flatMap(e => e.serializeArray())}
+
+    /**
+     * Serializes the form controls in all the selected elements in this instance
+     * into a URL-encoded string
+     *
+     * @return {string} The URL-encoded names and values of the form controls
+     */
+    serialize() {return new URLSearchParams(this.serializeArray().map(_ => [_.name, _.value])).toString()}
+
+    /**
+     * Serializes the form controls in all the selected elements in this instance into an Object
+     *
+     * See `NodeWrapper.serializeObject` for details
+     *
+     * @return {Object} The names and values of the form controls
+     */
+    serializeObject() {return NodeWrapper.__nest__(this.serializeArray())}
+
+    /**
+     * Fills in the form controls in all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {Object} o The values to fill in, see `NodeWrapper.populate`
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    populate(o) {return this.each(e => e.populate(o))}
+
+    /**
+     * Validates the form controls in each of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {Object} r (optional) The rules, see `NodeWrapper.validate`
+     * @param  {Object} o (optional) Additional options, see `NodeWrapper.validate`
+     *
+     * @return {Promise} Resolves to an Array of the results of each element
+     */
+    validate(r, o) {return Promise.all(this.map(e => e.validate(r, o)))}
+
+    /**
+     * Appends the given args to all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * The args are appended to the last selected element, and copies of them to the others
+     * Strings are handled like in `NodeWrapper.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to add
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    append(...n) {
+        MQ.__insert__(this.toArray(), MQ.__nodes__(n, false, this.#owner()), 'append')
+        return this
+    }
+
+    /**
+     * Inserts the given args at the start of all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Several selected elements are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to add
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    prepend(...n) {
+        MQ.__insert__(this.toArray(), MQ.__nodes__(n, false, this.#owner()), 'prepend')
+        return this
+    }
+
+    /**
+     * Inserts the given args before each of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Several selected elements are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to insert
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    before(...n) {
+        MQ.__insert__(this.toArray(), MQ.__nodes__(n, false, this.#owner()), 'before')
+        return this
+    }
+
+    /**
+     * Inserts the given args after each of the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Several selected elements are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to insert
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    after(...n) {
+        MQ.__insert__(this.toArray(), MQ.__nodes__(n, false, this.#owner()), 'after')
+        return this
+    }
+
+    /**
+     * Appends the selected elements in this instance, to a given parent element
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * If there are several parent elements, copies of the selected elements
+     * are appended to each of them except the last, which gets the originals
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The parent element(s) to add to,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    appendTo(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.#owner()), this.toArray(), 'append')
+        return this
+    }
+
+    /**
+     * Inserts the selected elements in this instance at the start of a given parent element
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Several parent elements are handled like in `instance.appendTo`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The parent element(s) to add to,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    prependTo(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.#owner()), this.toArray(), 'prepend')
+        return this
+    }
+
+    /**
+     * Inserts the selected elements in this instance before a given element
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Several elements are handled like in `instance.appendTo`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The element(s) to insert before,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    insertBefore(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.#owner()), this.toArray(), 'before')
+        return this
+    }
+
+    /**
+     * Inserts the selected elements in this instance after a given element
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Several elements are handled like in `instance.appendTo`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The element(s) to insert after,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    insertAfter(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.#owner()), this.toArray(), 'after')
+        return this
+    }
+
+    /**
+     * Replaces each of the selected elements in this instance with the given args
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * Several selected elements are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to replace with
+     *
+     * @return {MQ} The current calling instance (this), no longer in the document
+     */
+    replaceWith(...n) {
+        const _n = MQ.__nodes__(n, false, this.#owner())
+        this.#nl.forEach((e, i) => e.replaceWith(i === this.#nl.length - 1 ? _n : _n.map(_ => _.cloneNode(true))))
+        return this
+    }
+
+    /**
+     * Removes all the selected elements in this instance from the document
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the elements must match to be removed
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    remove(s) {return this.each(e => e.remove(s))}
+
+    /**
+     * Removes all the selected elements in this instance from the document,
+     * keeping their event handlers
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the elements must match to be removed
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    detach(s) {return this.each(e => e.detach(s))}
+
+    /**
+     * Removes all the children of all the selected elements in this instance
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    empty() {return this.each(e => e.empty())}
+
+    /**
+     * Creates copies of all the selected elements in this instance
+     *
+     * @param  {boolean} d (optional) Whether to copy the descendants, defaults to true
+     * @param  {boolean} h (optional) Whether to copy the event handlers bound using `on`, and
+     *                     the data kept in memory by `data`, defaults to false
+     *
+     * @return {MQ | NodeWrapper} The copies
+     */
+    clone(d, h) {return MQ.__from__(this.map(e => e.clone(d, h)), undefined, this.#strict)}
+
+    /**
+     * Wraps each of the selected elements in this instance in a copy of the given element
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string | HTMLElement | NodeWrapper} w The element to wrap with,
+     *                                                strings are parsed as markup or used as CSS Selectors
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    wrap(w) {
+        for (let _ of this.toArray()) MQ.__wrap__([_], w)
+        return this
+    }
+
+    /**
+     * Wraps all the selected elements in this instance in a single copy of the given element
+     *
+     * The copy is inserted in place of the first selected element
+     *
+     * @param  {string | HTMLElement | NodeWrapper} w The element to wrap with,
+     *                                                strings are parsed as markup or used as CSS Selectors
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    wrapAll(w) {
+        MQ.__wrap__(this.toArray(), w)
+        return this
+    }
+
+    /**
+     * Removes the parents of the selected elements in this instance, keeping
+     * the parents' children in their place
+     * Note: This is a mass operation, applies to all selected elements in this instance
+     *
+     * @param  {string} s (optional) CSS Selector the parents must match to be removed
+     *
+     * @return {MQ} The current calling instance (this)
+     */
+    unwrap(s) {
+        MQ.__unwrap__(this.toArray(), s)
+        return this
+    }
+
+    /**
+     * Internal method to apply an asynchronous operation on each selected element
+     *
+     * @param  {function} c The operation to apply to each element, returning a Promise
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once every operation is done
+     */
+    #all(c) {return Promise.all(this.map(c)).then(() => this)}
+
+    /**
+     * Internal method to turn the arguments of set operations into a list of HTMLElements
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to resolve
+     *
+     * @return {Array} The resolved HTMLElements
+     */
+    static #resolve(n) {
+        if (n === null || n === undefined) return []
+        if (typeof n === 'string') return new MQ(n, {__str__: true, strict: true}).toArray()
+        if (n instanceof NodeWrapper || n instanceof MQ) return n.list().map(_ => _.get())
+        if (n instanceof Array) return n.flatMap(_ => MQ.#resolve(_))
+        return [n]
+    }
+
+    /**
+     * Internal method to apply a traversal method on each selected element
+     * and combine the results into a new selection
+     *
+     * @param  {function} c The traversal to apply to each element
+     * @param  {string}   o (optional) The order of the results, see `MQ.__from__`
+     *
+     * @return {MQ | NodeWrapper} The combined results
+     */
+    #collect(c, o) {return MQ.__from__(this.#nl.flatMap(e => c(e).list()), this, this.#strict, o)}
+
+    /**
+     * Internal method to check whether an element matches a selector, an
+     * element, or a function, shouldn't be called by external sources
+     *
+     * @param  {NodeWrapper}                                         n The element to check
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to match
+     * @param  {number}                                              i The index of the element, passed to functions
+     *
+     * @return {boolean} `true` if the element matches, `false` otherwise
+     */
+    static __matches__(n, s, i) {
+        const e = n instanceof NodeWrapper ? n.get() : n
+        if (typeof s === 'function') return !!s(n instanceof NodeWrapper ? n : new NodeWrapper(n), i)
+        if (typeof s === 'string') return MQSelector.matches(e, s)
+        if (s instanceof NodeWrapper || s instanceof MQ) return s.list().some(_ => _.get() === e)
+        if (s instanceof Array) return s.some(_ => MQ.__matches__(e, _, i))
+        return s === e
+    }
+}
+
+/**
+ * @author M K
+ *
+ * Wraps a HTMLElement instance to provide additional functionality
+ */
+class NodeWrapper {
+    static #handlers = new WeakMap()
+    static #fx = new WeakMap()
+    static #display = new WeakMap()
+    /**
+     * Internal method, shouldn't be called by external sources
+     * All functionality must be used by the `$` function
+     *
+     * @param  {HTMLElement} n Args to the constructor
+     *
+     * @return {NodeWrapper} A Wrapped HTMLElement
+     */
+    constructor(n) {
+        this.n = n
+        this.length = 1
+        this.__prev__ = null
+        this.__isProxy = false
+        return NodeWrapper.#proxify(this)
+    }
+
+    /**
+     * Allows the object to be used in `for ... of` loops
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to use results from `$` as iterators
+     */
+    [Symbol.iterator]() {
+        let _ = false
+        return {
+            next: () => {
+                if (_) return {done: true}
+                _ = true
+                return { done: false, value: this}
+            }
+        }
+    }
+
+    /**
+     * Dispatches a click event on the HTMLElement wrapped by the instance
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    click() {
+        this.n.click()
+        return this
+    }
+
+    /**
+     * Dispatches a CustomEvent on the wrapped HTMLElement
+     *
+     * The event may be namespaced, like `save.editor`, in which case only the
+     * handlers bound using `on` in that namespace are called, and
+     * `event.namespace` is set to `'editor'`. Other listeners are always called
+     *
+     * Options
+     *     bubbles    : Whether the event bubbles, defaults to true
+     *     cancelable : Whether the event can be cancelled, defaults to true
+     *     composed   : Whether the event crosses shadow DOM boundaries, defaults to false
+     *
+     * Example Usage
+     *     if (!$('#editor').trigger('save', {draft: true})) console.log('A handler cancelled saving')
+     *
+     * @param  {string} e The event to dispatch
+     * @param  {*}      d (optional) The payload, available as `event.detail`
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {boolean} `false` if a handler cancelled the event using `preventDefault()`, `true` otherwise
+     */
+    trigger(e, d, o={}) {
+        const [_e] = NodeWrapper.#parseEvents(e)
+        if (!_e || !_e.type) throw new MQIllegalArgumentError(`Cannot trigger event ${e}, because no event type is specified`)
+        const event = new (this.n.ownerDocument.defaultView || window).CustomEvent(_e.type, {
+            detail: d,
+            bubbles: o.bubbles !== false,
+            cancelable: o.cancelable !== false,
+            composed: !!o.composed,
+        })
+        Object.defineProperty(event, 'namespace', {value: _e.ns.join('.')})
+        return this.n.dispatchEvent(event)
+    }
+
+    /**
+     * Allows manipulation of innerHTML property of the wrapped HTMLElement
+     *
+     * Can be used with 2 signatures
+     * 1. Without arguments, `instance.html()`
+     *     Returns the value of the innerHTML property
+     * 2. With 1 or 2 arguments, `instance.html(html, options)`
+     *     Sets the innerHTML property to the given argument
+     *
+     * The options may define the following keys
+     *     sanitize : `true` to sanitize the argument with the default allowlist, or
+     *                an allowlist Object, see `MQSanitizer`. Defaults to `$.config.sanitize`
+     *     report   : Function called with the list of what the sanitizer removed
+     *     morph    : `true`, or the options of `instance.morph`, to update the
+     *                content using `instance.morph` instead of replacing it
+     *
+     * @param  {string} t (optional) The value to write to the innerHTML property
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    html(t, o={}) {
+        if (t === undefined) return this.n.innerHTML
+        const s = o.sanitize === undefined ? $.config.sanitize : o.sanitize
+        if (s) {
+            const _o = typeof s === 'object' ? {...s} : {}
+            if (o.report) _o.report = o.report
+            t = MQSanitizer.__html__(t, _o)
+        }
+        if (o.morph) return this.morph(t, typeof o.morph === 'object' ? o.morph : {})
+        return this.unsafeHtml(t)
+    }
+
+    /**
+     * Writes to the innerHTML property of the wrapped HTMLElement without
+     * sanitizing, even if `$.config.sanitize` is enabled
+     *
+     * Only use this with markup that does not contain user supplied content
+     *
+     * @param  {string | TrustedHTML} t The value to write to the innerHTML property
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    unsafeHtml(t) {
+        const trusted = typeof TrustedHTML !== 'undefined' && t instanceof TrustedHTML
+        return NodeWrapper.#write(this, () => this.n.innerHTML = trusted ? t : `${t}`)
+    }
+
+    /**
+     * Renders a template with the given data into the wrapped HTMLElement,
+     * replacing its content, see `MQTemplate` for the syntax
+     *
+     * The markup is written using `instance.html`, so it is sanitized if
+     * `$.config.sanitize` is enabled
+     *
+     * Example Usage
+     *     $('#user').render('<h2>{{name}}</h2>', {name: 'M K'})
+     *     $('#list').render($.template.fromElement('#list-tpl'), {items})
+     *
+     * @param  {string | function} t The template, or a compiled template
+     * @param  {Object}            d (optional) The data
+     * @param  {Object}            o (optional) Additional options, like in `instance.html`
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    render(t, d, o) {
+        const c = typeof t === 'function' ? t : MQTemplate.compile(t)
+        return this.html(c(d), o)
+    }
+
+    /**
+     * Updates the content of the wrapped HTMLElement to match the given
+     * markup or nodes, changing only what differs, see `MQMorph`
+     *
+     * Unlike `instance.html`, the elements that are kept keep the focus,
+     * the caret, scroll offsets, CSS transitions and the listeners bound using `on`.
+     * Give list items a key, like `<li data-key="42">`, so that they are
+     * matched even when they move
+     *
+     * Strings are not sanitized, use `instance.html(t, {morph: true})` to
+     * sanitize them if `$.config.sanitize` is enabled
+     *
+     * Options:
+     * 1. `key`, the attribute holding the keys, 'data-key' by default, ids are used as keys as well
+     *
+     * Example Usage
+     *     setInterval(async () => $('#stats').morph(await renderStats()), 5000)
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} t The new content, strings are parsed as markup
+     * @param  {Object}                                          o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    morph(t, o) {
+        if (t === undefined) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.morph(t)")
+        return NodeWrapper.#write(this, () => MQMorph.__morph__(this.n, t, o))
+    }
+
+    /**
+     * Allows manipulation of innerText property of the wrapped HTMLElement
+     *
+     * Can be used with 2 signatures
+     * 1. Without arguments, `instance.text()`
+     *     Returns the value of the innerText property
+     * 2. With 1 argument, `instance.text(text)`
+     *     Sets the innerText property to the given argument
+     *
+     * @param  {string} t (optional) The value to write to the innerText property
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    text(t) {
+        if (!t) return this.n.innerText
+        return NodeWrapper.#write(this, () => this.n.innerText = `${t}`)
+    }
+
+    /**
+     * Allows manipulation of value property of the wrapped HTMLElement
+     * Usually used with input elements
+     *
+     * Can be used with 2 signatures
+     * 1. Without arguments, `instance.val()`
+     *     Returns the value of the value property
+     * 2. With 1 argument, `instance.val(val)`
+     *     Sets the value property to the given argument
+     *
+     * Checkboxes, radio buttons and multiple selects are handled specially
+     *     checkbox        : Returns the value if checked, null otherwise.
+     *                       Checks it if given `true`, its value, or an Array containing its value
+     *     radio           : Returns the value of the checked radio button of the group, null if none.
+     *                       Checks the radio button of the group with the given value
+     *     select multiple : Returns an Array of the values of the selected options.
+     *                       Selects the options whose values are in the given Array
+     *
+     * @param  {string | Array | boolean} t The value to write to the value property
+     *
+     * @return {NodeWrapper} The current calling instance (this),
+     *              null if the property 'value' is not defined in the
+     *              wrapped element
+     */
+    val(t) {
+        if (!('value' in this.n)) return null
+        const type = `${this.n.type}`.toLowerCase()
+        if (type === 'checkbox') {
+            if (t === undefined) return this.n.checked ? this.n.value : null
+            this.n.checked = t instanceof Array ? t.map(_ => `${_}`).includes(this.n.value) : (t === true || `${t}` === this.n.value)
+            return this
+        }
+        if (type === 'radio') {
+            const _g = NodeWrapper.#group(this.n)
+            if (t === undefined) {
+                const _ = _g.find(_ => _.checked)
+                return _ ? _.value : null
+            }
+            for (let _ of _g) _.checked = _.value === `${t}`
+            return this
+        }
+        if (type === 'select-multiple') {
+            if (t === undefined) return [...this.n.options].filter(_ => _.selected).map(_ => _.value)
+            const _t = (t instanceof Array ? t : [t]).map(_ => `${_}`)
+            for (let _ of this.n.options) _.selected = _t.includes(_.value)
+            return this
+        }
+        if (t === undefined) return this.n.value
+        this.n.value = `${t}`
+        return this
+    }
+
+    /**
+     * Allows manipulation of CSS properties of the wrapped HTMLElement
+     *
+     * Can be called with 2 signatures
+     *
+     * 1. With 2 arguments, `instance.css(property, value)`
+     *     Applies the given value of the specified property on the wrapped HTMLElement
+     * 2. With 3 arguments, `instance.css(property, value, importance)`
+     *     Applies the given value and importance of the specified property on the wrapped HTMLElement
+     *
+     * @param  {string} p The property to read or write to
+     * @param  {string} v The value to write to the specified property
+     * @param  {string} i (optional) The priority of the value on the specified property
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    css(p, v, i) {
+        if (!p) return this.n.style
+        if (!v) return NodeWrapper.#computed(this.n).getPropertyValue(`${p}`)
+        return NodeWrapper.#write(this, () => this.n.style.setProperty(`${p}`, `${v}`, i))
+    }
+
+    /**
+     * Allows manipulation of the width of the wrapped HTMLElement, as a number of pixels
+     *
+     * The width excludes padding, border and margin, whatever the `box-sizing`
+     *
+     * @param  {number | string} v (optional) The width to set, numbers are in pixels
+     *
+     * @return {NodeWrapper | number} The width if called without arguments,
+     *                                the current calling instance (this) otherwise
+     */
+    width(v) {return NodeWrapper.#size(this, 'width', v)}
+
+    /**
+     * Allows manipulation of the height of the wrapped HTMLElement, as a number of pixels
+     *
+     * The height excludes padding, border and margin, whatever the `box-sizing`
+     *
+     * @param  {number | string} v (optional) The height to set, numbers are in pixels
+     *
+     * @return {NodeWrapper | number} The height if called without arguments,
+     *                                the current calling instance (this) otherwise
+     */
+    height(v) {return NodeWrapper.#size(this, 'height', v)}
+
+    /**
+     * Returns the width of the wrapped HTMLElement including padding, in pixels
+     *
+     * @return {number} The inner width
+     */
+    innerWidth() {return this.width() + NodeWrapper.#edges(this.n, 'width', ['padding'])}
+
+    /**
+     * Returns the height of the wrapped HTMLElement including padding, in pixels
+     *
+     * @return {number} The inner height
+     */
+    innerHeight() {return this.height() + NodeWrapper.#edges(this.n, 'height', ['padding'])}
+
+    /**
+     * Returns the width of the wrapped HTMLElement including padding and border, in pixels
+     *
+     * @param  {boolean} m (optional) Whether to include the margin as well
+     *
+     * @return {number} The outer width
+     */
+    outerWidth(m) {return this.width() + NodeWrapper.#edges(this.n, 'width', m ? ['padding', 'border', 'margin'] : ['padding', 'border'])}
+
+    /**
+     * Returns the height of the wrapped HTMLElement including padding and border, in pixels
+     *
+     * @param  {boolean} m (optional) Whether to include the margin as well
+     *
+     * @return {number} The outer height
+     */
+    outerHeight(m) {return this.height() + NodeWrapper.#edges(this.n, 'height', m ? ['padding', 'border', 'margin'] : ['padding', 'border'])}
+
+    /**
+     * Returns the position of the border box of the wrapped HTMLElement, relative to the document
+     *
+     * @return {Object} The position, as `{top, left}` in pixels
+     */
+    offset() {
+        const r = this.n.getBoundingClientRect()
+        const w = this.n.ownerDocument.defaultView
+        return {top: r.top + (w ? w.scrollY : 0), left: r.left + (w ? w.scrollX : 0)}
+    }
+
+    /**
+     * Returns the position of the margin box of the wrapped HTMLElement,
+     * relative to its offset parent, like CSS `top` and `left` would
+     *
+     * @return {Object} The position, as `{top, left}` in pixels
+     */
+    position() {
+        const c = NodeWrapper.#computed(this.n)
+        return {
+            top: this.n.offsetTop - (parseFloat(c.marginTop) || 0),
+            left: this.n.offsetLeft - (parseFloat(c.marginLeft) || 0),
+        }
+    }
+
+    /**
+     * Allows manipulation of the vertical scroll position of the wrapped HTMLElement
+     *
+     * @param  {number} v (optional) The scroll position to set, in pixels
+     *
+     * @return {NodeWrapper | number} The scroll position if called without arguments,
+     *                                the current calling instance (this) otherwise
+     */
+    scrollTop(v) {
+        if (v === undefined) return this.n.scrollTop
+        return NodeWrapper.#write(this, () => this.n.scrollTop = +v)
+    }
+
+    /**
+     * Allows manipulation of the horizontal scroll position of the wrapped HTMLElement
+     *
+     * @param  {number} v (optional) The scroll position to set, in pixels
+     *
+     * @return {NodeWrapper | number} The scroll position if called without arguments,
+     *                                the current calling instance (this) otherwise
+     */
+    scrollLeft(v) {
+        if (v === undefined) return this.n.scrollLeft
+        return NodeWrapper.#write(this, () => this.n.scrollLeft = +v)
+    }
+
+    /**
+     * Scrolls the wrapped HTMLElement, a scroll container, to a position or to one of its descendants
+     *
+     * Options
+     *     behavior : 'smooth' (default), 'instant' or 'auto'
+     *     offset   : Space to leave above the target, for sticky headers. A number
+     *                of pixels, or the element(s) whose height to leave, like 'header.sticky'
+     *
+     * Example Usage
+     *     $('.chat-log').scrollTo('.message:last-child')
+     *     $('.chat-log').scrollTo({top: 0}, {behavior: 'instant'})
+     *
+     * @param  {number | Object | string | HTMLElement | NodeWrapper} t The vertical position in pixels,
+     *                                                                  an Object `{top, left}`, or the
+     *                                                                  descendant to scroll to
+     * @param  {Object}                                               o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    scrollTo(t, o={}) {
+        let top, left
+        if (typeof t === 'number') top = t
+        else if (t && typeof t === 'object' && ('top' in t || 'left' in t)) ({top, left} = t)
+        else {
+            const _t = typeof t === 'string' ? MQ.__select__(t, [this.n])[0] : MQ.__nodes__(t)[0]
+            if (!_t) throw new MQIllegalArgumentError(`Cannot scroll to ${t}, because it was not found`)
+            const r = _t.getBoundingClientRect(), c = this.n.getBoundingClientRect()
+            top = r.top - c.top - this.n.clientTop + this.n.scrollTop
+            left = r.left - c.left - this.n.clientLeft + this.n.scrollLeft
+        }
+        const _o = {behavior: o.behavior || 'smooth'}
+        if (top !== undefined) _o.top = top - NodeWrapper.#scrollOffset(o.offset, this.n.ownerDocument)
+        if (left !== undefined) _o.left = left
+        if (typeof this.n.scrollTo === 'function') this.n.scrollTo(_o)
+        else {
+            if (_o.top !== undefined) this.n.scrollTop = _o.top
+            if (_o.left !== undefined) this.n.scrollLeft = _o.left
+        }
+        return this
+    }
+
+    /**
+     * Scrolls the ancestors of the wrapped HTMLElement, and the page, so that it is visible
+     *
+     * Options
+     *     behavior : 'smooth' (default), 'instant' or 'auto'
+     *     block    : Vertical alignment, 'start' (default), 'center', 'end' or 'nearest'
+     *     inline   : Horizontal alignment, 'nearest' (default), 'start', 'center' or 'end'
+     *     offset   : Space to leave above the element, for sticky headers. A number
+     *                of pixels, or the element(s) whose height to leave, like 'header.sticky'
+     *
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    scrollIntoView(o={}) {
+        const _m = this.n.style.scrollMarginTop
+        this.n.style.scrollMarginTop = `${NodeWrapper.#scrollOffset(o.offset, this.n.ownerDocument)}px`
+        this.n.scrollIntoView({behavior: o.behavior || 'smooth', block: o.block || 'start', inline: o.inline || 'nearest'})
+        this.n.style.scrollMarginTop = _m
+        return this
+    }
+
+    /**
+     * Checks whether the wrapped HTMLElement is visible in the viewport
+     *
+     * Elements without a size, like hidden elements, are never in the viewport
+     *
+     * @param  {boolean} f (optional) Whether the element must be fully visible, defaults to false
+     *
+     * @return {boolean} `true` if it is in the viewport, `false` otherwise
+     */
+    isInViewport(f) {
+        const r = this.n.getBoundingClientRect()
+        if (r.width === 0 && r.height === 0) return false
+        const d = this.n.ownerDocument
+        const h = (d.defaultView && d.defaultView.innerHeight) || d.documentElement.clientHeight
+        const w = (d.defaultView && d.defaultView.innerWidth) || d.documentElement.clientWidth
+        if (f) return r.top >= 0 && r.left >= 0 && r.bottom <= h && r.right <= w
+        return r.bottom > 0 && r.right > 0 && r.top < h && r.left < w
+    }
+
+    /**
+     * Internal method to read or write the content width or height of an element
+     *
+     * @param  {NodeWrapper}      n The element
+     * @param  {string}           d The dimension, 'width' or 'height'
+     * @param  {number | string}  v (optional) The value to set, numbers are in pixels
+     *
+     * @return {NodeWrapper | number} The dimension if no value is given, the element otherwise
+     */
+    static #size(n, d, v) {
+        const e = () => NodeWrapper.#computed(n.n).boxSizing === 'border-box' ? NodeWrapper.#edges(n.n, d, ['padding', 'border']) : 0
+        if (v === undefined) return Math.max((parseFloat(NodeWrapper.#computed(n.n)[d]) || 0) - e(), 0)
+        return NodeWrapper.#write(n, () => n.n.style[d] = typeof v === 'number' ? `${v + e()}px` : `${v}`)
+    }
+
+    /**
+     * Internal method to sum the padding, border or margin on both sides of an element
+     *
+     * @param  {HTMLElement} n The element
+     * @param  {string}      d The dimension, 'width' for left and right, 'height' for top and bottom
+     * @param  {Array}       b The boxes to sum, any of 'padding', 'border' and 'margin'
+     *
+     * @return {number} The sum, in pixels
+     */
+    static #edges(n, d, b) {
+        const c = NodeWrapper.#computed(n)
+        const sides = d === 'width' ? ['Left', 'Right'] : ['Top', 'Bottom']
+        let _s = 0
+        for (let _ of b) {
+            for (let side of sides) _s += parseFloat(c[_ === 'border' ? `border${side}Width` : `${_}${side}`]) || 0
+        }
+        return _s
+    }
+
+    /**
+     * Internal method to get the computed style of an element, using the
+     * window of its own document
+     *
+     * @param  {HTMLElement} n The element
+     *
+     * @return {CSSStyleDeclaration} The computed style
+     */
+    static #computed(n) {
+        return MQ.__view__(n).getComputedStyle(n)
+    }
+
+    /**
+     * Internal method to apply an operation that writes to the DOM, queued
+     * inside `$.batch`, see `MQScheduler`
+     *
+     * @param  {NodeWrapper} t The instance writing
+     * @param  {function}    c The function writing to the wrapped HTMLElement
+     *
+     * @return {NodeWrapper} The instance writing
+     */
+    static #write(t, c) {
+        if (MQScheduler.__batching__()) MQScheduler.__defer__(c)
+        else c()
+        return t
+    }
+
+    /**
+     * Internal method to resolve the offset option of scrolling methods
+     *
+     * @param  {number | string | HTMLElement | NodeWrapper | MQ} o The offset option
+     * @param  {Document}                                         d The document to query CSS Selectors in
+     *
+     * @return {number} The offset, in pixels
+     */
+    static #scrollOffset(o, d) {
+        if (!o) return 0
+        if (typeof o === 'number') return o
+        return MQ.__nodes__(o, true, d).reduce((_s, _) => _s + _.getBoundingClientRect().height, 0)
+    }
+
+    /**
+     * Adds an event listener to the wrapped HTMLElement
+     *
+     * Can be called with 2 signatures
+     *
+     * 1. With a handler, `instance.on(event, handler, useCapture)`
+     *     Calls the handler whenever the event is dispatched on the wrapped HTMLElement
+     * 2. With a selector and a handler, `instance.on(event, selector, handler, useCapture)`
+     *     Calls the handler whenever the event is dispatched on a descendant
+     *     matching the selector, including descendants added later.
+     *     The handler is called with `this` set to the matching descendant
+     *
+     * Events may be namespaced, like `click.menu`, so that they can be removed
+     * as a group using `instance.off('.menu')`
+     * The namespace 'mq' is reserved for the events dispatched by MKQuery, like
+     * `drop.mq`: handlers bound in it are not called for native events of the same type
+     * Multiple events may be specified by separating them with spaces
+     *
+     * @param  {string}           e The event(s) to add the handler to
+     * @param  {string}           s (optional) CSS Selector of the descendants to delegate to
+     * @param  {function}         c The handler callback function
+     * @param  {boolean | Object} u useCapture argument or options for adding eventListener
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    on(e, s, c, u) {
+        if (typeof s === 'function') [s, c, u] = [null, s, c]
+        if (!e || !c) throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}`)
+        if (typeof c !== 'function') throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}, because ${c} is not a function`)
+        for (let _ of NodeWrapper.#parseEvents(e)) {
+            if (!_.type) throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}, because no event type is specified`)
+            NodeWrapper.#bind(this.n, _.type, _.ns, s, c, u, false)
+        }
+        return this
+    }
+
+    /**
+     * Adds an event listener to the wrapped HTMLElement, which is removed after
+     * it is called for the first time
+     *
+     * Accepts the same signatures as `instance.on`. When used with a selector,
+     * the handler is removed after the first time the event is dispatched on
+     * a matching descendant
+     *
+     * @param  {string}           e The event(s) to add the handler to
+     * @param  {string}           s (optional) CSS Selector of the descendants to delegate to
+     * @param  {function}         c The handler callback function
+     * @param  {boolean | Object} u useCapture argument or options for adding eventListener
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    once(e, s, c, u) {
+        if (typeof s === 'function') [s, c, u] = [null, s, c]
+        if (!e || !c) throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}`)
+        if (typeof c !== 'function') throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}, because ${c} is not a function`)
+        for (let _ of NodeWrapper.#parseEvents(e)) {
+            if (!_.type) throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}, because no event type is specified`)
+            NodeWrapper.#bind(this.n, _.type, _.ns, s, c, u, true)
+        }
+        return this
+    }
+
+    /**
+     * Removes event listeners bound with `on` or `once` from the wrapped HTMLElement
+     *
+     * Can be called with the following signatures
+     *
+     * 1. Without arguments, `instance.off()`
+     *     Removes all the listeners
+     * 2. With an event, `instance.off('click')`
+     *     Removes all the listeners for the event
+     * 3. With a namespace, `instance.off('.menu')` or `instance.off('click.menu')`
+     *     Removes all the listeners in the namespace, optionally only for the event
+     * 4. With a handler, `instance.off('click', handler)` or `instance.off(handler)`
+     *     Removes the given handler, optionally only for the event
+     * 5. With a selector, `instance.off('click', 'li', handler)`
+     *     Removes the listeners delegated to the selector, optionally only the given handler
+     *
+     * @param  {string}   e (optional) The event(s) and/or namespaces to remove
+     * @param  {string}   s (optional) CSS Selector the handlers were delegated to
+     * @param  {function} c (optional) The handler callback function to remove
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    off(e, s, c) {
+        if (typeof e === 'function') [e, s, c] = [undefined, undefined, e]
+        if (typeof s === 'function') [s, c] = [undefined, s]
+        const _e = e ? NodeWrapper.#parseEvents(e) : [{type: null, ns: []}]
+        const _h = NodeWrapper.#handlers.get(this.n) || []
+        for (let _ of [..._h]) {
+            const m = _e.some(q => (!q.type || q.type === _.type) && q.ns.every(ns => _.ns.includes(ns)))
+            if (!m) continue
+            if (s !== undefined && _.selector !== s) continue
+            if (c !== undefined && _.handler !== c) continue
+            NodeWrapper.#unbind(this.n, _)
+        }
+        return this
+    }
+
+    /**
+     * Binds a handler to keyboard shortcuts typed while the focus is inside
+     * the wrapped HTMLElement
+     *
+     * See `MQHotkeys.bind` for the shortcuts and the options
+     *
+     * @param  {string}   k The shortcut(s), like `mod+s` or `g i`
+     * @param  {function} c The handler
+     * @param  {Object}   o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    hotkeys(k, c, o) {
+        MQHotkeys.bind(k, c, {...o, element: this.n})
+        return this
+    }
+
+    /**
+     * Makes the wrapped HTMLElement draggable with any pointer, mouse, touch or pen
+     *
+     * The element follows the pointer using a CSS transform, and the
+     * following events are dispatched on it, `event.detail` holds the
+     * translation `x` and `y` of the current drag
+     * 1. `dragstart.mq`, cancelling it using `preventDefault` cancels the drag
+     * 2. `dragmove.mq`, with the drop target under the pointer as `target`
+     * 3. `dragend.mq`, with `dropped` and the drop `target`
+     *
+     * Options:
+     * 1. `axis`, 'x' or 'y' to only move along that axis
+     * 2. `containment`, 'parent', 'viewport', an element, a CSS Selector or
+     *     bounds `{left, top, right, bottom}` to keep the element inside
+     * 3. `grid`, a step in pixels, or `[x, y]` steps, to snap to
+     * 4. `handle`, a CSS Selector of the parts of the element to drag it by
+     * 5. `cancel`, a CSS Selector of the parts never starting a drag,
+     *     form controls by default
+     * 6. `threshold`, the distance in pixels to move before the drag starts, 3 by default
+     * 7. `revert`, if true, the element goes back where it was when not dropped on a drop target
+     *
+     * Use `instance.draggable(false)` to stop
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    draggable(o) {
+        MQPointer.__draggable__(this.n, o)
+        return this
+    }
+
+    /**
+     * Makes the wrapped HTMLElement a drop target for elements made draggable
+     * using `draggable`
+     *
+     * The following events are dispatched on it, `event.detail.draggable`
+     * holds the dragged element
+     * 1. `dragenter.mq`, when an accepted element is dragged over
+     * 2. `dragleave.mq`, when it is dragged out
+     * 3. `drop.mq`, when it is dropped
+     *
+     * Options:
+     * 1. `accept`, a CSS Selector or a function receiving the dragged element
+     *     wrapped in a NodeWrapper, to restrict the accepted elements
+     * 2. `hoverClass`, the class added while an accepted element is over,
+     *     'mq-drop-hover' by default
+     * 3. `activeClass`, the class added while an accepted element is dragged,
+     *     'mq-drop-active' by default
+     *
+     * Use `instance.droppable(false)` to stop
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    droppable(o) {
+        MQPointer.__droppable__(this.n, o)
+        return this
+    }
+
+    /**
+     * Lets the children of the wrapped HTMLElement be reordered by dragging them
+     *
+     * The following events are dispatched, `event.detail.item` holds the moved child
+     * 1. `sortstart.mq`, cancelling it using `preventDefault` cancels the sorting
+     * 2. `sortchange.mq`, on the container, every time the child moves
+     * 3. `sortupdate.mq`, on the receiving container, if the order changed,
+     *     with `from`, `to`, `oldIndex` and `newIndex`
+     * 4. `sortend.mq`, on the container the sorting started in
+     *
+     * Options:
+     * 1. `items`, a CSS Selector of the sortable children, all children by default
+     * 2. `axis`, 'x' for horizontal lists, 'y' by default
+     * 3. `group`, a name shared with other sortable containers children can be moved to
+     * 4. `handle`, `cancel` and `threshold`, like in `instance.draggable`
+     *
+     * Use `instance.sortable(false)` to stop
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    sortable(o) {
+        MQPointer.__sortable__(this.n, o)
+        return this
+    }
+
+    /**
+     * Recognizes swipes, long presses and pinches on the wrapped HTMLElement
+     *
+     * The following events are dispatched on it
+     * 1. `swipe.mq`, with `direction` ('left', 'right', 'up' or 'down'), `dx`, `dy` and `velocity`
+     * 2. `longpress.mq`, with the `x` and `y` of the pointer
+     * 3. `pinch.mq`, while two pointers move, with the `scale` and the `center`
+     *
+     * Options:
+     * 1. `swipe`, false to disable, or `{threshold, timeout}`, 30px in 500ms by default
+     * 2. `longpress`, false to disable, or `{duration, tolerance}`, 500ms without moving 10px by default
+     * 3. `pinch`, false to disable
+     * 4. `touchAction`, the CSS touch-action of the element, 'none' by default
+     *
+     * Use `instance.gestures(false)` to stop
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    gestures(o) {
+        MQPointer.__gestures__(this.n, o)
+        return this
+    }
+
+    /**
+     * Makes the wrapped HTMLElement an outlet of a router, the content
+     * returned by the route handlers replaces its children on navigation
+     *
+     * Strings are written using `instance.html`, so they are sanitized if
+     * `$.config.sanitize` is enabled, elements, NodeWrapper and MQ instances
+     * are appended. Returning `undefined` leaves the content as is
+     *
+     * @param  {MQRouter} r (optional) The router, defaults to `$.router`
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    outlet(r=$.router) {
+        r.__outlet__(this.n)
+        return this
+    }
+
+    /**
+     * Traps the focus inside the wrapped HTMLElement, like for a modal dialog,
+     * until `instance.releaseFocus()` is called or the element is removed
+     *
+     * The first focusable element inside receives the focus, and Tab and
+     * Shift+Tab cycle through the focusable elements inside. Traps may be
+     * nested, only the latest one is active
+     *
+     * Options:
+     * 1. `initial`, the element to focus first, or a CSS Selector of it
+     * 2. `restore`, whether to focus the element focused before the trap once it is released, defaults to true
+     *
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    trapFocus(o) {
+        MQA11y.__trap__(this.n, o)
+        return this
+    }
+
+    /**
+     * Releases the focus trap of the wrapped HTMLElement, see `instance.trapFocus`
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    releaseFocus() {
+        MQA11y.__untrap__(this.n)
+        return this
+    }
+
+    /**
+     * Makes the wrapped HTMLElement a roving tabindex item, see `MQ.rovingFocus`
+     *
+     * Only exists for compatibility with MQ, a single item always keeps the focus
+     *
+     * @param  {Object | false} o (optional) Additional options
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    rovingFocus(o) {
+        MQA11y.__roving__([this.n], o)
+        return this
+    }
+
+    /**
+     * Appends the given args to the wrapped HTMLElement
+     *
+     * Strings are parsed as markup if surrounded by angle brackets, and used
+     * as CSS Selectors of existing elements to move otherwise
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to add to the wrapped HTMLElement
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    append(...n) {
+        MQ.__insert__([this.n], MQ.__nodes__(n, false, this.n.ownerDocument), 'append')
+        return this
+    }
+
+    /**
+     * Inserts the given args at the start of the wrapped HTMLElement
+     *
+     * Strings are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to add to the wrapped HTMLElement
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    prepend(...n) {
+        MQ.__insert__([this.n], MQ.__nodes__(n, false, this.n.ownerDocument), 'prepend')
+        return this
+    }
+
+    /**
+     * Inserts the given args before the wrapped HTMLElement, as its previous siblings
+     *
+     * Strings are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to insert
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    before(...n) {
+        MQ.__insert__([this.n], MQ.__nodes__(n, false, this.n.ownerDocument), 'before')
+        return this
+    }
+
+    /**
+     * Inserts the given args after the wrapped HTMLElement, as its next siblings
+     *
+     * Strings are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to insert
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    after(...n) {
+        MQ.__insert__([this.n], MQ.__nodes__(n, false, this.n.ownerDocument), 'after')
+        return this
+    }
+
+    /**
+     * Appends the wrapped HTMLElement to a given parent element
+     *
+     * If there are several parent elements, a copy of the wrapped HTMLElement
+     * is appended to each of them except the last, which gets the original
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The parent element(s) to add to,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    appendTo(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.n.ownerDocument), [this.n], 'append')
+        return this
+    }
+
+    /**
+     * Inserts the wrapped HTMLElement at the start of a given parent element
+     *
+     * Several parent elements are handled like in `instance.appendTo`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The parent element(s) to add to,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    prependTo(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.n.ownerDocument), [this.n], 'prepend')
+        return this
+    }
+
+    /**
+     * Inserts the wrapped HTMLElement before a given element
+     *
+     * Several elements are handled like in `instance.appendTo`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The element(s) to insert before,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    insertBefore(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.n.ownerDocument), [this.n], 'before')
+        return this
+    }
+
+    /**
+     * Inserts the wrapped HTMLElement after a given element
+     *
+     * Several elements are handled like in `instance.appendTo`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The element(s) to insert after,
+     *                                                              strings are used as CSS Selectors
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    insertAfter(n) {
+        MQ.__insert__(MQ.__nodes__(n, true, this.n.ownerDocument), [this.n], 'after')
+        return this
+    }
+
+    /**
+     * Replaces the wrapped HTMLElement with the given args
+     *
+     * Event handlers bound using `on` are removed from the wrapped HTMLElement
+     * and its descendants, like with `instance.remove()`
+     * Strings are handled like in `instance.append`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | MQ | Array} n The elements to replace with
+     *
+     * @return {NodeWrapper} The current calling instance (this), no longer in the document
+     */
+    replaceWith(...n) {
+        NodeWrapper.#cleanup(this.n)
+        MQ.__insert__([this.n], MQ.__nodes__(n, false, this.n.ownerDocument), 'replaceWith')
+        return this
+    }
+
+    /**
+     * Removes the wrapped HTMLElement from the document
+     *
+     * Event handlers bound using `on`, and animations, are removed from the
+     * wrapped HTMLElement and its descendants. Use `instance.detach()` to keep them
+     *
+     * @param  {string} s (optional) CSS Selector the wrapped HTMLElement must match to be removed
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    remove(s) {
+        if (s !== undefined && !this.is(s)) return this
+        NodeWrapper.#cleanup(this.n)
+        this.n.remove()
+        return this
+    }
+
+    /**
+     * Removes the wrapped HTMLElement from the document, keeping its event
+     * handlers so that it can be inserted again later
+     *
+     * @param  {string} s (optional) CSS Selector the wrapped HTMLElement must match to be removed
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    detach(s) {
+        if (s !== undefined && !this.is(s)) return this
+        this.n.remove()
+        return this
+    }
+
+    /**
+     * Removes all the children of the wrapped HTMLElement
+     *
+     * Event handlers bound using `on` are removed from the children and
+     * their descendants, like with `instance.remove()`
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    empty() {
+        for (let _ of this.n.children) NodeWrapper.#cleanup(_)
+        this.n.textContent = ''
+        return this
+    }
+
+    /**
+     * Creates a copy of the wrapped HTMLElement
+     *
+     * @param  {boolean} d (optional) Whether to copy the descendants, defaults to true
+     * @param  {boolean} h (optional) Whether to copy the event handlers bound using `on`, and
+     *                     the data kept in memory by `data`, of the element and its descendants,
+     *                     defaults to false
+     *
+     * @return {NodeWrapper} The copy
+     */
+    clone(d=true, h=false) {
+        const c = this.n.cloneNode(d)
+        if (h) {
+            const _s = d ? [this.n, ...this.n.querySelectorAll('*')] : [this.n]
+            const _c = d ? [c, ...c.querySelectorAll('*')] : [c]
+            _s.forEach((e, i) => {
+                for (let r of NodeWrapper.#handlers.get(e) || []) {
+                    NodeWrapper.#bind(_c[i], r.type, r.ns, r.selector, r.handler, r.options, r.once)
+                }
+                if (NodeWrapper.#data.has(e)) NodeWrapper.#data.set(_c[i], new Map(NodeWrapper.#data.get(e)))
+            })
+        }
+        return new NodeWrapper(c)
+    }
+
+    /**
+     * Wraps the wrapped HTMLElement in a copy of the given element
+     *
+     * The wrapped HTMLElement is placed in the innermost first descendant of the copy
+     *
+     * Example Usage
+     *     $('img#photo').wrap('<figure><div class="frame"></div></figure>')
+     *
+     * @param  {string | HTMLElement | NodeWrapper} w The element to wrap with,
+     *                                                strings are parsed as markup or used as CSS Selectors
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    wrap(w) {
+        MQ.__wrap__([this.n], w)
+        return this
+    }
+
+    /**
+     * Wraps the wrapped HTMLElement in a copy of the given element
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.wrapAll()` on results from `$`
+     *
+     * @param  {string | HTMLElement | NodeWrapper} w The element to wrap with
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    wrapAll(w) {return this.wrap(w)}
+
+    /**
+     * Removes the parent of the wrapped HTMLElement, keeping the parent's
+     * children in its place
+     *
+     * @param  {string} s (optional) CSS Selector the parent must match to be removed
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    unwrap(s) {
+        MQ.__unwrap__([this.n], s)
+        return this
+    }
+
+    /**
+     * Returns the HTMLElement wrapped by this instance
+     *
+     * @return {HTMLElement} the HTMLElement wrapped by this instance
+     */
+    get() {return this.n}
+
+    /**
+     * Adds a CSS class to the wrapped HTMLElement
+     *
+     * @param  {string} c variable number of strings, each being a class to add
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    addClass(...c) {
+        if (!c) throw new MQIllegalArgumentError(`Cannot add class ${c}`)
+        return NodeWrapper.#write(this, () => {
+            for(let _ of c) {
+                this.n.classList.add(_)
+            }
+        })
+    }
+
+    /**
+     * Removes a CSS class to the wrapped HTMLElement
+     *
+     * @param  {string} c variable number of strings, each being a class to remove
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    removeClass(...c) {
+        if (!c) throw new MQIllegalArgumentError(`Cannot add class ${c}`)
+        return NodeWrapper.#write(this, () => {
+            for(let _ of c) {
+                this.n.classList.remove(_)
+            }
+        })
+    }
+
+    /**
+     * Finds a given HTMLElement in the wrapped HTMLElement
+     *
+     * If key 'pierce' is true in the options argument, open shadow roots
+     * inside the wrapped HTMLElement are searched as well
+     *
+     * @param  {string} n The CSS Selector of the HTMLElement to find
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {NodeWrapper}  The element if found, null otherwise
+     */
+    find(n, o={}) {
+        if (typeof n === 'string') {
+            const _ = MQ.__select__(n, [this.n], !!o.pierce)[0]
+            if (_) return new NodeWrapper(_)
+            return null
+        } else {
+            throw new MQIllegalArgumentError("Can only find by by CSS Selector")
+        }
+    }
+
+    /**
+     * Checks whether a given HTMLElement in the wrapped HTMLElement
+     *
+     * @param  {HTMLElement | NodeWrapper} n The HTMLElement to find
+     *
+     * @return {boolean} `true` if found, `false` otherwise
+     */
+    contains(n) {
+        if (n instanceof NodeWrapper) {
+            return this.n.contains(n.get())
+        }
+        else if (n && n.nodeType && n.nodeType === n.ELEMENT_NODE) {
+            return this.n.contains(n)
+        }
+        else {
+            throw new MQIllegalArgumentError("contains can only find HTMLElement or NodeWrapper objects")
+        }
+    }
+
+    /**
+     * Returns the current calling object
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.first()` on results from `$`
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    first() {return this}
+
+    /**
+     * Returns the current calling object
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.last()` on results from `$`
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    last() {return this}
+
+    /**
+     * Returns the current calling object, if the index is 0 or -1
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.nth()` on results from `$`
+     *
+     * @param  {number} n The index of the element to retrieve
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    nth(n) {
+        n = parseInt(n)
+        if (isNaN(n)) throw new MQIllegalArgumentError("Illegal Argument")
+        if (n !== 0 && n !== -1) throw new MQIndexOutOfBoundsError("Index Out Of Bounds")
+        return this
+    }
+
+    /**
+     * Maps the given function on the current calling object
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.map()` on results from `$`
+     *
+     * @param  {function} c The function to apply
+     *
+     * @return {Array} A one element Array containing the mapped value
+     */
+    map(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError("Illegal Argument")
+        return [c(this)]
+    }
+
+    /**
+     * Returns a one element Array containing the wrapped HTMLElement
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.toArray()` on results from `$`
+     *
+     * @return {Array} a one element Array containing the wrapped HTMLElement
+     */
+    toArray() {return [this.n]}
+
+    /**
+     * Returns the position of the wrapped HTMLElement
+     *
+     * Can be called with 2 signatures
+     *
+     * 1. Without arguments, `instance.index()`
+     *     Returns the position of the wrapped HTMLElement among its siblings
+     * 2. With 1 argument, `instance.index(element)`
+     *     Returns 0 if the given element is the wrapped HTMLElement, -1 otherwise
+     *
+     * @param  {HTMLElement | NodeWrapper} n (optional) The element to look for
+     *
+     * @return {number} The position of the element, -1 if it is not found
+     */
+    index(n) {
+        if (n === undefined) return this.n.parentElement ? [...this.n.parentElement.children].indexOf(this.n) : 0
+        return MQ.__matches__(this, n, 0) ? 0 : -1
+    }
+
+    /**
+     * Returns the parent of the wrapped HTMLElement
+     *
+     * @param  {string} s (optional) CSS Selector the parent must match
+     *
+     * @return {MQ | NodeWrapper} The parent element, or an empty MQ instance
+     *                            if it does not exist or does not match
+     */
+    parent(s) {return NodeWrapper.#traverse(this, [this.n.parentElement], s)}
+
+    /**
+     * Returns the ancestors of the wrapped HTMLElement, from the closest to the furthest
+     *
+     * @param  {string} s (optional) CSS Selector the ancestors must match
+     *
+     * @return {MQ | NodeWrapper} The matching ancestors
+     */
+    parents(s) {
+        const _l = []
+        for (let _ = this.n.parentElement; _; _ = _.parentElement) _l.push(_)
+        return NodeWrapper.#traverse(this, _l, s, 'list')
+    }
+
+    /**
+     * Returns the closest element matching a selector, starting from the
+     * wrapped HTMLElement and moving up through its ancestors
+     *
+     * @param  {string} s CSS Selector the element must match
+     *
+     * @return {MQ | NodeWrapper} The closest matching element, or an empty MQ
+     *                            instance if none match
+     */
+    closest(s) {
+        if (typeof s !== 'string') throw new MQIllegalArgumentError("Can only find closest by CSS Selector")
+        return NodeWrapper.#traverse(this, [MQSelector.closest(this.n, s)])
+    }
+
+    /**
+     * Returns the children of the wrapped HTMLElement
+     *
+     * @param  {string} s (optional) CSS Selector the children must match
+     *
+     * @return {MQ | NodeWrapper} The matching children
+     */
+    children(s) {return NodeWrapper.#traverse(this, [...this.n.children], s)}
+
+    /**
+     * Returns the siblings of the wrapped HTMLElement, excluding itself
+     *
+     * @param  {string} s (optional) CSS Selector the siblings must match
+     *
+     * @return {MQ | NodeWrapper} The matching siblings
+     */
+    siblings(s) {
+        const _p = this.n.parentElement
+        return NodeWrapper.#traverse(this, _p ? [..._p.children].filter(_ => _ !== this.n) : [], s)
+    }
+
+    /**
+     * Returns the sibling immediately following the wrapped HTMLElement
+     *
+     * @param  {string} s (optional) CSS Selector the sibling must match
+     *
+     * @return {MQ | NodeWrapper} The next sibling, or an empty MQ instance
+     *                            if it does not exist or does not match
+     */
+    next(s) {return NodeWrapper.#traverse(this, [this.n.nextElementSibling], s)}
+
+    /**
+     * Returns the sibling immediately preceding the wrapped HTMLElement
+     *
+     * @param  {string} s (optional) CSS Selector the sibling must match
+     *
+     * @return {MQ | NodeWrapper} The previous sibling, or an empty MQ instance
+     *                            if it does not exist or does not match
+     */
+    prev(s) {return NodeWrapper.#traverse(this, [this.n.previousElementSibling], s)}
+
+    /**
+     * Finds all the HTMLElements in the wrapped HTMLElement matching a selector
+     *
+     * Unlike `instance.find`, which returns only the first match, every
+     * match is returned
+     *
+     * If key 'pierce' is true in the options argument, open shadow roots
+     * inside the wrapped HTMLElement are searched as well
+     *
+     * @param  {string} s The CSS Selector of the HTMLElements to find
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {MQ | NodeWrapper} The matching elements
+     */
+    findAll(s, o={}) {
+        if (typeof s !== 'string') throw new MQIllegalArgumentError("Can only find by by CSS Selector")
+        return NodeWrapper.#traverse(this, MQ.__select__(s, [this.n], !!o.pierce))
+    }
+
+    /**
+     * Checks whether the wrapped HTMLElement matches a selector, an element, or a function
+     *
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to match
+     *
+     * @return {boolean} `true` if it matches, `false` otherwise
+     */
+    is(s) {return MQ.__matches__(this, s, 0)}
+
+    /**
+     * Returns the wrapped HTMLElement if it matches a selector, an element, or a function
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.filter()` on results from `$`
+     *
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to match
+     *
+     * @return {MQ | NodeWrapper} The current element if it matches, an empty MQ instance otherwise
+     */
+    filter(s) {return NodeWrapper.#traverse(this, this.is(s) ? [this.n] : [])}
+
+    /**
+     * Returns the wrapped HTMLElement if it does not match a selector, an element, or a function
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.not()` on results from `$`
+     *
+     * @param  {string | function | HTMLElement | NodeWrapper | MQ} s The criteria to not match
+     *
+     * @return {MQ | NodeWrapper} The current element if it does not match, an empty MQ instance otherwise
+     */
+    not(s) {return NodeWrapper.#traverse(this, this.is(s) ? [] : [this.n])}
+
+    /**
+     * Returns the wrapped HTMLElement if it has a descendant matching a
+     * selector, or contains a given element
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.has()` on results from `$`
+     *
+     * @param  {string | HTMLElement | NodeWrapper} s The descendant to look for
+     *
+     * @return {MQ | NodeWrapper} The current element if it has the descendant, an empty MQ instance otherwise
+     */
+    has(s) {
+        const _ = typeof s === 'string' ? this.find(s) !== null : (s !== this.n && this.contains(s))
+        return NodeWrapper.#traverse(this, _ ? [this.n] : [])
+    }
+
+    /**
+     * Returns the selection this instance was created from by a traversal
+     * or filtering method
+     *
+     * @return {MQ | NodeWrapper} The previous selection, or an empty MQ
+     *                            instance if there is none
+     */
+    end() {return this.__prev__ || MQ.__from__([])}
+
+    /**
+     * Internal method to turn the results of a traversal into a new selection
+     *
+     * @param  {NodeWrapper} t The instance the traversal started from
+     * @param  {Array}       l The elements found by the traversal, may contain null
+     * @param  {string}      s (optional) CSS Selector the elements must match
+     * @param  {string}      o (optional) The order of the elements, see `MQ.__from__`
+     *
+     * @return {MQ | NodeWrapper} The new selection
+     */
+    static #traverse(t, l, s, o) {
+        l = l.filter(_ => _)
+        if (s !== undefined) l = l.filter(_ => MQ.__matches__(_, s))
+        return MQ.__from__(l, t, undefined, o)
+    }
+
+    /**
+     * Internal method to split a space separated list of events into
+     * their types and namespaces
+     *
+     * @param  {string} e The event(s) to parse, like `click.menu keydown`
+     *
+     * @return {Array} Objects with the `type` and the `ns` (namespaces) of each event
+     */
+    static #parseEvents(e) {
+        return `${e}`.trim().split(/\s+/).filter(_ => _).map(_ => {
+            const [type, ...ns] = _.split('.')
+            return {type, ns: ns.filter(q => q)}
+        })
+    }
+
+    /**
+     * Internal method to add an event listener and record it in the handler registry
+     *
+     * @param  {HTMLElement}      n    The element to add the listener to
+     * @param  {string}           type The event type
+     * @param  {Array}            ns   The namespaces of the event
+     * @param  {string}           s    CSS Selector of the descendants to delegate to, if any
+     * @param  {function}         c    The handler callback function
+     * @param  {boolean | Object} u    useCapture argument or options for adding eventListener
+     * @param  {boolean}          once Whether to remove the listener after its first call
+     */
+    static #bind(n, type, ns, s, c, u, once) {
+        if (s) MQSelector.compile(s, MQ.__document__(n))
+        const r = {type, ns, selector: s || null, handler: c, options: u, once}
+        r.capture = (u && typeof u === 'object') ? !!u.capture : !!u
+        r.listener = function (event) {
+            if (event.namespace && !event.namespace.split('.').every(_ => r.ns.includes(_))) return
+            if (!event.namespace && r.ns.includes('mq')) return
+            let t = this
+            if (r.selector) {
+                const _ = event.target && (event.target.closest ? event.target : event.target.parentElement)
+                t = _ && MQSelector.closest(_, r.selector)
+                if (!t || t === n || !n.contains(t)) return
+            }
+            if (once) NodeWrapper.#unbind(n, r)
+            return c.call(t, event)
+        }
+        if (!NodeWrapper.#handlers.has(n)) NodeWrapper.#handlers.set(n, [])
+        NodeWrapper.#handlers.get(n).push(r)
+        n.addEventListener(type, r.listener, u)
+    }
+
+    /**
+     * Internal method to release what the library holds for an element and
+     * its descendants before they are removed from the document
+     *
+     * Removes the event listeners bound using `on`, the data kept in memory
+     * by `data`, the shortcuts bound using `hotkeys`, the drop targets and
+     * sortable containers, focus traps, and stops animations
+     *
+     * @param  {HTMLElement} n The element being removed
+     */
+    static #cleanup(n) {
+        for (let e of [n, ...n.querySelectorAll('*')]) {
+            for (let r of [...(NodeWrapper.#handlers.get(e) || [])]) NodeWrapper.#unbind(e, r)
+            NodeWrapper.#data.delete(e)
+            MQHotkeys.__release__(e)
+            MQPointer.__release__(e)
+            MQA11y.__release__(e)
+            if (NodeWrapper.#fx.has(e)) new NodeWrapper(e).stop()
+        }
+    }
+
+    /**
+     * Internal method to remove an event listener and its record from the handler registry
+     *
+     * @param  {HTMLElement} n The element to remove the listener from
+     * @param  {Object}      r The record of the listener, as created by `NodeWrapper.#bind`
+     */
+    static #unbind(n, r) {
+        n.removeEventListener(r.type, r.listener, r.capture)
+        const _h = NodeWrapper.#handlers.get(n)
+        if (!_h) return
+        const i = _h.indexOf(r)
+        if (i >= 0) _h.splice(i, 1)
+        if (_h.length === 0) NodeWrapper.#handlers.delete(n)
+    }
+
+    /**
+     * Internal method to wrap instances with a proxy
+     *
+     * @param  {NodeWrapper} t The instance to wrap
+     */
+    static #proxify(t) {
+        if (t.__isProxy) return t
+        t.__isProxy = true
+        return new Proxy(t, {
+            get: (_t, p, r) => {
+                return (p in _t) ? _t[p] : t.n[p]
+            },
+            set: (_t, p, v, r) => {
+                if (p in _t) {
+                    _t[p] = v
+                }
+                else {
+                    t.n[p] = v
+                }
+                return true
+            },
+        })
+    }
+
+    /**
+     * Returns a one element Array containing the current calling object
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.list()` on results from `$`
+     *
+     * @return {Array} a one element Array containing the current calling object
+     */
+    list() {return [this]}
+
+    /**
+     * Allows manipulation of HTML attributes of the wrapped HTMLElement
+     *
+     * Can be called with 4 signatures
+     *
+     * 1. Without arguments, `instance.attr()`
+     *     Returns an Object of all the attributes of the wrapped HTMLElement
+     * 2. With 1 argument, `instance.attr(name)`
+     *     Returns the value of the specified attribute, or null if it is not set
+     * 3. With 2 arguments, `instance.attr(name, value)`
+     *     Sets the specified attribute to the given value. If the value is
+     *     `null`, `undefined` or `false` the attribute is removed, if `true`
+     *     the attribute is set without a value, like `disabled`
+     *     Returns the current calling instance
+     * 4. With an Object, `instance.attr({name: value})`
+     *     Sets each attribute like in signature #3
+     *     Returns the current calling instance
+     *
+     * If `$.config.legacyAttr` is true, reads and writes data attributes
+     * instead, like in earlier versions. See `instance.data` for data attributes
+     *
+     * @param  {string | Object} a The attribute to read or write to, or an Object of attributes to write
+     * @param  {*}               v The value to write to the specified attribute
+     *
+     * @return {NodeWrapper | Object | string} The attributes of the HTMLElement if called by signature #1
+     *                                         The value of the attribute if called by signature #2
+     *                                         The current calling instance (this) if called by signatures #3 or #4
+     */
+    attr(a, v) {
+        if ($.config.legacyAttr) {
+            if (!a) return this.n.dataset
+            if (!v) return this.n.dataset[`${a}`]
+            return NodeWrapper.#write(this, () => this.n.dataset[`${a}`] = v)
+        }
+        if (a === undefined) return Object.fromEntries([...this.n.attributes].map(_ => [_.name, _.value]))
+        if (a && typeof a === 'object') {
+            for (let _ of Object.keys(a)) this.attr(_, a[_])
+            return this
+        }
+        if (arguments.length < 2) return this.n.getAttribute(`${a}`)
+        return NodeWrapper.#write(this, () => {
+            if (v === null || v === undefined || v === false) this.n.removeAttribute(`${a}`)
+            else this.n.setAttribute(`${a}`, v === true ? '' : `${v}`)
+        })
+    }
+
+    /**
+     * Removes HTML attributes from the wrapped HTMLElement
+     *
+     * @param  {...string} a The attributes to remove, may also be separated by spaces
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    removeAttr(...a) {
+        return NodeWrapper.#write(this, () => {
+            for (let _ of a.flatMap(_ => `${_}`.split(/\s+/)).filter(_ => _)) this.n.removeAttribute(_)
+        })
+    }
+
+    /**
+     * Allows manipulation of DOM properties of the wrapped HTMLElement,
+     * like `checked`, `value` or `selectedIndex`
+     *
+     * Can be called with 3 signatures
+     *
+     * 1. With 1 argument, `instance.prop(name)`
+     *     Returns the value of the specified property
+     * 2. With 2 arguments, `instance.prop(name, value)`
+     *     Sets the specified property to the given value
+     *     Returns the current calling instance
+     * 3. With an Object, `instance.prop({name: value})`
+     *     Sets each property like in signature #2
+     *     Returns the current calling instance
+     *
+     * @param  {string | Object} p The property to read or write to, or an Object of properties to write
+     * @param  {*}               v The value to write to the specified property
+     *
+     * @return {NodeWrapper | *} The value of the property if called by signature #1
+     *                           The current calling instance (this) if called by signatures #2 or #3
+     */
+    prop(p, v) {
+        if (p && typeof p === 'object') {
+            for (let _ of Object.keys(p)) this.prop(_, p[_])
+            return this
+        }
+        if (typeof p !== 'string' || !p) throw new MQIllegalArgumentError("Property must be specified")
+        if (arguments.length < 2) return this.n[p]
+        return NodeWrapper.#write(this, () => this.n[p] = v)
+    }
+
+    /**
+     * Allows manipulation of ARIA attributes of the wrapped HTMLElement
+     *
+     * Names may be given with or without the 'aria-' prefix, so
+     * `instance.aria('expanded')` reads `aria-expanded`
+     *
+     * Can be called with 3 signatures
+     *
+     * 1. With 1 argument, `instance.aria(name)`
+     *     Returns the value of the attribute, `true` or `false` for 'true'
+     *     and 'false', or null if it is not set
+     * 2. With 2 arguments, `instance.aria(name, value)`
+     *     Sets the attribute to the given value. Booleans are written as
+     *     'true' and 'false', arrays of ids are joined by spaces, and `null`
+     *     or `undefined` removes the attribute
+     *     Returns the current calling instance
+     * 3. With an Object, `instance.aria({name: value})`
+     *     Sets each attribute like in signature #2
+     *     Returns the current calling instance
+     *
+     * @param  {string | Object} a The attribute to read or write to, or an Object of attributes to write
+     * @param  {*}               v The value to write to the specified attribute
+     *
+     * @return {NodeWrapper | boolean | string} The value of the attribute if called by signature #1
+     *                                          The current calling instance (this) if called by signatures #2 or #3
+     */
+    aria(a, v) {
+        if (a && typeof a === 'object') {
+            for (let _ of Object.keys(a)) this.aria(_, a[_])
+            return this
+        }
+        if (typeof a !== 'string' || !a) throw new MQIllegalArgumentError("No arguments specified for NodeWrapper.aria(a)")
+        const name = a.startsWith('aria-') ? a : `aria-${a}`
+        if (arguments.length < 2) {
+            const _ = this.n.getAttribute(name)
+            return _ === 'true' ? true : _ === 'false' ? false : _
+        }
+        return NodeWrapper.#write(this, () => {
+            if (v === null || v === undefined) this.n.removeAttribute(name)
+            else this.n.setAttribute(name, v instanceof Array ? v.join(' ') : `${v}`)
+        })
+    }
+
+    /**
+     * Allows typed access to the data of the wrapped HTMLElement
+     *
+     * Values read from data attributes are parsed, so `data-count="3"` is read
+     * as the number 3, `data-open="true"` as a boolean, `data-opts='{"a": 1}'`
+     * as an Object, and `data-empty="null"` as null. Other values are strings.
+     *
+     * Strings, numbers, booleans, null, and plain Objects and Arrays are
+     * written to data attributes (Objects and Arrays as JSON). Other values,
+     * like functions, elements or class instances, are kept in memory and
+     * are never written to the document
+     *
+     * Keys may be written camelCased or dashed, `data('userId')` and
+     * `data('user-id')` both refer to `data-user-id`
+     *
+     * Can be called with 4 signatures
+     *
+     * 1. Without arguments, `instance.data()`
+     *     Returns an Object of all the data of the wrapped HTMLElement
+     * 2. With 1 argument, `instance.data(key)`
+     *     Returns the value of the specified key, or undefined if it is not set
+     * 3. With 2 arguments, `instance.data(key, value)`
+     *     Sets the specified key to the given value
+     *     Returns the current calling instance
+     * 4. With an Object, `instance.data({key: value})`
+     *     Sets each key like in signature #3
+     *     Returns the current calling instance
+     *
+     * @param  {string | Object} k The key to read or write to, or an Object of keys to write
+     * @param  {*}               v The value to write to the specified key
+     *
+     * @return {NodeWrapper | Object | *} The data of the HTMLElement if called by signature #1
+     *                                    The value of the key if called by signature #2
+     *                                    The current calling instance (this) if called by signatures #3 or #4
+     */
+    data(k, v) {
+        const store = NodeWrapper.#data.get(this.n)
+        if (k === undefined) {
+            const _d = {}
+            for (let _ of Object.keys(this.n.dataset)) _d[_] = NodeWrapper.#parseData(this.n.dataset[_])
+            if (store) for (let [_, _v] of store) _d[_] = _v
+            return _d
+        }
+        if (k && typeof k === 'object') {
+            for (let _ of Object.keys(k)) this.data(_, k[_])
+            return this
+        }
+        k = NodeWrapper.#dataKey(k)
+        if (arguments.length < 2) {
+            if (store && store.has(k)) return store.get(k)
+            return k in this.n.dataset ? NodeWrapper.#parseData(this.n.dataset[k]) : undefined
+        }
+        const _s = NodeWrapper.#serializeData(v)
+        return NodeWrapper.#write(this, () => {
+            const _m = NodeWrapper.#data.get(this.n)
+            if (_s === undefined) {
+                if (!_m) NodeWrapper.#data.set(this.n, new Map([[k, v]]))
+                else _m.set(k, v)
+                delete this.n.dataset[k]
+            }
+            else {
+                if (_m) _m.delete(k)
+                this.n.dataset[k] = _s
+            }
+        })
+    }
+
+    /**
+     * Removes data from the wrapped HTMLElement, both from data attributes and from memory
+     *
+     * @param  {...string} k (optional) The keys to remove, all data is removed if not specified
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    removeData(...k) {
+        return NodeWrapper.#write(this, () => {
+            const store = NodeWrapper.#data.get(this.n)
+            if (k.length === 0) {
+                NodeWrapper.#data.delete(this.n)
+                for (let _ of Object.keys(this.n.dataset)) delete this.n.dataset[_]
+                return
+            }
+            for (let _ of k.map(NodeWrapper.#dataKey)) {
+                if (store) store.delete(_)
+                delete this.n.dataset[_]
+            }
+        })
+    }
+
+    /**
+     * In-memory store of values that can not be written to data attributes,
+     * keyed by element. Elements removed using `remove()` have their store cleared
+     */
+    static #data = new WeakMap()
+
+    /**
+     * Internal method to convert a data key to the camelCased form used by `dataset`
+     *
+     * @param  {string} k The camelCased or dashed key
+     *
+     * @return {string} The camelCased key
+     */
+    static #dataKey(k) {
+        return `${k}`.replace(/^data-/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+    }
+
+    /**
+     * Internal method to parse the value of a data attribute
+     *
+     * @param  {string} v The value of the data attribute
+     *
+     * @return {*} The parsed value
+     */
+    static #parseData(v) {
+        if (v === 'true') return true
+        if (v === 'false') return false
+        if (v === 'null') return null
+        if (v.trim() !== '' && `${+v}` === v) return +v
+        if (/^\s*[[{]/.test(v)) {
+            try {
+                return JSON.parse(v)
+            }
+            catch (err) {
+                return v
+            }
+        }
+        return v
+    }
+
+    /**
+     * Internal method to serialize a value for a data attribute
+     *
+     * @param  {*} v The value to serialize
+     *
+     * @return {string | undefined} The value of the data attribute, or undefined
+     *                              if the value must be kept in memory
+     */
+    static #serializeData(v) {
+        if (typeof v === 'string') return v
+        if (!NodeWrapper.#plain(v, new Set())) return undefined
+        return v !== null && typeof v === 'object' ? JSON.stringify(v) : `${v}`
+    }
+
+    /**
+     * Internal method to check whether a value survives a JSON round trip,
+     * that is, only contains strings, finite numbers, booleans, null, and
+     * plain Objects and Arrays of those
+     *
+     * @param  {*}   v    The value to check
+     * @param  {Set} seen The Objects and Arrays already seen, repeated references are rejected
+     *
+     * @return {boolean} Whether the value is plain data
+     */
+    static #plain(v, seen) {
+        if (v === null || typeof v === 'string' || typeof v === 'boolean') return true
+        if (typeof v === 'number') return isFinite(v)
+        if (typeof v !== 'object' || seen.has(v)) return false
+        seen.add(v)
+        if (v instanceof Array) return v.every(_ => NodeWrapper.#plain(_, seen))
+        if (Object.getPrototypeOf(v) !== Object.prototype) return false
+        return Object.values(v).every(_ => NodeWrapper.#plain(_, seen))
+    }
+
+    /**
+     * Returns an MQ instance of the wrapped HTMLElement, whose mass operations
+     * that write to the DOM are queued, see `MQ.defer`
+     *
+     * @return {MQ} The deferred instance
+     */
+    defer() {return MQ.__from__([this.n], this, true).defer()}
+
+    /**
+     * Applies the given function on the wrapped HTMLElement
+     *
+     * Only exists for compatibility with MQ, so users do not have to
+     * worry about being unable to call `.each()` on results from `$`
+     *
+     * @param  {function} c The function to apply
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    each(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError("Illegal Argument")
+        c(this)
+        return this
+    }
+
+    /**
+     * Animates the wrapped HTMLElement using the Web Animations API, or
+     * CSS transitions where it is not available
+     *
+     * Animations on the same element are queued, each one starts after the
+     * previous one has finished. The final keyframe is kept as inline styles
+     * once the animation is done. If the user prefers reduced motion, the
+     * final keyframe is applied immediately
+     *
+     * The options may define the following keys
+     *     duration : The duration in milliseconds, defaults to 400
+     *     easing   : The timing function, defaults to 'ease'
+     *     delay    : The delay before starting in milliseconds, defaults to 0
+     *
+     * Example Usage
+     *     await $('#box').animate([{opacity: 1}, {opacity: 0.5}], {duration: 200})
+     *
+     * @param  {Array | Object}  k The keyframes of the animation, in any format
+     *                             accepted by `Element.animate`
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once the animation is done
+     */
+    animate(k, o) {
+        if (!k || typeof k !== 'object') throw new MQIllegalArgumentError("Keyframes must be an Array or an Object")
+        o = NodeWrapper.#fxOptions(o)
+        return NodeWrapper.#enqueue(this.n, () => NodeWrapper.#run(this.n, k, o)).then(() => this)
+    }
+
+    /**
+     * Displays the wrapped HTMLElement, animating its opacity from 0
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once the animation is done
+     */
+    fadeIn(o) {
+        o = NodeWrapper.#fxOptions(o)
+        return NodeWrapper.#enqueue(this.n, () => {
+            const _o = this.n.style.opacity
+            this.show()
+            return NodeWrapper.#run(this.n, [{opacity: 0}, {opacity: _o || 1}], o).then(() => {
+                this.n.style.opacity = _o
+            })
+        }).then(() => this)
+    }
+
+    /**
+     * Animates the opacity of the wrapped HTMLElement to 0, then hides it
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once the animation is done
+     */
+    fadeOut(o) {
+        o = NodeWrapper.#fxOptions(o)
+        return NodeWrapper.#enqueue(this.n, () => {
+            const _o = this.n.style.opacity
+            return NodeWrapper.#run(this.n, [{opacity: NodeWrapper.#computed(this.n).opacity}, {opacity: 0}], o).then(() => {
+                this.hide()
+                this.n.style.opacity = _o
+            })
+        }).then(() => this)
+    }
+
+    /**
+     * Displays the wrapped HTMLElement, animating its height from 0
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once the animation is done
+     */
+    slideDown(o) {
+        o = NodeWrapper.#fxOptions(o)
+        return NodeWrapper.#enqueue(this.n, () => {
+            const _o = this.n.style.overflow
+            this.show()
+            this.n.style.overflow = 'hidden'
+            return NodeWrapper.#run(this.n, [{height: '0px'}, {height: `${this.n.scrollHeight}px`}], o).then(() => {
+                this.n.style.height = ''
+                this.n.style.overflow = _o
+            })
+        }).then(() => this)
+    }
+
+    /**
+     * Animates the height of the wrapped HTMLElement to 0, then hides it
+     *
+     * @param  {number | Object} o (optional) The duration in milliseconds, or the animation options
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once the animation is done
+     */
+    slideUp(o) {
+        o = NodeWrapper.#fxOptions(o)
+        return NodeWrapper.#enqueue(this.n, () => {
+            const _o = this.n.style.overflow
+            this.n.style.overflow = 'hidden'
+            return NodeWrapper.#run(this.n, [{height: `${this.n.offsetHeight}px`}, {height: '0px'}], o).then(() => {
+                this.hide()
+                this.n.style.height = ''
+                this.n.style.overflow = _o
+            })
+        }).then(() => this)
+    }
+
+    /**
+     * Displays the wrapped HTMLElement, restoring the display it had before
+     * it was hidden using `instance.hide()`
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    show() {
+        if (NodeWrapper.#computed(this.n).display !== 'none') return this
+        this.n.style.display = NodeWrapper.#display.get(this.n) || ''
+        NodeWrapper.#display.delete(this.n)
+        if (NodeWrapper.#computed(this.n).display === 'none') this.n.style.display = 'block'
+        return this
+    }
+
+    /**
+     * Hides the wrapped HTMLElement, remembering its display so that
+     * `instance.show()` can restore it
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    hide() {
+        if (NodeWrapper.#computed(this.n).display === 'none') return this
+        NodeWrapper.#display.set(this.n, this.n.style.display)
+        this.n.style.display = 'none'
+        return this
+    }
+
+    /**
+     * Displays or hides the wrapped HTMLElement
+     *
+     * @param  {boolean} v (optional) `true` to display, `false` to hide, toggles if omitted
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    toggle(v) {
+        if (v === undefined) v = NodeWrapper.#computed(this.n).display === 'none'
+        return v ? this.show() : this.hide()
+    }
+
+    /**
+     * Stops the running animation and clears the animation queue of the wrapped HTMLElement
+     *
+     * The Promises of the stopped and cleared animations are resolved
+     *
+     * @param  {boolean} j (optional) Whether to jump to the end of the running animation,
+     *                     otherwise the element is left as it is at the time of stopping
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    stop(j) {
+        const q = NodeWrapper.#fx.get(this.n)
+        if (!q) return this
+        q.gen++
+        q.tail = Promise.resolve()
+        if (q.current) q.current(!!j)
+        return this
+    }
+
+    /**
+     * Fetches a HTML fragment, and writes it to the innerHTML property of the wrapped HTMLElement
+     *
+     * Example Usage
+     *     // Replaces the content of #sidebar with the #menu element of /menu.html
+     *     await $('#sidebar').load('/menu.html', '#menu')
+     *
+     * @param  {string} u The url of the HTML document or fragment
+     * @param  {string} s (optional) CSS Selector of the elements to keep from the document,
+     *                    the whole response is used if omitted
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the current calling instance (this) once the fragment is written
+     */
+    async load(u, s, o) {
+        return this.html(await MQHttp.__fragment__(u, s, o, this.n.ownerDocument))
+    }
+
+    /**
+     * Internal method to normalize the options of animations
+     *
+     * @param  {number | Object} o The duration in milliseconds, or the animation options
+     *
+     * @return {Object} The animation options with the defaults filled in
+     */
+    static #fxOptions(o) {
+        if (typeof o === 'number') o = {duration: o}
+        return {duration: 400, easing: 'ease', delay: 0, ...(o || {})}
+    }
+
+    /**
+     * Internal method to add an animation to the queue of an element
+     *
+     * @param  {HTMLElement} n The element to animate
+     * @param  {function}    c Starts the animation, returning a Promise that resolves when it is done
+     *
+     * @return {Promise} Resolves once the animation is done, or skipped by `instance.stop()`
+     */
+    static #enqueue(n, c) {
+        if (!NodeWrapper.#fx.has(n)) NodeWrapper.#fx.set(n, {tail: Promise.resolve(), gen: 0, current: null})
+        const q = NodeWrapper.#fx.get(n)
+        const g = q.gen
+        const p = q.tail.then(() => g === q.gen ? c() : undefined)
+        q.tail = p.catch(() => {})
+        return p
+    }
+
+    /**
+     * Internal method to run an animation on an element
+     *
+     * @param  {HTMLElement} n The element to animate
+     * @param  {Array}       k The keyframes of the animation
+     * @param  {Object}      o The animation options
+     *
+     * @return {Promise} Resolves once the animation is done or stopped
+     */
+    static #run(n, k, o) {
+        const q = NodeWrapper.#fx.get(n)
+        const f = NodeWrapper.#frame(k, -1)
+        const reduce = typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches
+        return new Promise(resolve => {
+            const done = () => {
+                q.current = null
+                resolve()
+            }
+            if (reduce || (o.duration <= 0 && o.delay <= 0)) {
+                NodeWrapper.#style(n, f)
+                return done()
+            }
+            if (typeof n.animate === 'function') {
+                const a = n.animate(k, {duration: o.duration, easing: o.easing, delay: o.delay, fill: 'forwards'})
+                a.onfinish = () => {
+                    NodeWrapper.#style(n, f)
+                    a.cancel()
+                    done()
+                }
+                q.current = j => {
+                    if (j) NodeWrapper.#style(n, f)
+                    else if (typeof a.commitStyles === 'function') a.commitStyles()
+                    a.cancel()
+                    done()
+                }
+                return
+            }
+            const _t = n.style.transition
+            const _p = Object.keys(f).map(p => p.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`))
+            NodeWrapper.#style(n, NodeWrapper.#frame(k, 0))
+            void n.offsetWidth
+            n.style.transition = _p.map(p => `${p} ${o.duration}ms ${o.easing} ${o.delay}ms`).join(', ')
+            NodeWrapper.#style(n, f)
+            let timer
+            const end = () => {
+                clearTimeout(timer)
+                n.removeEventListener('transitionend', onEnd)
+                n.style.transition = _t
+                done()
+            }
+            const onEnd = e => {
+                if (e.target === n) end()
+            }
+            n.addEventListener('transitionend', onEnd)
+            timer = setTimeout(end, o.duration + o.delay + 50)
+            q.current = j => {
+                if (!j) {
+                    const _c = NodeWrapper.#computed(n)
+                    for (let p of _p) n.style.setProperty(p, _c.getPropertyValue(p))
+                }
+                end()
+            }
+        })
+    }
+
+    /**
+     * Internal method to get the first or the last frame of keyframes
+     *
+     * @param  {Array | Object} k The keyframes, in any format accepted by `Element.animate`
+     * @param  {number}         i 0 for the first frame, -1 for the last frame
+     *
+     * @return {Object} The CSS properties of the frame
+     */
+    static #frame(k, i) {
+        const f = {}
+        if (k instanceof Array) {
+            Object.assign(f, k.length ? k[i < 0 ? k.length - 1 : 0] : {})
+        }
+        else {
+            for (let p of Object.keys(k)) {
+                if (k[p] instanceof Array) f[p] = k[p][i < 0 ? k[p].length - 1 : 0]
+                else if (i < 0) f[p] = k[p]
+            }
+        }
+        for (let p of ['offset', 'easing', 'composite']) delete f[p]
+        return f
+    }
+
+    /**
+     * Internal method to apply the CSS properties of a frame as inline styles
+     *
+     * @param  {HTMLElement} n The element to style
+     * @param  {Object}      f The CSS properties of the frame
+     */
+    static #style(n, f) {
+        for (let p of Object.keys(f)) {
+            if (p.includes('-')) n.style.setProperty(p, `${f[p]}`)
+            else n.style[p] = `${f[p]}`
+        }
+    }
+
+    /**
+     * Returns the names and values of the form controls in the wrapped
+     * HTMLElement, usually a form, in document order
+     *
+     * Follows the rules of HTML form submission. Controls without a name,
+     * disabled controls, buttons, file inputs, and unchecked checkboxes
+     * and radio buttons are skipped. Multiple selects have an entry for
+     * each selected option
+     *
+     * @return {Array} Objects with the `name` and `value` of each control
+     */
+    serializeArray() {
+        const _l = []
+        for (let _ of NodeWrapper.#controls(this.n)) {
+            const type = `${_.type}`.toLowerCase()
+            if (!_.name || _.disabled || ['submit', 'button', 'reset', 'image', 'file'].includes(type)) continue
+            if ((type === 'checkbox' || type === 'radio') && !_.checked) continue
+            if (type === 'select-multiple') {
+                for (let o of _.options) if (o.selected) _l.push({name: _.name, value: o.value})
+            }
+            else {
+                _l.push({name: _.name, value: `${_.value}`})
+            }
+        }
+        return _l
+    }
+
+    /**
+     * Serializes the form controls in the wrapped HTMLElement, usually a
+     * form, into a URL-encoded string, like `name=M+K&role=admin`
+     *
+     * @return {string} The URL-encoded names and values of the form controls
+     */
+    serialize() {
+        return new URLSearchParams(this.serializeArray().map(_ => [_.name, _.value])).toString()
+    }
+
+    /**
+     * Serializes the form controls in the wrapped HTMLElement, usually a
+     * form, into an Object
+     *
+     * Names with brackets are nested, so `user[address][city]` is written to
+     * `obj.user.address.city`. Names ending with `[]`, and names used by
+     * several controls, are collected into Arrays
+     *
+     * @return {Object} The names and values of the form controls
+     */
+    serializeObject() {return NodeWrapper.__nest__(this.serializeArray())}
+
+    /**
+     * Fills in the form controls in the wrapped HTMLElement, usually a form,
+     * from an Object shaped like the result of `instance.serializeObject()`
+     *
+     * Controls whose names are not in the Object are left as they are
+     *
+     * @param  {Object} o The values to fill in
+     *
+     * @return {NodeWrapper} The current calling instance (this)
+     */
+    populate(o) {
+        if (!o || typeof o !== 'object') throw new MQIllegalArgumentError("Can only populate from an Object")
+        for (let _ of NodeWrapper.#controls(this.n)) {
+            if (!_.name) continue
+            const v = NodeWrapper.#path(o, _.name)
+            if (v === undefined) continue
+            new NodeWrapper(_).val(v === null ? '' : v)
+        }
+        return this
+    }
+
+    /**
+     * Validates the form controls in the wrapped HTMLElement, usually a form
+     *
+     * Rules may be declared in JS, keyed by the name of the control, or using
+     * data attributes like `data-rule-required` and `data-rule-minlength="8"`
+     * on the control. The native `required`, `pattern`, `min`, `max`,
+     * `minlength` and `maxlength` attributes are also used. Rules in JS take
+     * precedence over attributes
+     *
+     * Supported rules
+     *     required  : The control must have a value
+     *     pattern   : RegExp or string the whole value must match
+     *     min, max  : Bounds of the numeric value
+     *     minlength, maxlength : Bounds of the length of the value
+     *     equals    : Name of another control whose value must be the same
+     *     validate  : Function, or Array of functions, called with the value,
+     *                 the values of all the controls and the NodeWrapper of the
+     *                 control. May be async. Returns `true` (or nothing) if
+     *                 valid, `false` or an error message otherwise
+     *
+     * Error messages can be customized in JS with a `messages` Object in the
+     * rules of the control, or with attributes like `data-msg-required`
+     *
+     * Options
+     *     errorClass : CSS class added to invalid controls, defaults to 'mq-invalid'
+     *
+     * Example Usage
+     *     const result = await $('form#signup').validate({
+     *         'user[email]': {required: true, pattern: /^\S+@\S+$/},
+     *         'confirm': {equals: 'password', messages: {equals: 'Passwords do not match'}},
+     *     })
+     *     if (!result.valid) console.log(result.errors)
+     *
+     * @param  {Object} r (optional) The rules, keyed by control name
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {Promise} Resolves to an Object with the keys
+     *                       valid  : `true` if every control is valid
+     *                       errors : Arrays of error messages, keyed by control name
+     *                       values : The values of the controls, keyed by control name
+     */
+    async validate(r={}, o={}) {
+        const errorClass = o.errorClass || 'mq-invalid'
+        const _c = NodeWrapper.#controls(this.n).filter(_ => _.name && !_.disabled)
+        const names = [...new Set(_c.map(_ => _.name))]
+        const values = {}
+        for (let _ of this.serializeArray()) {
+            if (!(_.name in values)) values[_.name] = _.value
+            else values[_.name] = [].concat(values[_.name], _.value)
+        }
+        const errors = {}
+        for (let name of names) {
+            const fields = _c.filter(_ => _.name === name)
+            const rules = {...NodeWrapper.#rules(fields[0]), ...(r[name] || {})}
+            const messages = {...NodeWrapper.#messages(fields[0]), ...(rules.messages || {})}
+            const _e = await NodeWrapper.#check(name, values[name] === undefined ? null : values[name], rules, messages, values, new NodeWrapper(fields[0]))
+            if (_e.length) errors[name] = _e
+            for (let _ of fields) {
+                if (_e.length) {
+                    _.classList.add(errorClass)
+                    _.setAttribute('aria-invalid', 'true')
+                }
+                else {
+                    _.classList.remove(errorClass)
+                    _.removeAttribute('aria-invalid')
+                }
+            }
+        }
+        return {valid: Object.keys(errors).length === 0, errors, values}
+    }
+
+    /**
+     * Internal method to nest the names and values of form controls into an
+     * Object, shouldn't be called by external sources
+     *
+     * Controls whose name contains `__proto__`, `constructor` or `prototype`
+     * are skipped, so that names cannot pollute the Object prototype.
+     * When names mix kinds, like `a` or `a[x]` with `a[]`, no value is lost:
+     * values without a key are added under the next numeric key
+     *
+     * @param  {Array} l Objects with the `name` and `value` of each control
+     *
+     * @return {Object} The nested names and values
+     */
+    static __nest__(l) {
+        const o = {}
+        for (let {name, value} of l) {
+            const keys = name.replace(/\]/g, '').split('[')
+            if (keys.some(NodeWrapper.#unsafe)) continue
+            let t = o
+            for (let i = 0; i < keys.length; i++) {
+                const k = keys[i]
+                const last = i === keys.length - 1
+                if (last && k === '') {
+                    if (t instanceof Array) t.push(value)
+                    else {
+                        let _i = 0
+                        while (Object.hasOwn(t, _i)) _i++
+                        t[_i] = value
+                    }
+                }
+                else if (last) {
+                    if (!Object.hasOwn(t, k)) t[k] = value
+                    else t[k] = [].concat(t[k], value)
+                }
+                else {
+                    if (!Object.hasOwn(t, k)) t[k] = keys[i + 1] === '' ? [] : {}
+                    else if (typeof t[k] !== 'object') t[k] = keys[i + 1] === '' ? [t[k]] : {0: t[k]}
+                    t = t[k]
+                }
+            }
+        }
+        return o
+    }
+
+    /**
+     * Internal method to list the form controls in an element
+     *
+     * @param  {HTMLElement} n The form, or an element containing form controls
+     *
+     * @return {Array} The form controls, in document order
+     */
+    static #controls(n) {
+        if (n.elements) return [...n.elements]
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(n.tagName)) return [n]
+        return [...n.querySelectorAll('input, select, textarea')]
+    }
+
+    /**
+     * Internal method to find the radio buttons in the same group as a radio button
+     *
+     * @param  {HTMLInputElement} n The radio button
+     *
+     * @return {Array} The radio buttons of the group, including the given one
+     */
+    static #group(n) {
+        if (!n.name) return [n]
+        const r = n.form || n.getRootNode()
+        return [...r.querySelectorAll(`input[type="radio"][name="${n.name.replace(/["\\]/g, '\\$&')}"]`)]
+            .filter(_ => _.form === n.form)
+    }
+
+    /**
+     * Internal method to check whether a segment of a control name could
+     * reach the Object prototype
+     *
+     * @param  {string} k The segment
+     *
+     * @return {boolean} `true` if unsafe, `false` otherwise
+     */
+    static #unsafe(k) {return k === '__proto__' || k === 'constructor' || k === 'prototype'}
+
+    /**
+     * Internal method to read the value at the path described by a control name
+     *
+     * @param  {Object} o The values, shaped like the result of `instance.serializeObject()`
+     * @param  {string} n The control name, like `user[address][city]`
+     *
+     * @return {*} The value, undefined if there is none
+     */
+    static #path(o, n) {
+        let t = o
+        for (let k of n.replace(/\]/g, '').split('[')) {
+            if (k === '') return t
+            if (t === null || typeof t !== 'object' || NodeWrapper.#unsafe(k) || !Object.hasOwn(t, k)) return undefined
+            t = t[k]
+        }
+        return t
+    }
+
+    /**
+     * Internal method to read the validation rules of a control from its attributes
+     *
+     * @param  {HTMLElement} n The form control
+     *
+     * @return {Object} The validation rules
+     */
+    static #rules(n) {
+        const r = {}
+        for (let a of ['required', 'pattern', 'min', 'max', 'minlength', 'maxlength']) {
+            if (n.hasAttribute(a)) r[a] = a === 'required' ? true : n.getAttribute(a)
+        }
+        for (let a of ['required', 'pattern', 'min', 'max', 'minlength', 'maxlength', 'equals']) {
+            const v = n.getAttribute(`data-rule-${a}`)
+            if (v === null) continue
+            r[a] = a === 'required' ? v !== 'false' : v
+        }
+        return r
+    }
+
+    /**
+     * Internal method to read the custom error messages of a control from its attributes
+     *
+     * @param  {HTMLElement} n The form control
+     *
+     * @return {Object} The error messages, keyed by rule
+     */
+    static #messages(n) {
+        const m = {}
+        for (let _ of n.attributes) {
+            if (_.name.startsWith('data-msg-')) m[_.name.slice(9)] = _.value
+        }
+        return m
+    }
+
+    /**
+     * Internal method to validate a value against validation rules
+     *
+     * @param  {string}      name     The control name
+     * @param  {*}           v        The value of the control
+     * @param  {Object}      r        The validation rules
+     * @param  {Object}      m        The custom error messages, keyed by rule
+     * @param  {Object}      values   The values of all the controls
+     * @param  {NodeWrapper} n        The control
+     *
+     * @return {Promise} Resolves to an Array of error messages
+     */
+    static async #check(name, v, r, m, values, n) {
+        const e = []
+        const empty = v === null || v === '' || (v instanceof Array && v.length === 0)
+        if (r.required && empty) return [m.required || 'This field is required']
+        if (empty && !r.validate) return e
+        const _v = v instanceof Array ? v : [v]
+        if (!empty) {
+            if (r.pattern) {
+                const p = r.pattern instanceof RegExp ? r.pattern : new RegExp(`^(?:${r.pattern})$`)
+                if (_v.some(_ => !p.test(_))) e.push(m.pattern || 'This field is invalid')
+            }
+            if (r.min !== undefined && _v.some(_ => Number(_) < Number(r.min))) e.push(m.min || `Must be at least ${r.min}`)
+            if (r.max !== undefined && _v.some(_ => Number(_) > Number(r.max))) e.push(m.max || `Must be at most ${r.max}`)
+            if (r.minlength !== undefined && _v.some(_ => _.length < Number(r.minlength))) e.push(m.minlength || `Must be at least ${r.minlength} characters`)
+            if (r.maxlength !== undefined && _v.some(_ => _.length > Number(r.maxlength))) e.push(m.maxlength || `Must be at most ${r.maxlength} characters`)
+            if (r.equals !== undefined && `${v}` !== `${values[r.equals] === undefined ? '' : values[r.equals]}`) e.push(m.equals || `Must match ${r.equals}`)
+        }
+        for (let c of [].concat(r.validate || [])) {
+            const _ = await c(v, values, n)
+            if (_ === false) e.push(m.validate || 'This field is invalid')
+            else if (typeof _ === 'string') e.push(_)
+        }
+        return e
+    }
+}
+
+/**
+ * @author M K
+ *
+ * HTTP client built on `fetch`, available as `$.http`
+ *
+ * Request options
+ *     method      : The HTTP method, defaults to 'GET'
+ *     params      : Object of query parameters to add to the url
+ *     headers     : Object of request headers
+ *     body        : The request body. Plain Objects and Arrays are sent as JSON,
+ *                   anything else is passed to `fetch` as is
+ *     json        : Object to send as a JSON body
+ *     form        : Object, FormData or form element to send as a form body.
+ *                   FormData and form elements are sent as 'multipart/form-data',
+ *                   Objects as 'application/x-www-form-urlencoded'
+ *     responseType: One of 'auto', 'json', 'text', 'blob', 'arrayBuffer' or 'raw',
+ *                   defaults to 'auto' which parses the body based on its content type
+ *     timeout     : Milliseconds after which the request fails with an MQTimeoutError,
+ *                   0 for no timeout
+ *     signal      : An AbortSignal to cancel the request with
+ *     retries     : Number of times to retry on network errors, timeouts,
+ *                   429 and 5xx responses
+ *     retryDelay  : Milliseconds to wait before the first retry, doubled after each retry
+ * Any other option is passed to `fetch`
+ *
+ * Requests resolve to a response object with the keys
+ *     data, status, statusText, headers, url, options, response
+ *
+ * Requests reject with
+ *     MQHttpError    : If the response status is not 2xx, or the request failed
+ *     MQTimeoutError : If the request timed out
+ *     MQAbortError   : If the request was cancelled using the signal
+ *
+ * Example Usage
+ *     const {data} = await $.http.get('/api/users', {params: {page: 2}})
+ *     await $.http.post('/api/users', {json: {name: 'M K'}, timeout: 5000})
+ *
+ *     // Adds an Authorization header to every request
+ *     const remove = $.http.intercept('request', options => {
+ *         options.headers['Authorization'] = `Bearer ${token}`
+ *         return options
+ *     })
+ */
+class MQHttp {
+    static #interceptors = {request: [], response: []}
+
+    /**
+     * Default options applied to every request
+     */
+    static defaults = {
+        headers: {},
+        responseType: 'auto',
+        timeout: 0,
+        retries: 0,
+        retryDelay: 300,
+    }
+
+    /**
+     * Adds an interceptor, which runs on every request or response
+     *
+     * Request interceptors are called with the request options and must
+     * return the (possibly modified) options. Response interceptors are
+     * called with the response object and must return the (possibly
+     * modified) response object. Either may be async, and either may throw
+     * to fail the request
+     *
+     * @param  {string}   t The type of interceptor, 'request' or 'response'
+     * @param  {function} c The interceptor
+     *
+     * @return {function} Removes the interceptor when called
+     */
+    static intercept(t, c) {
+        if (!(t in MQHttp.#interceptors)) throw new MQIllegalArgumentError(`Unknown interceptor type ${t}`)
+        if (typeof c !== 'function') throw new MQIllegalArgumentError("Interceptor must be a function")
+        MQHttp.#interceptors[t].push(c)
+        return () => {
+            const i = MQHttp.#interceptors[t].indexOf(c)
+            if (i >= 0) MQHttp.#interceptors[t].splice(i, 1)
+        }
+    }
+
+    /**
+     * Sends a request
+     *
+     * @param  {string} u The url to send the request to
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the response object
+     */
+    static async request(u, o={}) {
+        o = {...MQHttp.defaults, ...o, headers: {...MQHttp.defaults.headers, ...(o.headers || {})}}
+        o.url = u
+        for (let _ of MQHttp.#interceptors.request) o = await _(o)
+        let r
+        for (let _ = 0; ; _++) {
+            try {
+                r = await MQHttp.#send(o)
+                break
+            }
+            catch (err) {
+                const retry = err instanceof MQTimeoutError || (!(err instanceof MQAbortError) && (err.status === 0 || err.status === 429 || err.status >= 500))
+                if (!retry || _ >= o.retries) throw err
+                await new Promise(resolve => setTimeout(resolve, o.retryDelay * 2 ** _))
+            }
+        }
+        for (let _ of MQHttp.#interceptors.response) r = await _(r)
+        return r
+    }
+
+    /**
+     * Sends a GET request
+     *
+     * @param  {string} u The url to send the request to
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the response object
+     */
+    static get(u, o={}) {return MQHttp.request(u, {...o, method: 'GET'})}
+
+    /**
+     * Sends a POST request
+     *
+     * @param  {string} u The url to send the request to
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the response object
+     */
+    static post(u, o={}) {return MQHttp.request(u, {...o, method: 'POST'})}
+
+    /**
+     * Sends a PUT request
+     *
+     * @param  {string} u The url to send the request to
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the response object
+     */
+    static put(u, o={}) {return MQHttp.request(u, {...o, method: 'PUT'})}
+
+    /**
+     * Sends a PATCH request
+     *
+     * @param  {string} u The url to send the request to
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the response object
+     */
+    static patch(u, o={}) {return MQHttp.request(u, {...o, method: 'PATCH'})}
+
+    /**
+     * Sends a DELETE request
+     *
+     * @param  {string} u The url to send the request to
+     * @param  {Object} o (optional) The request options, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the response object
+     */
+    static delete(u, o={}) {return MQHttp.request(u, {...o, method: 'DELETE'})}
+
+    /**
+     * Builds a query string from an Object
+     *
+     * Arrays are written as repeated keys, nested Objects using brackets,
+     * like `user[name]=M%20K`. `null` and `undefined` values are skipped
+     *
+     * @param  {Object} p The query parameters
+     *
+     * @return {string} The query string, without a leading '?'
+     */
+    static query(p) {
+        const _q = new URLSearchParams()
+        const add = (k, v) => {
+            if (v === null || v === undefined) return
+            if (v instanceof Array) v.forEach(_ => add(k, _))
+            else if (typeof v === 'object' && !(v instanceof Date)) Object.keys(v).forEach(_ => add(`${k}[${_}]`, v[_]))
+            else _q.append(k, v instanceof Date ? v.toISOString() : `${v}`)
+        }
+        Object.keys(p || {}).forEach(_ => add(_, p[_]))
+        return _q.toString()
+    }
+
+    /**
+     * Internal method to fetch a HTML fragment, shouldn't be called by external sources
+     *
+     * @param  {string}   u The url of the HTML document or fragment
+     * @param  {string}   s (optional) CSS Selector of the elements to keep from the document
+     * @param  {Object}   o (optional) The request options, see `MQHttp`
+     * @param  {Document} d (optional) The document the fragment is written to, whose window parses it
+     *
+     * @return {Promise} Resolves to the markup of the fragment
+     */
+    static async __fragment__(u, s, o={}, d=document) {
+        const {data} = await MQHttp.request(u, {...o, responseType: 'text'})
+        if (!s) return data
+        const _d = new (MQ.__view__(d).DOMParser)().parseFromString(data, 'text/html')
+        return MQSelector.select(s, [_d]).map(_ => _.outerHTML).join('')
+    }
+
+    /**
+     * Internal method to send a single request, without retries or interceptors
+     *
+     * @param  {Object} o The request options, including the url
+     *
+     * @return {Promise} Resolves to the response object
+     */
+    static async #send(o) {
+        const {url, params, json, form, responseType, timeout, signal, retries, retryDelay, ...init} = o
+        init.headers = {...o.headers}
+        init.method = (init.method || 'GET').toUpperCase()
+        let u = url
+        const _q = params ? MQHttp.query(params) : ''
+        if (_q) u += (u.includes('?') ? '&' : '?') + _q
+        if (json !== undefined) {
+            init.body = JSON.stringify(json)
+            MQHttp.#header(init.headers, 'Content-Type', 'application/json')
+        }
+        else if (form !== undefined) {
+            if (form instanceof FormData) init.body = form
+            else if (typeof HTMLFormElement !== 'undefined' && form instanceof HTMLFormElement) init.body = new FormData(form)
+            else init.body = new URLSearchParams(MQHttp.query(form))
+        }
+        else if (init.body !== undefined && init.body !== null && (init.body.constructor === Object || init.body instanceof Array)) {
+            init.body = JSON.stringify(init.body)
+            MQHttp.#header(init.headers, 'Content-Type', 'application/json')
+        }
+        if (responseType === 'json') MQHttp.#header(init.headers, 'Accept', 'application/json')
+        const c = new AbortController()
+        let timedOut = false
+        const onAbort = () => c.abort()
+        if (signal) {
+            if (signal.aborted) throw new MQAbortError(`Request to ${u} was aborted`)
+            signal.addEventListener('abort', onAbort)
+        }
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true
+            c.abort()
+        }, timeout) : null
+        init.signal = c.signal
+        let r
+        try {
+            r = await fetch(u, init)
+            const data = await MQHttp.#parse(r, responseType)
+            const _r = {data, status: r.status, statusText: r.statusText, headers: r.headers, url: r.url || u, options: o, response: r}
+            if (!r.ok) throw new MQHttpError(`Request to ${u} failed with status ${r.status}`, r.status, data, _r)
+            return _r
+        }
+        catch (err) {
+            if (err instanceof MQError) throw err
+            if (timedOut) throw new MQTimeoutError(`Request to ${u} timed out after ${timeout}ms`)
+            if (c.signal.aborted) throw new MQAbortError(`Request to ${u} was aborted`)
+            throw new MQHttpError(`Request to ${u} failed: ${err.message}`, 0, null, null)
+        }
+        finally {
+            clearTimeout(timer)
+            if (signal) signal.removeEventListener('abort', onAbort)
+        }
+    }
+
+    /**
+     * Internal method to parse the body of a response
+     *
+     * @param  {Response} r The response
+     * @param  {string}   t The response type, see `MQHttp`
+     *
+     * @return {Promise} Resolves to the parsed body
+     */
+    static async #parse(r, t) {
+        if (t === 'raw') return r
+        if (t === 'blob') return r.blob()
+        if (t === 'arrayBuffer') return r.arrayBuffer()
+        const _t = await r.text()
+        const json = t === 'json' || (t !== 'text' && /[/+]json\b/i.test(r.headers.get('Content-Type') || ''))
+        if (!json) return _t
+        if (!_t) return null
+        try {
+            return JSON.parse(_t)
+        }
+        catch (err) {
+            if (t === 'json') throw new MQHttpError(`Response from ${r.url} is not valid JSON`, r.status, _t, null)
+            return _t
+        }
+    }
+
+    /**
+     * Internal method to set a header, unless it is already set in any case
+     *
+     * @param  {Object} h The headers
+     * @param  {string} k The header name
+     * @param  {string} v The header value
+     */
+    static #header(h, k, v) {
+        if (!Object.keys(h).some(_ => _.toLowerCase() === k.toLowerCase())) h[k] = v
+    }
+}
+
+$.http = MQHttp
+
+/**
+ * Sends a request, same as `$.http.request`
+ *
+ * @param  {string} u The url to send the request to
+ * @param  {Object} o (optional) The request options, see `MQHttp`
+ *
+ * @return {Promise} Resolves to the response object
+ */
+$.ajax = (u, o) => MQHttp.request(u, o)
+
+/**
+ * Sends a GET request
+ *
+ * @param  {string} u The url to send the request to
+ * @param  {Object} p (optional) The query parameters
+ * @param  {Object} o (optional) The request options, see `MQHttp`
+ *
+ * @return {Promise} Resolves to the response body
+ */
+$.get = (u, p, o={}) => MQHttp.get(u, {...o, params: p}).then(r => r.data)
+
+/**
+ * Sends a POST request
+ *
+ * @param  {string} u The url to send the request to
+ * @param  {*}      b (optional) The request body, plain Objects are sent as JSON
+ * @param  {Object} o (optional) The request options, see `MQHttp`
+ *
+ * @return {Promise} Resolves to the response body
+ */
+$.post = (u, b, o={}) => MQHttp.post(u, {...o, body: b}).then(r => r.data)
+
+/**
+ * Sends a GET request, and parses the response as JSON
+ *
+ * @param  {string} u The url to send the request to
+ * @param  {Object} p (optional) The query parameters
+ * @param  {Object} o (optional) The request options, see `MQHttp`
+ *
+ * @return {Promise} Resolves to the parsed response body
+ */
+$.getJSON = (u, p, o={}) => MQHttp.get(u, {...o, params: p, responseType: 'json'}).then(r => r.data)
+
+/**
+ * @author M K
+ *
+ * Registry of methods added by plugins, available as `$.fn`
+ *
+ * A method is written once, as a method of NodeWrapper, and registering it
+ * adds it to both NodeWrapper and MQ. On MQ, the method is called on the
+ * NodeWrapper of each selected element
+ *
+ * Example Usage
+ *     // Adds `.highlight(color)` to NodeWrapper and MQ, chainable on both
+ *     $.fn.register('highlight', function (color) {
+ *         this.css('background-color', color || 'yellow')
+ *     })
+ *
+ *     // Adds `.textLength()`, which returns an Array of lengths on MQ
+ *     $.fn.register('textLength', function () {
+ *         return this.html().length
+ *     }, {returns: 'array'})
+ */
+class MQPlugins {
+    static #installed = new Map()
+
+    /**
+     * Registers a method on both NodeWrapper and MQ
+     *
+     * Options
+     *     mass     : If true, the MQ method calls the method on every selected
+     *                element. If false, only on the first. Defaults to true
+     *     returns  : What the method returns
+     *                    'chain' : The calling instance, for chaining (default)
+     *                    'first' : The value returned for the first element
+     *                    'array' : An Array of the values returned for each element
+     *                On NodeWrapper, 'first' and 'array' both return the value
+     *                returned by the method
+     *     override : If true, the method may have the same name as a property
+     *                of HTMLElement, hiding it on NodeWrapper. Defaults to false
+     *
+     * @param  {string}   n The name of the method
+     * @param  {function} c The method, called with `this` set to a NodeWrapper instance
+     * @param  {Object}   o (optional) Additional options
+     *
+     * @return {function} Unregisters the method when called
+     */
+    static register(n, c, o={}) {
+        MQPlugins.#validate(n, c, o)
+        const mass = o.mass !== false
+        const returns = o.returns || 'chain'
+        const _n = function (...a) {
+            const r = c.apply(this, a)
+            return returns === 'chain' ? this : r
+        }
+        const _m = function (...a) {
+            const r = (mass ? this.list() : this.list().slice(0, 1)).map(e => c.apply(e, a))
+            if (returns === 'chain') return this
+            return returns === 'first' ? r[0] : r
+        }
+        for (let [p, f] of [[NodeWrapper.prototype, _n], [MQ.prototype, _m]]) {
+            Object.defineProperty(p, n, {value: f, writable: true, configurable: true, enumerable: false})
+        }
+        MQPlugins.#installed.set(n, {mass, returns})
+        return () => MQPlugins.unregister(n)
+    }
+
+    /**
+     * Removes a method added by `register`
+     *
+     * @param  {string} n The name of the method
+     *
+     * @return {boolean} `true` if the method was removed, `false` if it was not registered
+     */
+    static unregister(n) {
+        if (!MQPlugins.#installed.has(n)) return false
+        delete NodeWrapper.prototype[n]
+        delete MQ.prototype[n]
+        MQPlugins.#installed.delete(n)
+        return true
+    }
+
+    /**
+     * Checks whether a method was added by `register`
+     *
+     * @param  {string} n The name of the method
+     *
+     * @return {boolean} `true` if the method is registered, `false` otherwise
+     */
+    static has(n) {return MQPlugins.#installed.has(n)}
+
+    /**
+     * Returns the names of the methods added by `register`
+     *
+     * @return {Array} The names of the registered methods
+     */
+    static list() {return [...MQPlugins.#installed.keys()]}
+
+    /**
+     * Internal method to check that a method can be registered, shouldn't be called by external sources
+     *
+     * @param  {string}   n The name of the method
+     * @param  {function} c The method
+     * @param  {Object}   o Additional options
+     */
+    static #validate(n, c, o) {
+        if (typeof n !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(n)) throw new MQIllegalArgumentError(`Cannot register method ${n}, because it is not a valid name`)
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot register method ${n}, because ${c} is not a function`)
+        if (o.returns !== undefined && !['chain', 'first', 'array'].includes(o.returns)) throw new MQIllegalArgumentError(`Cannot register method ${n}, because ${o.returns} is not a valid return type`)
+        if (MQPlugins.#installed.has(n)) throw new MQPluginConflictError(`Cannot register method ${n}, because it is already registered`)
+        if (n in NodeWrapper.prototype || n in MQ.prototype) throw new MQPluginConflictError(`Cannot register method ${n}, because it is a built-in method`)
+        if (!o.override && typeof HTMLElement !== 'undefined' && n in HTMLElement.prototype) {
+            throw new MQPluginConflictError(`Cannot register method ${n}, because it would hide the HTMLElement property ${n}`)
+        }
+    }
+}
+
+$.fn = MQPlugins
+
+/**
+ * Registers several methods on both NodeWrapper and MQ at once
+ * If any of the methods cannot be registered, none are
+ *
+ * Example Usage
+ *     const uninstall = $.extend({
+ *         highlight() { this.css('background-color', 'yellow') },
+ *         unhighlight() { this.css('background-color', 'transparent') },
+ *     })
+ *
+ * @param  {Object} m The methods, keyed by name
+ * @param  {Object} o (optional) Additional options, see `MQPlugins.register`
+ *
+ * @return {function} Unregisters all the methods when called
+ */
+$.extend = (m, o={}) => {
+    const _u = []
+    try {
+        for (let _ of Object.keys(m)) _u.push(MQPlugins.register(_, m[_], o))
+    }
+    catch (err) {
+        _u.forEach(_ => _())
+        throw err
+    }
+    return () => _u.forEach(_ => _())
+}
+
+/**
+ * @author M K
+ *
+ * Binds a state object to the elements in a root element, available as `$.bind`
+ *
+ * Bindings are declared with data attributes, whose values are dot
+ * separated paths in the state object, like `user.name` or `items.0.title`.
+ * A path may be prefixed with `!` to negate its value
+ *
+ *     data-bind-text="path"            : Writes the value to the text content
+ *     data-bind-class="path"           : Adds the classes in the value, which may be
+ *                                        a string, an Array or an Object of booleans
+ *     data-bind-class="cls: path, ..." : Toggles each class based on its path
+ *     data-bind-attr="attr: path, ..." : Writes each attribute, `null`, `undefined` and
+ *                                        `false` remove it, `true` sets it to ''
+ *     data-bind-value="path"           : Two-way binding of the value of a form control,
+ *                                        checkboxes bound to booleans are (un)checked
+ *     data-bind-if="path"              : Removes the element from the document while
+ *                                        the value is falsy
+ *     data-bind-each="item in path"    : Renders the children of the element once for
+ *                                        each item of the Array, in which paths may
+ *                                        start with `item`
+ *
+ * Writes to the returned state update only the elements bound to the paths written to
+ *
+ * Example Usage
+ *     <div id="profile">
+ *         <h1 data-bind-text="user.name"></h1>
+ *         <input data-bind-value="user.name">
+ *         <ul data-bind-each="tag in user.tags"><li data-bind-text="tag"></li></ul>
+ *     </div>
+ *
+ *     const state = $.bind('#profile', {user: {name: 'M K', tags: ['a', 'b']}})
+ *     state.user.name = 'K M'     // Updates the h1 and the input
+ *     state.user.tags.push('c')   // Renders a third li
+ */
+class MQBinding {
+    static #bound = new WeakMap()
+    #root
+    #state
+    #bindings = []
+    #proxies = new Map()
+
+    /**
+     * Internal method, shouldn't be called by external sources
+     * All functionality must be used by the `$.bind` function
+     *
+     * @param  {string | HTMLElement | NodeWrapper} r The root element
+     * @param  {Object}                             s The state object
+     */
+    constructor(r, s) {
+        if (!s || typeof s !== 'object') throw new MQIllegalArgumentError("State must be an Object")
+        const _r = $(r, {strict: true})
+        if (_r.length !== 1) throw new MQIllegalArgumentError(`Cannot bind to ${r}, because it does not select exactly one element`)
+        this.#root = _r.first()
+        this.#state = s
+        this.state = this.#observe(s, '')
+        MQBinding.#bound.set(this.state, this)
+        this.#scan(this.#root.get(), null)
+    }
+
+    /**
+     * Binds a state object to the elements in a root element
+     *
+     * @param  {string | HTMLElement | NodeWrapper} r The root element
+     * @param  {Object}                             s The state object
+     *
+     * @return {Proxy} The reactive state, writes to which update the bound elements
+     */
+    static bind(r, s) {return new MQBinding(r, s).state}
+
+    /**
+     * Removes the bindings of a reactive state returned by `bind`
+     * The elements are left as they are
+     *
+     * @param  {Proxy} p The reactive state
+     *
+     * @return {boolean} `true` if the bindings were removed, `false` if the state is not bound
+     */
+    static unbind(p) {
+        const b = MQBinding.#bound.get(p)
+        if (!b) return false
+        b.#root.off('.mqbind')
+        b.#root.findAll('*').off('.mqbind')
+        b.#bindings = []
+        MQBinding.#bound.delete(p)
+        return true
+    }
+
+    /**
+     * Internal method to wrap an object of the state in a Proxy that reports writes
+     *
+     * @param  {Object} o The object to wrap
+     * @param  {string} p The path of the object in the state
+     *
+     * @return {Proxy} The wrapped object
+     */
+    #observe(o, p) {
+        const c = this.#proxies.get(p)
+        if (c && c.target === o) return c.proxy
+        const proxy = new Proxy(o, {
+            get: (t, k, r) => {
+                const v = Reflect.get(t, k, r)
+                if (typeof k === 'symbol' || !v || typeof v !== 'object') return v
+                return this.#observe(v, p ? `${p}.${k}` : `${k}`)
+            },
+            set: (t, k, v, r) => {
+                const _v = MQBinding.#bound.has(v) ? MQBinding.#bound.get(v).#state : v
+                const changed = t[k] !== _v || (t instanceof Array && k === 'length')
+                Reflect.set(t, k, _v)
+                if (changed && typeof k !== 'symbol') this.#notify(p ? `${p}.${k}` : `${k}`)
+                return true
+            },
+            deleteProperty: (t, k) => {
+                Reflect.deleteProperty(t, k)
+                if (typeof k !== 'symbol') this.#notify(p ? `${p}.${k}` : `${k}`)
+                return true
+            },
+        })
+        this.#proxies.set(p, {target: o, proxy})
+        return proxy
+    }
+
+    /**
+     * Internal method to update the bindings affected by a write to a path
+     *
+     * @param  {string} p The path written to
+     */
+    #notify(p) {
+        for (let b of [...this.#bindings]) {
+            if (!this.#bindings.includes(b)) continue
+            const hit = b.paths.some(_ => {
+                if (_ === p || _.startsWith(`${p}.`)) return true
+                if (!p.startsWith(`${_}.`)) return false
+                return !b.each || !p.slice(_.length + 1).includes('.')
+            })
+            if (hit) b.update()
+        }
+    }
+
+    /**
+     * Internal method to find and create the bindings of an element and its descendants
+     *
+     * @param  {HTMLElement} n     The element to scan
+     * @param  {Object}      owner The `data-bind-each` binding that rendered the element, if any
+     */
+    #scan(n, owner) {
+        const d = n.dataset
+        if ('bindText' in d) this.#text(n, d.bindText, owner)
+        if ('bindClass' in d) this.#class(n, d.bindClass, owner)
+        if ('bindAttr' in d) this.#attr(n, d.bindAttr, owner)
+        if ('bindValue' in d) this.#value(n, d.bindValue, owner)
+        if ('bindIf' in d) this.#if(n, d.bindIf, owner)
+        if ('bindEach' in d) return this.#each(n, d.bindEach, owner)
+        for (let _ of [...n.children]) this.#scan(_, owner)
+    }
+
+    /**
+     * Internal method to record a binding, and apply it for the first time
+     *
+     * @param  {Array}    paths  The paths the binding depends on
+     * @param  {function} update Applies the binding, called with the binding
+     * @param  {Object}   owner  The `data-bind-each` binding that rendered the element, if any
+     * @param  {boolean}  each   Whether this is a `data-bind-each` binding
+     */
+    #add(paths, update, owner, each=false) {
+        const b = {paths: paths.map(_ => _.replace(/^!/, '')), owner, each}
+        b.update = () => update(b)
+        this.#bindings.push(b)
+        b.update()
+    }
+
+    /**
+     * Internal method to drop the bindings rendered by a `data-bind-each` binding
+     *
+     * @param  {Object} owner The `data-bind-each` binding
+     */
+    #drop(owner) {
+        for (let b of this.#bindings.filter(_ => _.owner === owner)) {
+            this.#bindings.splice(this.#bindings.indexOf(b), 1)
+            if (b.each) this.#drop(b)
+        }
+    }
+
+    /**
+     * Internal method to read the value of a path, which may be negated with `!`
+     *
+     * @param  {string} e The path
+     *
+     * @return {*} The value
+     */
+    #get(e) {
+        const not = e.startsWith('!')
+        let v = this.#state
+        for (let k of e.replace(/^!/, '').split('.')) {
+            if (v === null || v === undefined) break
+            v = v[k]
+        }
+        return not ? !v : v
+    }
+
+    /**
+     * Internal method to write a value to a path, through the reactive state
+     *
+     * @param  {string} e The path
+     * @param  {*}      v The value
+     */
+    #set(e, v) {
+        const k = e.split('.')
+        let t = this.state
+        for (let _ of k.slice(0, -1)) t = t[_]
+        t[k[k.length - 1]] = v
+    }
+
+    /**
+     * Internal method to split `name: path, ...` lists
+     *
+     * @param  {string} e The list
+     *
+     * @return {Array} Pairs of names and paths
+     */
+    static #pairs(e) {
+        return e.split(',').map(_ => _.trim()).filter(_ => _).map(_ => {
+            const i = _.lastIndexOf(':')
+            return [_.slice(0, i).trim(), _.slice(i + 1).trim()]
+        })
+    }
+
+    /**
+     * Internal method to create a `data-bind-text` binding
+     *
+     * @param  {HTMLElement} n     The bound element
+     * @param  {string}      e     The value of the data attribute
+     * @param  {Object}      owner The `data-bind-each` binding that rendered the element, if any
+     */
+    #text(n, e, owner) {
+        e = e.trim()
+        this.#add([e], () => {
+            const v = this.#get(e)
+            n.textContent = v === null || v === undefined ? '' : `${v}`
+        }, owner)
+    }
+
+    /**
+     * Internal method to create a `data-bind-class` binding
+     *
+     * @param  {HTMLElement} n     The bound element
+     * @param  {string}      e     The value of the data attribute
+     * @param  {Object}      owner The `data-bind-each` binding that rendered the element, if any
+     */
+    #class(n, e, owner) {
+        if (e.includes(':')) {
+            for (let [c, _e] of MQBinding.#pairs(e)) {
+                this.#add([_e], () => n.classList.toggle(c, !!this.#get(_e)), owner)
+            }
+            return
+        }
+        e = e.trim()
+        let _c = []
+        this.#add([e], () => {
+            const v = this.#get(e)
+            let c = []
+            if (typeof v === 'string') c = v.split(/\s+/)
+            else if (v instanceof Array) c = v.map(_ => `${_}`)
+            else if (v && typeof v === 'object') c = Object.keys(v).filter(_ => v[_])
+            c = c.filter(_ => _)
+            n.classList.remove(..._c.filter(_ => !c.includes(_)))
+            n.classList.add(...c)
+            _c = c
+        }, owner)
+    }
+
+    /**
+     * Internal method to create a `data-bind-attr` binding
+     *
+     * @param  {HTMLElement} n     The bound element
+     * @param  {string}      e     The value of the data attribute
+     * @param  {Object}      owner The `data-bind-each` binding that rendered the element, if any
+     */
+    #attr(n, e, owner) {
+        for (let [a, _e] of MQBinding.#pairs(e)) {
+            this.#add([_e], () => {
+                const v = this.#get(_e)
+                if (v === null || v === undefined || v === false) n.removeAttribute(a)
+                else n.setAttribute(a, v === true ? '' : `${v}`)
+            }, owner)
+        }
+    }
+
+    /**
+     * Internal method to create a two-way `data-bind-value` binding
+     *
+     * @param  {HTMLElement} n     The bound element
+     * @param  {string}      e     The value of the data attribute
+     * @param  {Object}      owner The `data-bind-each` binding that rendered the element, if any
+     */
+    #value(n, e, owner) {
+        e = e.trim()
+        const _n = new NodeWrapper(n)
+        const bool = () => n.type === 'checkbox' && typeof this.#get(e) === 'boolean'
+        this.#add([e], () => {
+            const v = this.#get(e)
+            if (bool()) n.checked = v
+            else if (n.type === 'checkbox' || n.type === 'radio' || n.multiple) _n.val(v === null || v === undefined ? [] : v)
+            else if (`${_n.val()}` !== `${v === null || v === undefined ? '' : v}`) _n.val(v === null || v === undefined ? '' : v)
+        }, owner)
+        _n.on('input.mqbind change.mqbind', () => {
+            if (n.type === 'radio' && !n.checked) return
+            const v = this.#get(e)
+            let _v = bool() ? n.checked : _n.val()
+            if (typeof v === 'number' && _v !== '' && !isNaN(Number(_v))) _v = Number(_v)
+            this.#set(e, _v)
+        })
+    }
+
+    /**
+     * Internal method to create a `data-bind-if` binding
+     *
+     * @param  {HTMLElement} n     The bound element
+     * @param  {string}      e     The value of the data attribute
+     * @param  {Object}      owner The `data-bind-each` binding that rendered the element, if any
+     */
+    #if(n, e, owner) {
+        e = e.trim()
+        const _p = n.ownerDocument.createComment(`data-bind-if="${e}"`)
+        this.#add([e], () => {
+            if (this.#get(e)) {
+                if (_p.parentNode) _p.replaceWith(n)
+            }
+            else if (n.parentNode) {
+                n.replaceWith(_p)
+            }
+        }, owner)
+    }
+
+    /**
+     * Internal method to create a `data-bind-each` binding
+     *
+     * @param  {HTMLElement} n     The bound element
+     * @param  {string}      e     The value of the data attribute
+     * @param  {Object}      owner The `data-bind-each` binding that rendered the element, if any
+     */
+    #each(n, e, owner) {
+        const m = /^\s*(?:([A-Za-z_$][\w$]*)\s+in\s+)?(\S+)\s*$/.exec(e)
+        if (!m) throw new MQIllegalArgumentError(`Invalid binding data-bind-each="${e}"`)
+        const alias = m[1] || 'item'
+        const p = m[2]
+        const t = n.ownerDocument.createDocumentFragment()
+        while (n.firstChild) t.appendChild(n.firstChild)
+        const rx = new RegExp(`(^|[\\s,:!])${alias.replace(/\$/g, '\\$')}(?=$|[\\s,.])`, 'g')
+        this.#add([p], b => {
+            this.#drop(b)
+            n.textContent = ''
+            const items = this.#get(p)
+            if (!items || typeof items.length !== 'number') return
+            for (let i = 0; i < items.length; i++) {
+                const c = t.cloneNode(true)
+                for (let _ of c.querySelectorAll('*')) {
+                    for (let a of [..._.attributes]) {
+                        if (a.name.startsWith('data-bind-')) a.value = a.value.replace(rx, `$1${p}.${i}`)
+                    }
+                }
+                const _l = [...c.children]
+                n.appendChild(c)
+                for (let _ of _l) this.#scan(_, b)
+            }
+        }, owner, true)
+    }
+}
+
+$.bind = MQBinding.bind
+$.unbind = MQBinding.unbind
+
+/**
+ * @author M K
+ *
+ * HTML sanitizer used by `html()`, available as `$.sanitizer`
+ *
+ * Parses markup in an inert `<template>`, and removes everything not in an
+ * allowlist. Disallowed elements are unwrapped, keeping their content, except
+ * for elements like `<script>` whose content is removed as well. Event handler
+ * attributes (`on*`) are always removed, as are URLs with a protocol other
+ * than the allowed ones, like `javascript:`
+ *
+ * The allowlist is configured by modifying `$.sanitizer.defaults`, or per
+ * call by passing an Object with the same keys
+ *     elements       : Array of allowed element names
+ *     attributes     : Object of Arrays of allowed attribute names, keyed by
+ *                      element name, '*' applies to every element
+ *     dataAttributes : Whether `data-*` attributes are allowed, except the directives
+ *                      of the library, `data-bind-*` and `data-route`, which have to be
+ *                      listed in `attributes` to be allowed
+ *     ariaAttributes : Whether `aria-*` attributes are allowed
+ *     protocols      : Array of allowed URL protocols, relative URLs are always allowed
+ *     dropContent    : Array of element names removed together with their content
+ *     report         : Function called with the list of what was removed
+ *
+ * Markup is parsed in a separate inert document, so nothing in it runs or
+ * loads while it is sanitized. If the Trusted Types API is available, the
+ * sanitized markup written by `html()` goes through a policy named 'mkquery',
+ * which is only ever given the output of the sanitizer
+ *
+ * Example Usage
+ *     $('#comment').html(userInput, {sanitize: true})
+ *     $.config.sanitize = true // Sanitizes every call to html()
+ *
+ *     const {html, removed} = $.sanitize('<img src=x onerror=alert(1)>')
+ *     // html    : '<img src="x">'
+ *     // removed : [{type: 'attribute', name: 'onerror', element: 'img'}]
+ */
+class MQSanitizer {
+    static #policy
+
+    /**
+     * The default allowlist, see `MQSanitizer`
+     */
+    static defaults = {
+        elements: [
+            'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code', 'col',
+            'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption',
+            'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li',
+            'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub',
+            'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u',
+            'ul', 'var', 'wbr',
+        ],
+        attributes: {
+            '*': ['class', 'dir', 'id', 'lang', 'role', 'title'],
+            'a': ['href', 'hreflang', 'name', 'rel', 'target'],
+            'blockquote': ['cite'],
+            'col': ['span'],
+            'colgroup': ['span'],
+            'del': ['cite', 'datetime'],
+            'img': ['alt', 'height', 'src', 'width'],
+            'ins': ['cite', 'datetime'],
+            'ol': ['reversed', 'start', 'type'],
+            'q': ['cite'],
+            'td': ['colspan', 'headers', 'rowspan'],
+            'th': ['abbr', 'colspan', 'headers', 'rowspan', 'scope'],
+            'time': ['datetime'],
+        },
+        dataAttributes: true,
+        ariaAttributes: true,
+        protocols: ['http', 'https', 'mailto', 'tel'],
+        dropContent: ['script', 'style', 'template', 'noscript', 'iframe', 'object', 'embed', 'svg', 'math'],
+    }
+
+    /**
+     * Attributes whose values are URLs
+     */
+    static #urls = ['action', 'background', 'cite', 'formaction', 'href', 'poster', 'src', 'xlink:href']
+
+    /**
+     * Sanitizes markup
+     *
+     * @param  {string} t The markup to sanitize
+     * @param  {Object} o (optional) The allowlist, see `MQSanitizer`. Missing keys use `$.sanitizer.defaults`
+     *
+     * @return {Object} An Object with the keys
+     *                      html    : The sanitized markup
+     *                      removed : Objects describing each removed element or attribute,
+     *                                with the keys `type` ('element', 'attribute' or 'comment'),
+     *                                `name`, and for attributes, `element`
+     */
+    static sanitize(t, o={}) {
+        const c = {...MQSanitizer.defaults, ...o}
+        const _t = document.implementation.createHTMLDocument('').createElement('template')
+        _t.innerHTML = `${t}`
+        const removed = []
+        MQSanitizer.#clean(_t.content, c, removed)
+        const r = {html: _t.innerHTML, removed}
+        if (typeof c.report === 'function' && removed.length) c.report(removed)
+        return r
+    }
+
+    /**
+     * Internal method to sanitize markup, and wrap the result in a
+     * TrustedHTML object if the Trusted Types API is available, shouldn't be
+     * called by external sources
+     *
+     * @param  {string} t The markup to sanitize
+     * @param  {Object} o (optional) The allowlist, like in `sanitize`
+     *
+     * @return {TrustedHTML | string} The sanitized markup, ready to be written to innerHTML
+     */
+    static __html__(t, o) {return MQSanitizer.#trusted(MQSanitizer.sanitize(t, o).html)}
+
+    /**
+     * Internal method to wrap sanitized markup in a TrustedHTML object, if
+     * the Trusted Types API is available
+     *
+     * @param  {string} h The sanitized markup
+     *
+     * @return {TrustedHTML | string} The markup, ready to be written to innerHTML
+     */
+    static #trusted(h) {
+        if (typeof trustedTypes === 'undefined') return h
+        if (MQSanitizer.#policy === undefined) {
+            try {
+                MQSanitizer.#policy = trustedTypes.createPolicy('mkquery', {createHTML: _ => _})
+            }
+            catch (err) {
+                MQSanitizer.#policy = null
+            }
+        }
+        return MQSanitizer.#policy ? MQSanitizer.#policy.createHTML(h) : h
+    }
+
+    /**
+     * Internal method to check whether an attribute is a directive of the library
+     *
+     * @param  {string} a The attribute name, in lower case
+     *
+     * @return {boolean} `true` if it is a directive, `false` otherwise
+     */
+    static #directive(a) {return a.startsWith('data-bind-') || a === 'data-route'}
+
+    /**
+     * Internal method to remove what is not allowed from the children of a node
+     *
+     * @param  {Node}   n       The node to clean
+     * @param  {Object} c       The allowlist
+     * @param  {Array}  removed The list of what was removed, added to
+     */
+    static #clean(n, c, removed) {
+        for (let _ of [...n.childNodes]) {
+            if (_.nodeType === _.COMMENT_NODE) {
+                removed.push({type: 'comment', name: '#comment'})
+                _.remove()
+                continue
+            }
+            if (_.nodeType !== _.ELEMENT_NODE) continue
+            const name = _.localName.toLowerCase()
+            if (!c.elements.includes(name)) {
+                removed.push({type: 'element', name})
+                if (c.dropContent.includes(name)) {
+                    _.remove()
+                }
+                else {
+                    MQSanitizer.#clean(_, c, removed)
+                    _.replaceWith(..._.childNodes)
+                }
+                continue
+            }
+            const allowed = [...(c.attributes['*'] || []), ...(c.attributes[name] || [])]
+            for (let a of [..._.attributes]) {
+                const _a = a.name.toLowerCase()
+                let ok = !_a.startsWith('on') && (allowed.includes(_a)
+                    || (c.dataAttributes && _a.startsWith('data-') && !MQSanitizer.#directive(_a))
+                    || (c.ariaAttributes && _a.startsWith('aria-')))
+                if (ok && MQSanitizer.#urls.includes(_a)) {
+                    const p = /^([a-z][a-z0-9+.-]*):/i.exec(a.value.replace(/[\u0000- \u007f-\u009f]/g, ''))
+                    ok = !p || c.protocols.includes(p[1].toLowerCase())
+                }
+                if (!ok) {
+                    removed.push({type: 'attribute', name: _a, element: name})
+                    _.removeAttribute(a.name)
+                }
+            }
+            MQSanitizer.#clean(_, c, removed)
+        }
+    }
+}
+
+$.sanitizer = MQSanitizer
+$.sanitize = MQSanitizer.sanitize
+
+/**
+ * @author M K
+ *
+ * Observes elements being added, removed, or changed, using MutationObserver,
+ * and elements becoming visible, using IntersectionObserver
+ * Available as `$.observe`, `$.waitFor` and `$.onVisible`
+ */
+class MQObserver {
+    /**
+     * Calls a function whenever an element matching a selector is added,
+     * removed, or has its attributes changed
+     *
+     * Options
+     *     added      : Report matching elements added to the document, defaults to
+     *                  true if none of added, removed and attributes are specified
+     *     removed    : Report matching elements removed from the document
+     *     attributes : Report attribute changes of matching elements. `true` for all
+     *                  attributes, or an Array of attribute names
+     *     root       : The element to observe the descendants of, defaults to the document
+     *
+     * The function is called with the NodeWrapper of the element, the type of
+     * change ('added', 'removed' or 'attributes'), and the MutationRecord
+     *
+     * Example Usage
+     *     const observer = $.observe('.chat-widget', {added: true}, widget => {
+     *         widget.addClass('themed')
+     *     })
+     *     observer.disconnect()
+     *
+     * @param  {string}   s CSS Selector of the elements to observe
+     * @param  {Object}   o (optional) Additional options
+     * @param  {function} c The function to call
+     *
+     * @return {Object} A handle, whose `disconnect()` method stops observing
+     */
+    static observe(s, o, c) {
+        if (typeof o === 'function') [o, c] = [{}, o]
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot observe ${s}, because ${c} is not a function`)
+        MQObserver.#validate(s, o.root)
+        const added = o.added || (!o.removed && !o.attributes)
+        const root = MQObserver.#root(o.root)
+        const report = (n, type, r) => {
+            if (n.nodeType !== n.ELEMENT_NODE) return
+            if (MQSelector.matches(n, s)) c(new NodeWrapper(n), type, r)
+            for (let _ of MQSelector.select(s, [n])) c(new NodeWrapper(_), type, r)
+        }
+        const mo = new (MQ.__view__(root).MutationObserver)(records => {
+            for (let r of records) {
+                if (r.type === 'attributes') {
+                    if (MQSelector.matches(r.target, s)) c(new NodeWrapper(r.target), 'attributes', r)
+                    continue
+                }
+                if (added) r.addedNodes.forEach(_ => report(_, 'added', r))
+                if (o.removed) r.removedNodes.forEach(_ => report(_, 'removed', r))
+            }
+        })
+        const _o = {childList: !!(added || o.removed), subtree: true}
+        if (o.attributes) {
+            _o.attributes = true
+            _o.attributeOldValue = true
+            if (o.attributes instanceof Array) _o.attributeFilter = o.attributes
+        }
+        mo.observe(root, _o)
+        return {disconnect: () => mo.disconnect()}
+    }
+
+    /**
+     * Waits for an element matching a selector to exist
+     *
+     * Options
+     *     timeout : Milliseconds after which to fail with an MQTimeoutError, 0 for no timeout
+     *     root    : The element to look in, defaults to the document
+     *     signal  : An AbortSignal to stop waiting with, failing with an MQAbortError
+     *
+     * Example Usage
+     *     const widget = await $.waitFor('#third-party-widget', {timeout: 5000})
+     *
+     * @param  {string} s CSS Selector of the element to wait for
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {Promise} Resolves to the NodeWrapper of the first matching element
+     */
+    static waitFor(s, o={}) {
+        MQObserver.#validate(s, o.root)
+        const root = MQObserver.#root(o.root)
+        return new Promise((resolve, reject) => {
+            const _ = MQSelector.select(s, [root])[0]
+            if (_) return resolve(new NodeWrapper(_))
+            if (o.signal && o.signal.aborted) return reject(new MQAbortError(`Stopped waiting for ${s}`))
+            let timer
+            const done = () => {
+                mo.disconnect()
+                clearTimeout(timer)
+                if (o.signal) o.signal.removeEventListener('abort', onAbort)
+            }
+            const onAbort = () => {
+                done()
+                reject(new MQAbortError(`Stopped waiting for ${s}`))
+            }
+            const mo = new (MQ.__view__(root).MutationObserver)(() => {
+                const _ = MQSelector.select(s, [root])[0]
+                if (!_) return
+                done()
+                resolve(new NodeWrapper(_))
+            })
+            mo.observe(root, {childList: true, subtree: true, attributes: true})
+            if (o.timeout > 0) {
+                timer = setTimeout(() => {
+                    done()
+                    reject(new MQTimeoutError(`Timed out after ${o.timeout}ms waiting for ${s}`))
+                }, o.timeout)
+            }
+            if (o.signal) o.signal.addEventListener('abort', onAbort)
+        })
+    }
+
+    /**
+     * Calls a function when an element matching a selector becomes visible
+     * in the viewport, using IntersectionObserver
+     *
+     * Matching elements added to the document later are observed as well
+     *
+     * Options
+     *     once       : Stop observing an element after it became visible once, defaults to true
+     *     root       : The scroll container to use as the viewport, defaults to the viewport
+     *     rootMargin : Margin around the root, like '200px 0px' to call the function early
+     *     threshold  : Ratio of the element that must be visible, defaults to 0
+     *
+     * Where IntersectionObserver is not available, the function is called for
+     * every matching element right away
+     *
+     * Example Usage
+     *     $.onVisible('img[data-src]', img => img.attr('src', img.data('src')), {rootMargin: '200px'})
+     *
+     * @param  {string}   s CSS Selector of the elements to observe
+     * @param  {function} c The function to call, with the NodeWrapper of the element and the IntersectionObserverEntry
+     * @param  {Object}   o (optional) Additional options
+     *
+     * @return {Object} A handle, whose `disconnect()` method stops observing
+     */
+    static onVisible(s, c, o={}) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot observe ${s}, because ${c} is not a function`)
+        MQObserver.#validate(s, o.root)
+        const once = o.once !== false
+        const root = o.root instanceof NodeWrapper ? o.root.get() : o.root
+        const view = MQ.__view__(root || document)
+        if (!view.IntersectionObserver) {
+            const seen = new WeakSet()
+            const call = n => {
+                if (once && seen.has(n.get())) return
+                seen.add(n.get())
+                c(n, null)
+            }
+            MQ.__select__(s, [root || document]).forEach(_ => call(new NodeWrapper(_)))
+            return MQObserver.observe(s, {added: true, root}, call)
+        }
+        const io = new view.IntersectionObserver(entries => {
+            for (let _ of entries) {
+                if (!_.isIntersecting) continue
+                if (once) io.unobserve(_.target)
+                c(new NodeWrapper(_.target), _)
+            }
+        }, {root: root || null, rootMargin: o.rootMargin, threshold: o.threshold || 0})
+        MQ.__select__(s, [root || document]).forEach(_ => io.observe(_))
+        const mo = MQObserver.observe(s, {added: true, removed: true, root}, (n, type) => {
+            if (type === 'added') io.observe(n.get())
+            else io.unobserve(n.get())
+        })
+        return {
+            disconnect() {
+                mo.disconnect()
+                io.disconnect()
+            }
+        }
+    }
+
+    /**
+     * Internal method to resolve the root option
+     *
+     * @param  {HTMLElement | NodeWrapper | Document} r The root option
+     *
+     * @return {Node} The node to observe
+     */
+    static #root(r) {
+        if (!r) return document
+        return r instanceof NodeWrapper ? r.get() : r
+    }
+
+    /**
+     * Internal method to check a CSS Selector
+     *
+     * @param  {string}                            s The CSS Selector
+     * @param  {HTMLElement | NodeWrapper | Document} r The root option
+     */
+    static #validate(s, r) {
+        MQSelector.compile(s, MQ.__document__(r))
+    }
+}
+
+$.observe = MQObserver.observe
+$.waitFor = MQObserver.waitFor
+$.onVisible = MQObserver.onVisible
+
+/**
+ * @author M K
+ *
+ * Publish/subscribe event bus, independent of the document
+ * Available as `$.bus`, further buses may be created using `new MQBus()`
+ *
+ * Topics are dot separated, like `cart.item.added`. Subscriptions may use
+ * wildcards, `*` matches exactly one segment and `**` matches any number of
+ * segments, so `cart.*.added` and `cart.**` both match `cart.item.added`
+ *
+ * Example Usage
+ *     const off = $.bus.on('cart.**', (item, topic) => render())
+ *     $.bus.emit('cart.item.added', {id: 3})
+ *     const user = await $.bus.once('auth.login')
+ *     off()
+ */
+class MQBus {
+    #subs = []
+
+    /**
+     * Subscribes a handler to a topic
+     *
+     * The handler is called with the payload and the topic it was emitted on.
+     * Errors thrown by a handler do not prevent the other handlers from being
+     * called, they are rethrown asynchronously
+     *
+     * @param  {string}   t The topic, may contain wildcards
+     * @param  {function} c The handler
+     *
+     * @return {function} Unsubscribes the handler when called
+     */
+    on(t, c) {
+        return this.#subscribe(t, c, false)
+    }
+
+    /**
+     * Subscribes a handler to the next emit on a topic
+     *
+     * Without a handler, returns a Promise resolving to the payload instead
+     *
+     * Options (only without a handler)
+     *     timeout : Rejects with an MQTimeoutError after the given number of milliseconds
+     *     signal  : AbortSignal, rejects with an MQAbortError when aborted
+     *
+     * @param  {string}   t The topic, may contain wildcards
+     * @param  {function} c (optional) The handler
+     * @param  {Object}   o (optional) Additional options
+     *
+     * @return {function | Promise} Unsubscribes the handler when called if a handler is given,
+     *                              a Promise resolving to the payload otherwise
+     */
+    once(t, c, o={}) {
+        if (typeof c === 'function') return this.#subscribe(t, c, true)
+        if (c && typeof c === 'object') o = c
+        return new Promise((resolve, reject) => {
+            if (o.signal && o.signal.aborted) return reject(new MQAbortError(`Stopped waiting for ${t}`))
+            let timer
+            const done = () => {
+                off()
+                clearTimeout(timer)
+                if (o.signal) o.signal.removeEventListener('abort', onAbort)
+            }
+            const onAbort = () => {
+                done()
+                reject(new MQAbortError(`Stopped waiting for ${t}`))
+            }
+            const off = this.#subscribe(t, d => {
+                done()
+                resolve(d)
+            }, true)
+            if (o.timeout > 0) {
+                timer = setTimeout(() => {
+                    done()
+                    reject(new MQTimeoutError(`Timed out after ${o.timeout}ms waiting for ${t}`))
+                }, o.timeout)
+            }
+            if (o.signal) o.signal.addEventListener('abort', onAbort)
+        })
+    }
+
+    /**
+     * Unsubscribes handlers
+     *
+     * Can be called with 3 signatures
+     *
+     * 1. Without arguments, `bus.off()`
+     *     Removes all the subscriptions
+     * 2. With a topic, `bus.off(topic)`
+     *     Removes all the subscriptions made with exactly that topic
+     * 3. With a topic and a handler, `bus.off(topic, handler)`
+     *     Removes the handler from the topic
+     *
+     * @param  {string}   t (optional) The topic, as given when subscribing
+     * @param  {function} c (optional) The handler
+     *
+     * @return {MQBus} The current calling instance (this)
+     */
+    off(t, c) {
+        this.#subs = this.#subs.filter(_ => (t !== undefined && _.topic !== t) || (c !== undefined && _.handler !== c))
+        return this
+    }
+
+    /**
+     * Emits a payload on a topic, calling every matching handler in the
+     * order they subscribed
+     *
+     * @param  {string} t The topic, without wildcards
+     * @param  {*}      d (optional) The payload
+     *
+     * @return {number} The number of handlers called
+     */
+    emit(t, d) {
+        if (typeof t !== 'string' || !t || t.split('.').some(_ => !_ || _ === '*' || _ === '**')) {
+            throw new MQIllegalArgumentError(`Cannot emit on topic ${t}`)
+        }
+        const _t = t.split('.')
+        const _s = this.#subs.filter(_ => MQBus.#match(_.parts, _t))
+        for (let _ of _s) {
+            if (_.once) this.#subs = this.#subs.filter(q => q !== _)
+            try {
+                _.handler(d, t)
+            }
+            catch (err) {
+                queueMicrotask(() => {throw err})
+            }
+        }
+        return _s.length
+    }
+
+    /**
+     * Internal method to add a subscription
+     *
+     * @param  {string}   t    The topic, may contain wildcards
+     * @param  {function} c    The handler
+     * @param  {boolean}  once Whether to remove the subscription after its first call
+     *
+     * @return {function} Unsubscribes the handler when called
+     */
+    #subscribe(t, c, once) {
+        if (typeof t !== 'string' || !t || t.split('.').some(_ => !_)) throw new MQIllegalArgumentError(`Cannot subscribe to topic ${t}`)
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot subscribe ${c} to topic ${t}, because it is not a function`)
+        const _ = {topic: t, parts: t.split('.'), handler: c, once}
+        this.#subs.push(_)
+        return () => {this.#subs = this.#subs.filter(q => q !== _)}
+    }
+
+    /**
+     * Internal method to match a topic against a subscription
+     *
+     * @param  {Array} p The segments of the subscription, may contain wildcards
+     * @param  {Array} t The segments of the topic
+     *
+     * @return {boolean} `true` if the topic matches, `false` otherwise
+     */
+    static #match(p, t) {
+        if (p.length === 0) return t.length === 0
+        if (p[0] === '**') return [...Array(t.length + 1).keys()].some(i => MQBus.#match(p.slice(1), t.slice(i)))
+        if (t.length === 0) return false
+        return (p[0] === '*' || p[0] === t[0]) && MQBus.#match(p.slice(1), t.slice(1))
+    }
+}
+
+$.bus = new MQBus()
+
+/**
+ * @author M K
+ *
+ * Batches DOM reads and writes, so that layout is computed once per frame
+ * instead of once per element. Available as `$.batch`, `$.measure`,
+ * `$.mutate` and `$.flush`
+ *
+ * Queued reads and writes are flushed in one `requestAnimationFrame`, all
+ * the reads first, then all the writes. Reads queued by writes are flushed
+ * in the next frame.
+ *
+ * Inside `$.batch`, for both MQ and NodeWrapper instances, and on instances
+ * returned by `instance.defer()`, the following operations are queued as
+ * writes instead of running right away: css, attr, removeAttr, prop, aria,
+ * data, removeData, width, height, scrollTop, scrollLeft, html, unsafeHtml,
+ * render, morph, text, addClass and removeClass. Other methods, including reads, run right away
+ *
+ * If `$.config.syncBatch` is true, for example in tests, nothing waits for a
+ * frame: `$.measure` and `$.mutate` run right away, and `$.batch` flushes
+ * before returning
+ *
+ * Example Usage
+ *     const heights = rows.map(r => r.height())      // Reads first
+ *     await $.batch(() => {
+ *         $('td.price').addClass('updated')          // Queued
+ *         $('td.total').css('color', 'red')          // Queued
+ *     })
+ *     const w = await $.measure(() => table.width())
+ *     await $.mutate(() => table.css('width', `${w}px`))
+ */
+class MQScheduler {
+    static #reads = []
+    static #writes = []
+    static #frame = null
+    static #batching = 0
+
+    /**
+     * Queues a function that reads from the DOM
+     *
+     * @param  {function} c The function to call
+     *
+     * @return {Promise} Resolves to the return value of the function once it was called
+     */
+    static measure(c) {return MQScheduler.#queue(MQScheduler.#reads, c)}
+
+    /**
+     * Queues a function that writes to the DOM
+     *
+     * @param  {function} c The function to call
+     *
+     * @return {Promise} Resolves to the return value of the function once it was called
+     */
+    static mutate(c) {return MQScheduler.#queue(MQScheduler.#writes, c)}
+
+    /**
+     * Calls a function, queueing the mass operations it makes as writes
+     *
+     * Batches may be nested, writes are queued until the outermost one returns
+     *
+     * @param  {function} c The function to call
+     *
+     * @return {Promise} Resolves once the queued writes were flushed, rejects
+     *                   with the first error thrown by a queued write
+     */
+    static batch(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot batch ${c}, because it is not a function`)
+        MQScheduler.#batching++
+        try {
+            c()
+        }
+        finally {
+            MQScheduler.#batching--
+        }
+        if (MQScheduler.#batching === 0 && $.config.syncBatch) return MQScheduler.flush()
+        return MQScheduler.#frame ? MQScheduler.#frame.promise : Promise.resolve()
+    }
+
+    /**
+     * Flushes the queued reads and writes right away, without waiting for a frame
+     *
+     * @return {Promise} Resolves once flushed, rejects with the first error
+     *                   thrown by a queued write of a batch or deferred instance
+     */
+    static flush() {
+        const f = MQScheduler.#frame
+        if (!f) return Promise.resolve()
+        MQScheduler.#flush(f)
+        return f.promise
+    }
+
+    /**
+     * Internal method to check whether mass operations must be queued,
+     * shouldn't be called by external sources
+     *
+     * @return {boolean} `true` inside `$.batch`, `false` otherwise
+     */
+    static __batching__() {return MQScheduler.#batching > 0}
+
+    /**
+     * Internal method to queue a write of a mass operation, shouldn't be
+     * called by external sources
+     *
+     * Errors are reported by the Promise of the flush
+     *
+     * @param  {function} c The function to call
+     */
+    static __defer__(c) {
+        if ($.config.syncBatch && MQScheduler.#batching === 0) return c()
+        MQScheduler.#writes.push({c})
+        MQScheduler.#schedule()
+    }
+
+    /**
+     * Internal method to queue a read or a write
+     *
+     * @param  {Array}    q The queue
+     * @param  {function} c The function to call
+     *
+     * @return {Promise} Resolves to the return value of the function once it was called
+     */
+    static #queue(q, c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot queue ${c}, because it is not a function`)
+        if ($.config.syncBatch && MQScheduler.#batching === 0) {
+            try {
+                return Promise.resolve(c())
+            }
+            catch (err) {
+                return Promise.reject(err)
+            }
+        }
+        return new Promise((resolve, reject) => {
+            q.push({c, resolve, reject})
+            MQScheduler.#schedule()
+        })
+    }
+
+    /**
+     * Internal method to request a frame to flush in, if none is requested yet
+     */
+    static #schedule() {
+        if (MQScheduler.#frame) return
+        const f = {}
+        f.promise = new Promise((resolve, reject) => Object.assign(f, {resolve, reject}))
+        f.promise.catch(() => {})
+        MQScheduler.#frame = f
+        const raf = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : _ => setTimeout(_, 16)
+        raf(() => MQScheduler.#flush(f))
+    }
+
+    /**
+     * Internal method to run the queued reads, then the queued writes
+     *
+     * @param  {Object} f The frame to flush, ignored if it was already flushed
+     */
+    static #flush(f) {
+        if (MQScheduler.#frame !== f) return
+        MQScheduler.#frame = null
+        const errors = []
+        const batching = MQScheduler.#batching
+        MQScheduler.#batching = 0
+        for (let q of [MQScheduler.#reads, MQScheduler.#writes]) {
+            while (q.length) {
+                const j = q.shift()
+                try {
+                    const v = j.c()
+                    if (j.resolve) j.resolve(v)
+                }
+                catch (err) {
+                    if (j.reject) j.reject(err)
+                    else errors.push(err)
+                }
+            }
+        }
+        MQScheduler.#batching = batching
+        if (errors.length) f.reject(errors[0])
+        else f.resolve()
+    }
+}
+
+$.batch = MQScheduler.batch
+$.measure = MQScheduler.measure
+$.mutate = MQScheduler.mutate
+$.flush = MQScheduler.flush
+
+/**
+ * @author M K
+ *
+ * Selector engine, used by `$`, traversal and filtering methods, delegated
+ * events and `$.observe`. Available as `$.expr`
+ *
+ * Native CSS Selectors are passed to the browser as is. Selectors using
+ * custom pseudo-classes are split into compound selectors, which are queried
+ * natively and then filtered by the custom pseudo-classes
+ *
+ * Built-in custom pseudo-classes
+ *     :visible, :hidden   : Whether the element takes up space in the layout
+ *     :contains(text)     : Whether the text content of the element contains the text
+ *     :input              : input, select, textarea and button elements
+ *     :eq(n), :lt(n), :gt(n), :first, :last, :even, :odd
+ *                         : Positional, relative to the elements matched so far,
+ *                           `li:eq(2)` is the third `li` of the document, in document order.
+ *                           When matching a single element, like in `is()` or delegated
+ *                           events, the element is the only one in the set
+ *     :has(selector)      : Polyfilled where the browser does not support it
+ *     :not(selector)      : Native, except when the selector uses custom pseudo-classes
+ * Native pseudo-classes, like `:checked` on radio and checkbox groups or
+ * `:disabled`, work as usual and can be combined with custom ones
+ *
+ * Example Usage
+ *     $('tr:visible:even').addClass('striped')
+ *     $('li:contains("Done"):last')
+ *     $.expr.register('external', e => e.host !== location.host)
+ *     $('a:external')
+ */
+class MQSelector {
+    static #pseudos = new Map()
+    static #cache = new Map()
+
+    /**
+     * The maximum number of compiled selectors to keep
+     */
+    static cacheSize = 500
+
+    /**
+     * Registers a custom pseudo-class
+     *
+     * The function is called for each candidate element with the element, the
+     * argument of the pseudo-class as a string (or undefined without
+     * parentheses), the index of the element among the candidates, and the
+     * candidates, so that positional pseudo-classes can be defined
+     *
+     * Example Usage
+     *     $.expr.register('data', (e, a) => a in e.dataset) // $('div:data(user-id)')
+     *
+     * @param  {string}   n The name of the pseudo-class, without the colon
+     * @param  {function} c The function, returning whether an element matches
+     *
+     * @return {MQSelector} The MQSelector class, for chaining
+     */
+    static register(n, c) {
+        if (typeof n !== 'string' || !/^[a-z_][\w-]*$/i.test(n)) throw new MQIllegalArgumentError(`Cannot register pseudo-class ${n}, because it is not a valid name`)
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot register pseudo-class ${n}, because ${c} is not a function`)
+        MQSelector.#pseudos.set(n.toLowerCase(), c)
+        MQSelector.#cache.clear()
+        return MQSelector
+    }
+
+    /**
+     * Removes a custom pseudo-class
+     *
+     * @param  {string} n The name of the pseudo-class, without the colon
+     *
+     * @return {MQSelector} The MQSelector class, for chaining
+     */
+    static unregister(n) {
+        MQSelector.#pseudos.delete(`${n}`.toLowerCase())
+        MQSelector.#cache.clear()
+        return MQSelector
+    }
+
+    /**
+     * Selects the elements matching a selector, in document order
+     *
+     * @param  {string} s The selector
+     * @param  {Array}  r (optional) The elements, documents or shadow roots to query in,
+     *                    defaults to `[document]`
+     *
+     * @return {Array} The matching elements
+     */
+    static select(s, r=[document]) {
+        const c = MQSelector.compile(s, r.length ? MQ.__document__(r[0]) : undefined)
+        if (c.native) {
+            if (r.length === 1) return [...r[0].querySelectorAll(s)]
+            return MQSelector.#order(r.flatMap(_ => [..._.querySelectorAll(s)]))
+        }
+        const _l = []
+        for (let g of c.groups) {
+            let ctx = r
+            g.forEach((step, i) => {
+                let l = ctx.flatMap(e => MQSelector.#step(e, i === 0 ? step.comb || ' ' : step.comb, step.sel || '*'))
+                if (ctx.length > 1) l = MQSelector.#order(l)
+                ctx = MQSelector.#pseudo(l, step.pseudos)
+            })
+            _l.push(...ctx)
+        }
+        return c.groups.length > 1 ? MQSelector.#order(_l) : _l
+    }
+
+    /**
+     * Reduces a list of elements to the ones matching a selector
+     *
+     * Positional pseudo-classes in the last compound selector are relative to
+     * the list, so `filter(items, ':even')` keeps every other item
+     *
+     * @param  {Array}  l The elements
+     * @param  {string} s The selector
+     *
+     * @return {Array} The matching elements, in the order of the list
+     */
+    static filter(l, s) {
+        const c = MQSelector.compile(s, l.length ? l[0].ownerDocument : undefined)
+        if (c.native) return l.filter(e => e.matches(s))
+        const m = new Set()
+        for (let g of c.groups) {
+            const k = g.length - 1
+            const _l = l.filter(e => e.matches(g[k].sel || '*') && (k === 0 || MQSelector.#context(e, g, k)))
+            MQSelector.#pseudo(_l, g[k].pseudos).forEach(_ => m.add(_))
+        }
+        return l.filter(e => m.has(e))
+    }
+
+    /**
+     * Checks whether an element matches a selector
+     *
+     * @param  {HTMLElement} e The element
+     * @param  {string}      s The selector
+     *
+     * @return {boolean} `true` if it matches, `false` otherwise
+     */
+    static matches(e, s) {
+        return MQSelector.filter([e], s).length > 0
+    }
+
+    /**
+     * Returns the closest element matching a selector, starting from an
+     * element and moving up through its ancestors
+     *
+     * @param  {HTMLElement} e The element to start from
+     * @param  {string}      s The selector
+     *
+     * @return {HTMLElement} The closest matching element, or null if none match
+     */
+    static closest(e, s) {
+        if (MQSelector.compile(s, e.ownerDocument).native) return e.closest(s)
+        for (let _ = e; _; _ = _.parentElement) {
+            if (MQSelector.matches(_, s)) return _
+        }
+        return null
+    }
+
+    /**
+     * Compiles a selector, compiled selectors are cached
+     *
+     * Throws an MQInvalidSelectorError describing the first invalid token if
+     * the selector is invalid
+     *
+     * @param  {string}   s The selector
+     * @param  {Document} d (optional) The document to check native selectors with,
+     *                      defaults to `document`
+     *
+     * @return {Object} The compiled selector, `{native, groups}`
+     */
+    static compile(s, d) {
+        if (typeof s !== 'string') throw new MQInvalidSelectorError(`Invalid Selector ${s}, selectors must be strings`)
+        let c = MQSelector.#cache.get(s)
+        if (c) {
+            MQSelector.#cache.delete(s)
+            MQSelector.#cache.set(s, c)
+            return c
+        }
+        c = MQSelector.#parse(s, false)
+        for (let g of c.groups) {
+            for (let step of g) {
+                if (step.sel && !MQSelector.#valid(step.sel, d)) throw MQSelector.#explain(s, step, d)
+            }
+        }
+        if (c.native && !MQSelector.#valid(s, d)) throw new MQInvalidSelectorError(`Invalid Selector "${s}"`)
+        MQSelector.#cache.set(s, c)
+        if (MQSelector.#cache.size > MQSelector.cacheSize) MQSelector.#cache.delete(MQSelector.#cache.keys().next().value)
+        return c
+    }
+
+    /**
+     * Internal method to split a selector into groups of compound selectors
+     *
+     * Each compound selector is `{comb, sel, pseudos, natives, pos}`, where
+     * comb is the combinator before it (null for the first), sel the native
+     * part, pseudos the custom pseudo-classes, natives the native
+     * pseudo-classes with their positions, and pos its position in the selector
+     *
+     * @param  {string}  s The selector
+     * @param  {boolean} r Whether groups may start with a combinator, like `> img`
+     *
+     * @return {Object} `{native, groups}`, native is true if no custom pseudo-classes are used
+     */
+    static #parse(s, r) {
+        const err = (m, p) => new MQInvalidSelectorError(`Invalid Selector "${s}": ${m} at position ${p}`)
+        const groups = []
+        let g = [], step = null, comb = null, native = true, i = 0
+        const current = () => step || (step = {comb, sel: '', pseudos: [], natives: [], pos: i})
+        const close = p => {
+            if (!step) {
+                if (comb !== null && comb !== ' ') throw err(`expected a selector after "${comb}"`, p)
+                if (g.length === 0) throw err('empty selector', p)
+                return
+            }
+            g.push(step)
+            step = null
+            comb = null
+        }
+        const balanced = (o, c, p) => {
+            let d = 0, j = p
+            for (; j < s.length; j++) {
+                if (s[j] === '\\') j++
+                else if (s[j] === '"' || s[j] === "'") {
+                    const q = s.indexOf(s[j], j + 1)
+                    if (q < 0) throw err(`unclosed string`, j)
+                    j = q
+                }
+                else if (s[j] === o) d++
+                else if (s[j] === c && --d === 0) return j
+            }
+            throw err(`unclosed "${o}"`, p)
+        }
+        while (i < s.length) {
+            const ch = s[i]
+            if (/[\s>+~]/.test(ch)) {
+                let j = i, _c = ' '
+                while (j < s.length && /[\s>+~]/.test(s[j])) {
+                    if (s[j] !== ' ' && !/\s/.test(s[j])) {
+                        if (_c !== ' ') throw err(`unexpected "${s[j]}"`, j)
+                        _c = s[j]
+                    }
+                    j++
+                }
+                if (step) {
+                    g.push(step)
+                    step = null
+                    comb = _c
+                }
+                else if (g.length === 0 && _c !== ' ') {
+                    if (!r) throw err(`unexpected "${_c}"`, i)
+                    comb = _c
+                }
+                else if (g.length > 0 || _c !== ' ') throw err(`unexpected "${_c}"`, i)
+                i = j
+                continue
+            }
+            if (ch === ',') {
+                if (!step && comb !== null && comb !== ' ') throw err(`expected a selector after "${comb}"`, i)
+                close(i)
+                groups.push(g)
+                g = []
+                comb = null
+                i++
+                continue
+            }
+            if (ch === ')' || ch === ']') throw err(`unexpected "${ch}"`, i)
+            if (ch === '[' || ch === '(') {
+                const j = balanced(ch, ch === '[' ? ']' : ')', i)
+                current().sel += s.slice(i, j + 1)
+                i = j + 1
+                continue
+            }
+            if (ch === '\\') {
+                current().sel += s.slice(i, i + 2)
+                i += 2
+                continue
+            }
+            if (ch === ':') {
+                const _s = current()
+                if (s[i + 1] === ':') {
+                    const m = /^::[\w-]*/.exec(s.slice(i))
+                    _s.sel += m[0]
+                    i += m[0].length
+                    continue
+                }
+                const m = /^[\w-]+/.exec(s.slice(i + 1))
+                if (!m) throw err('expected a pseudo-class name after ":"', i)
+                const name = m[0].toLowerCase()
+                let j = i + 1 + m[0].length, arg
+                if (s[j] === '(') {
+                    const k = balanced('(', ')', j)
+                    arg = s.slice(j + 1, k).trim()
+                    j = k + 1
+                }
+                let nested = false
+                if ((name === 'not' || name === 'has') && arg !== undefined) {
+                    try {
+                        nested = !MQSelector.#parse(arg, name === 'has').native
+                    }
+                    catch (err) {
+                        nested = false
+                    }
+                }
+                if (MQSelector.#pseudos.has(name) || nested) {
+                    _s.pseudos.push({name: nested ? `__${name}` : name, arg})
+                    native = false
+                }
+                else {
+                    _s.natives.push({token: s.slice(i, j), pos: i})
+                    _s.sel += s.slice(i, j)
+                }
+                i = j
+                continue
+            }
+            current().sel += ch
+            i++
+        }
+        if (!step && comb !== null && comb !== ' ') throw err(`expected a selector after "${comb}"`, i)
+        close(i)
+        groups.push(g)
+        return {native, groups}
+    }
+
+    /**
+     * Internal method to describe why a compound selector is invalid
+     *
+     * @param  {string}   s    The selector
+     * @param  {Object}   step The invalid compound selector
+     * @param  {Document} d    The document to check native selectors with
+     *
+     * @return {MQInvalidSelectorError} The error
+     */
+    static #explain(s, step, d) {
+        for (let _ of step.natives) {
+            if (!MQSelector.#valid(`*${_.token}`, d)) return new MQInvalidSelectorError(`Invalid Selector "${s}": unknown pseudo-class "${_.token}" at position ${_.pos}`)
+        }
+        return new MQInvalidSelectorError(`Invalid Selector "${s}": "${step.sel}" is not valid at position ${step.pos}`)
+    }
+
+    /**
+     * Internal method to check a native CSS Selector
+     *
+     * Without a document to check with, like outside of a browser before
+     * `$.using`, the selector is accepted and checked by the browser when used
+     *
+     * @param  {string}   s The CSS Selector
+     * @param  {Document} d (optional) The document to check with, defaults to `document`
+     *
+     * @return {boolean} `true` if the browser accepts it, `false` otherwise
+     */
+    static #valid(s, d) {
+        if (!d && typeof document === 'undefined') return true
+        try {
+            (d || document).createDocumentFragment().querySelector(s)
+            return true
+        }
+        catch (err) {
+            return false
+        }
+    }
+
+    /**
+     * Internal method to find the elements related to an element by a combinator
+     *
+     * @param  {Node}   e The element, document or shadow root
+     * @param  {string} c The combinator, one of ' ', '>', '+' and '~'
+     * @param  {string} s The native CSS Selector the elements must match
+     *
+     * @return {Array} The related elements
+     */
+    static #step(e, c, s) {
+        if (c === ' ') return [...e.querySelectorAll(s)]
+        if (c === '>') return [...e.children].filter(_ => _.matches(s))
+        const _l = []
+        for (let _ = e.nextElementSibling; _; _ = c === '~' ? _.nextElementSibling : null) {
+            if (_.matches(s)) _l.push(_)
+        }
+        return _l
+    }
+
+    /**
+     * Internal method to filter elements by custom pseudo-classes, in order
+     *
+     * @param  {Array} l The elements
+     * @param  {Array} p The custom pseudo-classes, `{name, arg}`
+     *
+     * @return {Array} The matching elements
+     */
+    static #pseudo(l, p) {
+        for (let _ of p) {
+            const f = MQSelector.#pseudos.get(_.name) || MQSelector.#nested[_.name]
+            const _l = l
+            l = _l.filter((e, i) => f(e, _.arg, i, _l))
+        }
+        return l
+    }
+
+    /**
+     * Internal method to check the part of a selector before a compound
+     * selector, against the ancestors and previous siblings of an element
+     *
+     * @param  {HTMLElement} e The element matching the compound selector
+     * @param  {Array}       g The compound selectors of the group
+     * @param  {number}      k The index of the compound selector matched by the element
+     *
+     * @return {boolean} `true` if the part before matches, `false` otherwise
+     */
+    static #context(e, g, k) {
+        const c = g[k].comb
+        const test = _ => _.matches(g[k - 1].sel || '*') && MQSelector.#pseudo([_], g[k - 1].pseudos).length > 0 && (k === 1 || MQSelector.#context(_, g, k - 1))
+        const next = c === '>' || c === ' ' ? _ => _.parentElement : _ => _.previousElementSibling
+        for (let _ = next(e); _; _ = c === ' ' || c === '~' ? next(_) : null) {
+            if (test(_)) return true
+        }
+        return false
+    }
+
+    /**
+     * Internal method to sort elements in document order, removing duplicates
+     *
+     * @param  {Array} l The elements
+     *
+     * @return {Array} The sorted elements
+     */
+    static #order(l) {
+        return [...new Set(l)].sort((a, b) => {
+            const c = a.compareDocumentPosition(b)
+            if (a === b || c & a.DOCUMENT_POSITION_DISCONNECTED) return 0
+            return c & a.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        })
+    }
+
+    /**
+     * Handlers of `:not()` and `:has()` with selectors using custom pseudo-classes
+     */
+    static #nested = {
+        __not: (e, a) => !MQSelector.matches(e, a),
+        __has: (e, a) => MQSelector.#relative(e, a).length > 0,
+    }
+
+    /**
+     * Internal method to select the elements matching a relative selector,
+     * like the argument of `:has()`
+     *
+     * @param  {HTMLElement} e The element the selector is relative to
+     * @param  {string}      a The relative selector, like `> img` or `.icon`
+     *
+     * @return {Array} The matching elements
+     */
+    static #relative(e, a) {
+        const c = MQSelector.#parse(a, true)
+        const _l = []
+        for (let g of c.groups) {
+            let ctx = [e]
+            g.forEach((step, i) => {
+                const l = ctx.flatMap(_ => MQSelector.#step(_, i === 0 ? step.comb || ' ' : step.comb, step.sel || '*'))
+                ctx = MQSelector.#pseudo(ctx.length > 1 ? MQSelector.#order(l) : l, step.pseudos)
+            })
+            _l.push(...ctx)
+        }
+        return _l
+    }
+
+    static {
+        const visible = e => !!(e.offsetWidth || e.offsetHeight || e.getClientRects().length)
+        const n = a => parseInt(a)
+        MQSelector.register('visible', visible)
+        MQSelector.register('hidden', e => !visible(e))
+        MQSelector.register('contains', (e, a) => e.textContent.includes(`${a}`.replace(/^(["'])(.*)\1$/s, '$2')))
+        MQSelector.register('input', e => /^(input|select|textarea|button)$/i.test(e.nodeName))
+        MQSelector.register('eq', (e, a, i, l) => i === (n(a) < 0 ? l.length + n(a) : n(a)))
+        MQSelector.register('lt', (e, a, i, l) => i < (n(a) < 0 ? l.length + n(a) : n(a)))
+        MQSelector.register('gt', (e, a, i, l) => i > (n(a) < 0 ? l.length + n(a) : n(a)))
+        MQSelector.register('first', (e, a, i) => i === 0)
+        MQSelector.register('last', (e, a, i, l) => i === l.length - 1)
+        MQSelector.register('even', (e, a, i) => i % 2 === 0)
+        MQSelector.register('odd', (e, a, i) => i % 2 === 1)
+        if (!MQSelector.#valid(':has(*)')) MQSelector.register('has', (e, a) => MQSelector.#relative(e, a).length > 0)
+    }
+}
+
+$.expr = MQSelector
+
+/**
+ * @author M K
+ *
+ * Keyboard shortcut manager, built on `on` and `off`. Available as `$.hotkeys`,
+ * and as `instance.hotkeys()` for shortcuts local to elements
+ *
+ * Shortcuts are written as keys joined by `+`, like `ctrl+shift+p`. `mod` is
+ * Cmd on Apple platforms and Ctrl elsewhere. Sequences are separated by
+ * spaces, like `g i`, and several shortcuts by commas, like `mod+k, /`
+ *
+ * Modifiers are ctrl, alt (or option), shift, meta (or cmd) and mod. Keys are
+ * characters, like `k`, `/` or `?`, or names, like enter, esc, space, tab,
+ * backspace, delete, up, down, left, right, home, end, pageup, pagedown, plus, comma and f1 to f12.
+ * Characters other than letters are bound as typed, like `?` rather than `shift+/`,
+ * as binding them with shift throws an MQIllegalArgumentError
+ *
+ * Only the shortcuts of the active scope, the last one pushed, and of the
+ * scope 'all' are active. Keystrokes typed in inputs, textareas, selects and
+ * editable elements are ignored, unless the shortcut allows them
+ *
+ * Example Usage
+ *     $.hotkeys.bind('mod+k', openSearch, {description: 'Search'})
+ *     $.hotkeys.bind('g i', () => go('/inbox'))
+ *     $.hotkeys.pushScope('modal')
+ *     $.hotkeys.bind('esc', closeModal, {scope: 'modal'})
+ *     $.hotkeys.popScope()
+ *     $('#editor').hotkeys('mod+s', save, {allowInInputs: true})
+ */
+class MQHotkeys {
+    static #bindings = []
+    static #targets = new Map()
+    static #scopes = ['default']
+    static #history = []
+    static #last = null
+
+    /**
+     * The maximum number of milliseconds between the keys of a sequence
+     */
+    static sequenceTimeout = 1000
+
+    /**
+     * Binds a handler to keyboard shortcuts
+     *
+     * Options
+     *     scope          : The scope the shortcut is active in, defaults to 'default'.
+     *                      Shortcuts of the scope 'all' are always active
+     *     element        : The element the shortcut is local to, a HTMLElement,
+     *                      NodeWrapper or CSS Selector. Defaults to the document
+     *     preventDefault : Whether to prevent the default action of the keystroke, defaults to true
+     *     allowInInputs  : Whether the shortcut works while typing in inputs, defaults to false
+     *     description    : Description of the shortcut, for `$.hotkeys.list()`
+     *
+     * The handler is called with `this` set to the element, the keyboard
+     * event, and an Object `{keys, scope}`
+     *
+     * @param  {string}   k The shortcut(s)
+     * @param  {function} c The handler
+     * @param  {Object}   o (optional) Additional options
+     *
+     * @return {function} Unbinds the handler when called
+     */
+    static bind(k, c, o={}) {
+        if (typeof c !== 'function') throw new MQEventBindError(`Cannot bind callback ${c} to shortcut ${k}, because ${c} is not a function`)
+        const element = MQHotkeys.#element(o.element)
+        const added = MQHotkeys.#parse(k).map(({keys, steps}) => ({
+            keys,
+            steps,
+            handler: c,
+            element,
+            scope: o.scope || 'default',
+            preventDefault: o.preventDefault !== false,
+            allowInInputs: !!o.allowInInputs,
+            description: o.description || '',
+        }))
+        MQHotkeys.#bindings.push(...added)
+        if (!MQHotkeys.#targets.has(element)) {
+            const listener = e => MQHotkeys.#handle(element, e)
+            MQHotkeys.#targets.set(element, listener)
+            new NodeWrapper(element).on('keydown.hotkeys', listener)
+        }
+        return () => MQHotkeys.#remove(b => added.includes(b))
+    }
+
+    /**
+     * Unbinds handlers from keyboard shortcuts
+     *
+     * @param  {string}   k The shortcut(s), as given when binding
+     * @param  {function} c (optional) The handler, all the handlers of the shortcuts are unbound if not given
+     * @param  {Object}   o (optional) Additional options, `element` and `scope` restrict which handlers are unbound
+     *
+     * @return {MQHotkeys} The MQHotkeys class, for chaining
+     */
+    static unbind(k, c, o={}) {
+        const keys = MQHotkeys.#parse(k).map(_ => _.steps.join(' '))
+        const element = o.element === undefined ? undefined : MQHotkeys.#element(o.element)
+        MQHotkeys.#remove(b => keys.includes(b.steps.join(' ')) && (!c || b.handler === c) && (element === undefined || b.element === element) && (!o.scope || b.scope === o.scope))
+        return MQHotkeys
+    }
+
+    /**
+     * Lists the bound shortcuts, for example to show a help overlay
+     *
+     * Each shortcut is `{keys, label, description, scope, element, active}`, where
+     * label is formatted for the platform, like '⌘K' or 'Ctrl+K', and element is
+     * null for shortcuts of the document
+     *
+     * @param  {string} s (optional) Only list the shortcuts of this scope
+     *
+     * @return {Array} The shortcuts
+     */
+    static list(s) {
+        return MQHotkeys.#bindings.filter(b => s === undefined || b.scope === s).map(b => ({
+            keys: b.keys,
+            label: b.steps.map(MQHotkeys.#label).join(' '),
+            description: b.description,
+            scope: b.scope,
+            element: b.element.nodeType === b.element.DOCUMENT_NODE ? null : new NodeWrapper(b.element),
+            active: MQHotkeys.#active(b),
+        }))
+    }
+
+    /**
+     * Returns the active scope
+     *
+     * @return {string} The last scope pushed, or 'default'
+     */
+    static scope() {return MQHotkeys.#scopes[MQHotkeys.#scopes.length - 1]}
+
+    /**
+     * Activates a scope, for example while a modal is open. Only the shortcuts
+     * of the scope, and of the scope 'all', are active until it is popped
+     *
+     * @param  {string} s The scope
+     *
+     * @return {MQHotkeys} The MQHotkeys class, for chaining
+     */
+    static pushScope(s) {
+        if (!s || typeof s !== 'string') throw new MQIllegalArgumentError(`Cannot push scope ${s}`)
+        MQHotkeys.#scopes.push(s)
+        MQHotkeys.#history = []
+        return MQHotkeys
+    }
+
+    /**
+     * Deactivates the active scope, activating the previous one
+     * The 'default' scope is never popped
+     *
+     * @param  {string} s (optional) The scope to pop. If given, it and the scopes
+     *                    pushed after it are popped, if it is active at all
+     *
+     * @return {string} The scope that is active after popping
+     */
+    static popScope(s) {
+        const i = s === undefined ? MQHotkeys.#scopes.length - 1 : MQHotkeys.#scopes.lastIndexOf(s)
+        if (i > 0) MQHotkeys.#scopes.length = i
+        MQHotkeys.#history = []
+        return MQHotkeys.scope()
+    }
+
+    /**
+     * Internal method to unbind the shortcuts of an element that is removed
+     * from the document, shouldn't be called by external sources
+     *
+     * @param  {HTMLElement} e The element
+     */
+    static __release__(e) {
+        if (MQHotkeys.#targets.has(e)) MQHotkeys.#remove(b => b.element === e)
+    }
+
+    /**
+     * Internal method to remove bindings, and the listeners of elements left without any
+     *
+     * @param  {function} f Returns whether to remove a binding
+     */
+    static #remove(f) {
+        MQHotkeys.#bindings = MQHotkeys.#bindings.filter(b => !f(b))
+        for (let [e, listener] of MQHotkeys.#targets) {
+            if (MQHotkeys.#bindings.some(b => b.element === e)) continue
+            new NodeWrapper(e).off('keydown.hotkeys', listener)
+            MQHotkeys.#targets.delete(e)
+        }
+    }
+
+    /**
+     * Internal method to handle a keystroke on an element with shortcuts
+     *
+     * The keystroke is added to the history once, even if several elements
+     * handle it. If shortcuts of several keys end with the keystroke, only the
+     * longest sequences are called
+     *
+     * @param  {Node}          t The element or document the listener is on
+     * @param  {KeyboardEvent} e The event
+     */
+    static #handle(t, e) {
+        const stroke = MQHotkeys.#stroke(e)
+        if (!stroke) return
+        if (MQHotkeys.#last !== e) {
+            MQHotkeys.#last = e
+            const h = MQHotkeys.#history
+            if (h.length && e.timeStamp - h[h.length - 1].time > MQHotkeys.sequenceTimeout) h.length = 0
+            h.push({stroke, time: e.timeStamp})
+            if (h.length > 10) h.shift()
+        }
+        const strokes = MQHotkeys.#history.map(_ => _.stroke)
+        const typing = MQHotkeys.#typing(e.target)
+        const m = MQHotkeys.#bindings.filter(b => {
+            if (b.element !== t || !MQHotkeys.#active(b) || (typing && !b.allowInInputs)) return false
+            const n = b.steps.length
+            return n <= strokes.length && b.steps.every((s, i) => s === strokes[strokes.length - n + i])
+        })
+        if (!m.length) return
+        const longest = Math.max(...m.map(b => b.steps.length))
+        if (longest > 1) MQHotkeys.#history = []
+        for (let b of m.filter(_ => _.steps.length === longest)) {
+            if (b.preventDefault) e.preventDefault()
+            b.handler.call(t, e, {keys: b.keys, scope: b.scope})
+        }
+    }
+
+    /**
+     * Internal method to check whether a shortcut is active in the current scope
+     *
+     * @param  {Object} b The binding
+     *
+     * @return {boolean} `true` if active, `false` otherwise
+     */
+    static #active(b) {return b.scope === 'all' || b.scope === MQHotkeys.scope()}
+
+    /**
+     * Internal method to check whether a keystroke is typed in an editable element
+     *
+     * @param  {EventTarget} t The target of the event
+     *
+     * @return {boolean} `true` if typing, `false` otherwise
+     */
+    static #typing(t) {
+        if (!t || !t.nodeType || t.nodeType !== t.ELEMENT_NODE) return false
+        if (t.isContentEditable || t.getAttribute('contenteditable') === 'true') return true
+        if (/^(textarea|select)$/i.test(t.nodeName)) return true
+        return /^input$/i.test(t.nodeName) && !/^(button|submit|reset|checkbox|radio|range|color|file|image)$/i.test(t.type)
+    }
+
+    /**
+     * Internal method to resolve the element option
+     *
+     * @param  {string | HTMLElement | NodeWrapper} e The element option
+     *
+     * @return {Node} The element, or the document if not given
+     */
+    static #element(e) {
+        if (e === undefined || e === null) return document
+        const _ = MQ.__nodes__(e, true)[0]
+        if (!_) throw new MQIllegalArgumentError(`Cannot bind shortcuts to ${e}, because it was not found`)
+        return _
+    }
+
+    /**
+     * Internal method to check whether the platform uses Cmd instead of Ctrl
+     *
+     * @return {boolean} `true` on Apple platforms, `false` otherwise
+     */
+    static #apple() {
+        return typeof navigator !== 'undefined' && /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '')
+    }
+
+    /**
+     * Names of keys, as given by `KeyboardEvent.key` in lowercase, and their aliases
+     */
+    static #names = {
+        ' ': 'space', 'spacebar': 'space', 'escape': 'esc', 'arrowup': 'up', 'arrowdown': 'down',
+        'arrowleft': 'left', 'arrowright': 'right', 'return': 'enter', 'del': 'delete', '+': 'plus', ',': 'comma',
+        'control': 'ctrl', 'option': 'alt', 'cmd': 'meta', 'command': 'meta', 'os': 'meta',
+    }
+
+    /**
+     * Internal method to normalize a key and its modifiers into a stroke,
+     * like 'ctrl+shift+k'
+     *
+     * @param  {Set}    m The modifiers
+     * @param  {string} k The key
+     *
+     * @return {string} The stroke
+     */
+    static #normalize(m, k) {
+        k = MQHotkeys.#names[k] || k
+        return [...['ctrl', 'alt', 'shift', 'meta'].filter(_ => m.has(_)), k].join('+')
+    }
+
+    /**
+     * Internal method to parse shortcuts into sequences of strokes
+     *
+     * @param  {string} k The shortcut(s)
+     *
+     * @return {Array} For each shortcut, `{keys, steps}`, the shortcut as written and its strokes
+     */
+    static #parse(k) {
+        if (typeof k !== 'string' || !k.trim()) throw new MQIllegalArgumentError(`Cannot bind shortcut ${k}`)
+        return k.split(/\s*,\s*/).filter(_ => _).map(seq => {
+            const steps = seq.trim().split(/\s+/)
+            return {keys: steps.join(' '), steps: steps.map(step => {
+                const parts = step.toLowerCase().split('+')
+                const key = parts.pop()
+                if (!key) throw new MQIllegalArgumentError(`Cannot bind shortcut ${k}, because "${step}" has no key. Use 'plus' for the + key`)
+                const m = new Set()
+                for (let _ of parts) {
+                    const name = _ === 'mod' ? (MQHotkeys.#apple() ? 'meta' : 'ctrl') : (MQHotkeys.#names[_] || _)
+                    if (!['ctrl', 'alt', 'shift', 'meta'].includes(name)) throw new MQIllegalArgumentError(`Cannot bind shortcut ${k}, because ${_} is not a modifier`)
+                    m.add(name)
+                }
+                if (m.has('shift') && MQHotkeys.#symbol({plus: '+', comma: ','}[key] || key)) {
+                    throw new MQIllegalArgumentError(`Cannot bind shortcut ${k}, because shift changes the character typed with ${key}. Use the shifted character instead, like '?' for shift+/`)
+                }
+                return MQHotkeys.#normalize(m, key)
+            })}
+        })
+    }
+
+    /**
+     * Internal method to get the stroke of a keyboard event
+     *
+     * @param  {KeyboardEvent} e The event
+     *
+     * @return {string} The stroke, or null for modifier keys pressed alone
+     */
+    static #stroke(e) {
+        let k = `${e.key || ''}`.toLowerCase()
+        if (!k || ['shift', 'control', 'alt', 'meta', 'os', 'altgraph', 'capslock', 'dead'].includes(k)) return null
+        const c = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '')
+        if (e.altKey && c) k = (c[1] || c[2]).toLowerCase()
+        const m = new Set()
+        if (e.ctrlKey) m.add('ctrl')
+        if (e.altKey) m.add('alt')
+        if (e.shiftKey && !MQHotkeys.#symbol(k)) m.add('shift')
+        if (e.metaKey) m.add('meta')
+        return MQHotkeys.#normalize(m, k)
+    }
+
+    /**
+     * Internal method to check whether a key is a character that is not a
+     * letter, like '?'. Shift is not part of the stroke of such keys, as the
+     * character typed already depends on it
+     *
+     * @param  {string} k The key
+     *
+     * @return {boolean} `true` if it is such a character, `false` otherwise
+     */
+    static #symbol(k) {
+        return k.length === 1 && k !== ' ' && k.toLowerCase() === k.toUpperCase()
+    }
+
+    /**
+     * Internal method to format a stroke for display
+     *
+     * @param  {string} s The stroke
+     *
+     * @return {string} The label, like '⌘⇧P' on Apple platforms or 'Ctrl+Shift+P' elsewhere
+     */
+    static #label(s) {
+        const parts = s.split('+')
+        const k = parts.pop()
+        const key = k.length === 1 ? k.toUpperCase() : k[0].toUpperCase() + k.slice(1)
+        if (MQHotkeys.#apple()) {
+            const sym = {ctrl: '⌃', alt: '⌥', shift: '⇧', meta: '⌘'}
+            return parts.map(_ => sym[_]).join('') + key
+        }
+        const names = {ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift', meta: 'Win'}
+        return [...parts.map(_ => names[_]), key].join('+')
+    }
+}
+
+$.hotkeys = MQHotkeys
+
+/**
+ * @author M K
+ *
+ * Drag and drop, sorting and gestures, using Pointer Events so that mouse,
+ * touch and pen all work. Used by `draggable`, `droppable`, `sortable` and
+ * `gestures` of NodeWrapper and MQ
+ *
+ * Events are dispatched using `trigger`, in the 'mq' namespace, like
+ * `dragstart.mq`, and carry their information in `event.detail`.
+ * Listen to them with `instance.on('dragstart.mq', handler)`, which is not
+ * called for the native `dragstart` and `drop` events of the browser
+ */
+class MQPointer {
+    static #droppables = new Map()
+    static #sortables = new Map()
+    static #offsets = new WeakMap()
+
+    /**
+     * Elements pressing on which never starts dragging or sorting, by default
+     */
+    static #cancel = 'input, textarea, select, button, option, [contenteditable]'
+
+    /**
+     * Internal method to make an element draggable, shouldn't be called by external sources
+     *
+     * @param  {HTMLElement}     n The element
+     * @param  {Object | false}  o The options, see `NodeWrapper.draggable`, or false to stop
+     */
+    static __draggable__(n, o={}) {
+        const w = new NodeWrapper(n)
+        w.off('.mqdrag')
+        if (o === false) return
+        const grid = typeof o.grid === 'number' ? [o.grid, o.grid] : o.grid
+        for (let _ of o.handle ? MQSelector.select(o.handle, [n]) : [n]) _.style.touchAction = 'none'
+        w.on('dragstart.mqdrag', e => e.preventDefault())
+        w.on('pointerdown.mqdrag', e => {
+            if (o.handle && !MQPointer.#within(n, e.target, o.handle)) return
+            let base, rect, bounds, over = null, x = 0, y = 0
+            const constrain = (dx, dy) => {
+                x = o.axis === 'y' ? 0 : dx
+                y = o.axis === 'x' ? 0 : dy
+                if (grid) {
+                    x = Math.round(x / grid[0]) * grid[0]
+                    y = Math.round(y / grid[1]) * grid[1]
+                }
+                if (bounds) {
+                    x = Math.max(bounds.left - rect.left, Math.min(x, bounds.right - rect.right))
+                    y = Math.max(bounds.top - rect.top, Math.min(y, bounds.bottom - rect.bottom))
+                }
+            }
+            MQPointer.#press(n, e, o, {
+                start: ev => {
+                    if (!MQPointer.#emit(n, 'dragstart', {x: 0, y: 0, event: ev})) return false
+                    base = MQPointer.#offsets.get(n) || {x: 0, y: 0}
+                    rect = n.getBoundingClientRect()
+                    bounds = o.containment ? MQPointer.#bounds(n, o.containment) : null
+                    n.classList.add('mq-dragging')
+                    for (let [t, _o] of MQPointer.#droppables) {
+                        if (MQPointer.#accepts(t, _o, n) && _o.activeClass) t.classList.add(_o.activeClass)
+                    }
+                },
+                move: (ev, dx, dy) => {
+                    constrain(dx, dy)
+                    n.style.transform = `translate(${base.x + x}px, ${base.y + y}px)`
+                    const t = MQPointer.#target(n, ev)
+                    if (t !== over) {
+                        if (over) MQPointer.#leave(over, n)
+                        over = t
+                        if (over) {
+                            const _o = MQPointer.#droppables.get(over)
+                            if (_o.hoverClass) over.classList.add(_o.hoverClass)
+                            MQPointer.#emit(over, 'dragenter', {draggable: new NodeWrapper(n)})
+                        }
+                    }
+                    MQPointer.#emit(n, 'dragmove', {x, y, target: over && new NodeWrapper(over), event: ev})
+                },
+                end: (ev, dx, dy, cancelled) => {
+                    constrain(dx, dy)
+                    n.classList.remove('mq-dragging')
+                    const t = cancelled ? null : over
+                    if (over) MQPointer.#leave(over, n, !!t)
+                    for (let [_t, _o] of MQPointer.#droppables) {
+                        if (_o.activeClass) _t.classList.remove(_o.activeClass)
+                    }
+                    if (t) MQPointer.#emit(t, 'drop', {draggable: new NodeWrapper(n), event: ev})
+                    if (!t && o.revert) {
+                        n.style.transform = base.x || base.y ? `translate(${base.x}px, ${base.y}px)` : ''
+                    }
+                    else MQPointer.#offsets.set(n, {x: base.x + x, y: base.y + y})
+                    MQPointer.#emit(n, 'dragend', {x, y, dropped: !!t, target: t && new NodeWrapper(t), event: ev})
+                },
+            })
+        })
+    }
+
+    /**
+     * Internal method to make an element a drop target, shouldn't be called by external sources
+     *
+     * @param  {HTMLElement}     n The element
+     * @param  {Object | false}  o The options, see `NodeWrapper.droppable`, or false to stop
+     */
+    static __droppable__(n, o={}) {
+        if (o === false) {
+            MQPointer.#droppables.delete(n)
+            return
+        }
+        MQPointer.#droppables.set(n, {
+            accept: o.accept,
+            hoverClass: o.hoverClass === undefined ? 'mq-drop-hover' : o.hoverClass,
+            activeClass: o.activeClass === undefined ? 'mq-drop-active' : o.activeClass,
+        })
+    }
+
+    /**
+     * Internal method to make the children of an element sortable, shouldn't be called by external sources
+     *
+     * @param  {HTMLElement}     n The element
+     * @param  {Object | false}  o The options, see `NodeWrapper.sortable`, or false to stop
+     */
+    static __sortable__(n, o={}) {
+        const w = new NodeWrapper(n)
+        w.off('.mqsort')
+        if (o === false) {
+            MQPointer.#sortables.delete(n)
+            return
+        }
+        MQPointer.#sortables.set(n, {items: o.items || '*', group: o.group === undefined ? null : o.group})
+        w.on('dragstart.mqsort', e => e.preventDefault())
+        w.on('pointerdown.mqsort', e => {
+            const item = MQPointer.#items(n).find(_ => _.contains(e.target))
+            if (!item || (o.handle && !MQPointer.#within(item, e.target, o.handle))) return
+            let from, index
+            MQPointer.#press(n, e, o, {
+                start: () => {
+                    index = MQPointer.#items(n).indexOf(item)
+                    if (!MQPointer.#emit(n, 'sortstart', {item: new NodeWrapper(item), index})) return false
+                    from = n
+                    item.classList.add('mq-sorting')
+                },
+                move: ev => {
+                    const c = MQPointer.#container(n, ev) || item.parentElement
+                    const _l = MQPointer.#items(c).filter(_ => _ !== item)
+                    const sib = _l.find(_ => MQPointer.#inside(_.getBoundingClientRect(), ev))
+                    const parent = item.parentElement, next = item.nextElementSibling
+                    if (sib) {
+                        const r = sib.getBoundingClientRect()
+                        const after = o.axis === 'x' ? ev.clientX > r.left + r.width / 2 : ev.clientY > r.top + r.height / 2
+                        if (after) sib.after(item)
+                        else sib.before(item)
+                    }
+                    else if (c !== parent && MQPointer.#inside(c.getBoundingClientRect(), ev)) c.appendChild(item)
+                    if (item.parentElement !== parent || item.nextElementSibling !== next) {
+                        MQPointer.#emit(item.parentElement, 'sortchange', {item: new NodeWrapper(item), index: MQPointer.#items(item.parentElement).indexOf(item)})
+                    }
+                },
+                end: () => {
+                    item.classList.remove('mq-sorting')
+                    const to = item.parentElement
+                    const i = MQPointer.#items(to).indexOf(item)
+                    if (to !== from || i !== index) {
+                        MQPointer.#emit(to, 'sortupdate', {item: new NodeWrapper(item), from: new NodeWrapper(from), to: new NodeWrapper(to), oldIndex: index, newIndex: i})
+                    }
+                    MQPointer.#emit(n, 'sortend', {item: new NodeWrapper(item)})
+                },
+            })
+        })
+    }
+
+    /**
+     * Internal method to recognize gestures on an element, shouldn't be called by external sources
+     *
+     * @param  {HTMLElement}     n The element
+     * @param  {Object | false}  o The options, see `NodeWrapper.gestures`, or false to stop
+     */
+    static __gestures__(n, o={}) {
+        const w = new NodeWrapper(n)
+        w.off('.mqgesture')
+        if (o === false) return
+        const option = (_, d) => _ === false ? null : {...d, ...(typeof _ === 'object' ? _ : {})}
+        const swipe = option(o.swipe, {threshold: 30, timeout: 500})
+        const press = option(o.longpress, {duration: 500, tolerance: 10})
+        const pinch = o.pinch !== false
+        n.style.touchAction = o.touchAction || 'none'
+        const d = n.ownerDocument
+        const pointers = new Map()
+        let timer = null, pinched = null
+        const distance = () => {
+            const [a, b] = [...pointers.values()]
+            return Math.hypot(a.x - b.x, a.y - b.y)
+        }
+        const move = e => {
+            const p = pointers.get(e.pointerId)
+            if (!p) return
+            p.x = e.clientX
+            p.y = e.clientY
+            if (timer && Math.hypot(p.x - p.sx, p.y - p.sy) > press.tolerance) {
+                clearTimeout(timer)
+                timer = null
+            }
+            if (pinched && pointers.size === 2) {
+                const [a, b] = [...pointers.values()]
+                MQPointer.#emit(n, 'pinch', {scale: distance() / pinched.distance, center: {x: (a.x + b.x) / 2, y: (a.y + b.y) / 2}, event: e})
+            }
+        }
+        const up = e => {
+            const p = pointers.get(e.pointerId)
+            if (!p) return
+            pointers.delete(e.pointerId)
+            clearTimeout(timer)
+            timer = null
+            if (pointers.size === 0) {
+                d.removeEventListener('pointermove', move)
+                d.removeEventListener('pointerup', up)
+                d.removeEventListener('pointercancel', up)
+            }
+            if (pinched) {
+                if (pointers.size === 0) pinched = null
+                return
+            }
+            if (!swipe || e.type !== 'pointerup' || e.timeStamp - p.t > swipe.timeout) return
+            const dx = e.clientX - p.sx, dy = e.clientY - p.sy
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < swipe.threshold) return
+            const direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up')
+            MQPointer.#emit(n, 'swipe', {direction, dx, dy, velocity: Math.hypot(dx, dy) / Math.max(e.timeStamp - p.t, 1), event: e})
+        }
+        w.on('pointerdown.mqgesture', e => {
+            if (pointers.size === 0) {
+                d.addEventListener('pointermove', move)
+                d.addEventListener('pointerup', up)
+                d.addEventListener('pointercancel', up)
+            }
+            pointers.set(e.pointerId, {sx: e.clientX, sy: e.clientY, x: e.clientX, y: e.clientY, t: e.timeStamp})
+            clearTimeout(timer)
+            timer = null
+            if (pointers.size === 1 && press) {
+                timer = setTimeout(() => {
+                    timer = null
+                    MQPointer.#emit(n, 'longpress', {x: e.clientX, y: e.clientY, event: e})
+                }, press.duration)
+            }
+            if (pointers.size === 2 && pinch) pinched = {distance: distance() || 1}
+        })
+    }
+
+    /**
+     * Internal method to forget an element that is removed from the document,
+     * shouldn't be called by external sources
+     *
+     * @param  {HTMLElement} e The element
+     */
+    static __release__(e) {
+        MQPointer.#droppables.delete(e)
+        MQPointer.#sortables.delete(e)
+    }
+
+    /**
+     * Internal method to follow a pointer after it was pressed on an element,
+     * until it is released
+     *
+     * The drag only starts once the pointer moved more than `o.threshold`
+     * pixels (3 by default), so that clicks keep working
+     *
+     * @param  {HTMLElement}  n The element
+     * @param  {PointerEvent} e The pointerdown event
+     * @param  {Object}       o The options, `threshold` and `cancel`
+     * @param  {Object}       c The callbacks, `start(event)` returning false to
+     *                          cancel, `move(event, dx, dy)` and `end(event, dx, dy, cancelled)`
+     */
+    static #press(n, e, o, c) {
+        if (e.button > 0) return
+        const cancel = o.cancel === undefined ? MQPointer.#cancel : o.cancel
+        if (cancel && MQPointer.#within(n, e.target, cancel)) return
+        const d = n.ownerDocument
+        const threshold = o.threshold === undefined ? 3 : o.threshold
+        let started = false
+        const stop = () => {
+            d.removeEventListener('pointermove', move)
+            d.removeEventListener('pointerup', up)
+            d.removeEventListener('pointercancel', up)
+        }
+        const move = ev => {
+            if (ev.pointerId !== e.pointerId) return
+            const dx = ev.clientX - e.clientX, dy = ev.clientY - e.clientY
+            if (!started) {
+                if (Math.hypot(dx, dy) < threshold) return
+                started = c.start(ev) !== false
+                if (!started) return stop()
+            }
+            ev.preventDefault()
+            c.move(ev, dx, dy)
+        }
+        const up = ev => {
+            if (ev.pointerId !== e.pointerId) return
+            stop()
+            if (started) c.end(ev, ev.clientX - e.clientX, ev.clientY - e.clientY, ev.type === 'pointercancel')
+        }
+        d.addEventListener('pointermove', move)
+        d.addEventListener('pointerup', up)
+        d.addEventListener('pointercancel', up)
+    }
+
+    /**
+     * Internal method to dispatch an event in the 'mq' namespace
+     *
+     * @param  {HTMLElement} n The element to dispatch on
+     * @param  {string}      t The event type
+     * @param  {Object}      d The detail
+     *
+     * @return {boolean} `false` if a handler cancelled the event, `true` otherwise
+     */
+    static #emit(n, t, d) {return new NodeWrapper(n).trigger(`${t}.mq`, d)}
+
+    /**
+     * Internal method to check whether the target of an event is inside an
+     * element matching a selector, within a given element
+     *
+     * @param  {HTMLElement} n The element
+     * @param  {Node}        t The target of the event
+     * @param  {string}      s The selector
+     *
+     * @return {boolean} `true` if inside a matching element, `false` otherwise
+     */
+    static #within(n, t, s) {
+        const _ = t && t.nodeType && t.nodeType === t.ELEMENT_NODE ? MQSelector.closest(t, s) : null
+        return !!_ && n.contains(_)
+    }
+
+    /**
+     * Internal method to check whether a pointer is inside a rectangle
+     *
+     * @param  {DOMRect}      r The rectangle
+     * @param  {PointerEvent} e The event
+     *
+     * @return {boolean} `true` if inside, `false` otherwise
+     */
+    static #inside(r, e) {return e.clientX >= r.left && e.clientX <= r.right && e.clientY >= r.top && e.clientY <= r.bottom}
+
+    /**
+     * Internal method to resolve the containment option of `draggable`
+     *
+     * @param  {HTMLElement}                                 n The dragged element
+     * @param  {string | HTMLElement | NodeWrapper | Object} c The containment option
+     *
+     * @return {Object} The bounds, `{left, top, right, bottom}` relative to the viewport
+     */
+    static #bounds(n, c) {
+        if (c === 'parent') return n.parentElement ? n.parentElement.getBoundingClientRect() : null
+        if (c === 'viewport') {
+            const w = n.ownerDocument.defaultView
+            return {left: 0, top: 0, right: w.innerWidth, bottom: w.innerHeight}
+        }
+        if (typeof c === 'object' && !(c instanceof NodeWrapper) && !(c instanceof MQ) && c.nodeType === undefined) return c
+        const _ = MQ.__nodes__(c, true, n.ownerDocument)[0]
+        return _ ? _.getBoundingClientRect() : null
+    }
+
+    /**
+     * Internal method to check whether a drop target accepts an element
+     *
+     * @param  {HTMLElement} t The drop target
+     * @param  {Object}      o The options of the drop target
+     * @param  {HTMLElement} n The dragged element
+     *
+     * @return {boolean} `true` if accepted, `false` otherwise
+     */
+    static #accepts(t, o, n) {
+        if (t === n || n.contains(t)) return false
+        if (!o.accept) return true
+        if (typeof o.accept === 'function') return !!o.accept.call(t, new NodeWrapper(n))
+        return MQSelector.matches(n, o.accept)
+    }
+
+    /**
+     * Internal method to find the innermost drop target under the pointer accepting an element
+     *
+     * @param  {HTMLElement}  n The dragged element
+     * @param  {PointerEvent} e The event
+     *
+     * @return {HTMLElement} The drop target, or null if there is none
+     */
+    static #target(n, e) {
+        const _l = [...MQPointer.#droppables].filter(([t, o]) => t.isConnected && MQPointer.#accepts(t, o, n) && MQPointer.#inside(t.getBoundingClientRect(), e)).map(_ => _[0])
+        return _l.find(t => !_l.some(_ => _ !== t && t.contains(_))) || null
+    }
+
+    /**
+     * Internal method to leave a drop target, removing its hover class
+     *
+     * @param  {HTMLElement} t       The drop target
+     * @param  {HTMLElement} n       The dragged element
+     * @param  {boolean}     dropped (optional) Whether the element is dropped on it, no 'dragleave' is dispatched then
+     */
+    static #leave(t, n, dropped) {
+        const o = MQPointer.#droppables.get(t)
+        if (o && o.hoverClass) t.classList.remove(o.hoverClass)
+        if (!dropped) MQPointer.#emit(t, 'dragleave', {draggable: new NodeWrapper(n)})
+    }
+
+    /**
+     * Internal method to list the sortable items of a container
+     *
+     * @param  {HTMLElement} c The container
+     *
+     * @return {Array} The children matching the items option of the container
+     */
+    static #items(c) {
+        const o = MQPointer.#sortables.get(c)
+        return [...c.children].filter(_ => MQSelector.matches(_, o ? o.items : '*'))
+    }
+
+    /**
+     * Internal method to find the container under the pointer, among a
+     * sortable container and the containers of the same group
+     *
+     * @param  {HTMLElement}  n The container the sorting started in
+     * @param  {PointerEvent} e The event
+     *
+     * @return {HTMLElement} The container, or null if the pointer is outside all of them
+     */
+    static #container(n, e) {
+        const g = MQPointer.#sortables.get(n).group
+        for (let [c, o] of MQPointer.#sortables) {
+            if ((c === n || (g !== null && o.group === g)) && c.isConnected && MQPointer.#inside(c.getBoundingClientRect(), e)) return c
+        }
+        return null
+    }
+}
+
+/**
+ * @author M K
+ *
+ * Client-side router for single-page applications, using the History API
+ * or the hash of the URL. Available as `$.router`, further routers may be
+ * created using `new MQRouter()`
+ *
+ * Route patterns may contain params, like `/users/:id`, optional params,
+ * like `/posts/:slug?`, and a trailing wildcard, like `/files/*`, available
+ * as `params['*']`
+ *
+ * Route handlers receive the context of the navigation,
+ * `{path, params, query, hash, state, route}`, and may return content,
+ * or a Promise of content, to swap into the outlets, see `NodeWrapper.outlet`
+ *
+ * Back and forward buttons are followed by listening to the `popstate`
+ * (or `hashchange`) event of the window using `$(fn, {on})`
+ *
+ * Example Usage
+ *     $.router
+ *         .route('/', () => '<h1>Home</h1>')
+ *         .route('/users/:id', ({params}) => renderUser(params.id))
+ *         .before(to => to.path.startsWith('/admin') && !loggedIn ? '/login' : true)
+ *         .start()
+ *     $('#app').outlet()
+ */
+class MQRouter {
+    #routes = []
+    #before = []
+    #after = []
+    #errors = []
+    #outlets = new Set()
+    #fallback = null
+    #options = null
+    #listeners = []
+    #token = 0
+    #current = null
+
+    /**
+     * Adds a route, routes are matched in the order they are added
+     *
+     * @param  {string}   p The route pattern, like `/users/:id`
+     * @param  {function} c The handler, called with the context of the navigation
+     *
+     * @return {MQRouter} The current calling instance (this)
+     */
+    route(p, c) {
+        if (typeof p !== 'string' || !p.startsWith('/')) throw new MQIllegalArgumentError(`Cannot add route ${p}, because it does not start with "/"`)
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot add route ${p}, because ${c} is not a function`)
+        this.#routes.push({pattern: p, handler: c, ...MQRouter.#compile(p)})
+        return this
+    }
+
+    /**
+     * Sets the handler of paths that match no route
+     *
+     * @param  {function} c The handler, called with the context of the navigation
+     *
+     * @return {MQRouter} The current calling instance (this)
+     */
+    notFound(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot use ${c} as the not found handler, because it is not a function`)
+        this.#fallback = c
+        return this
+    }
+
+    /**
+     * Adds a guard, called with the contexts of the navigation and of the
+     * current route before navigating, guards run in the order they are added
+     *
+     * A guard may return, or resolve to,
+     * 1. `false` to cancel the navigation
+     * 2. A path to redirect to instead
+     * 3. Anything else to continue
+     *
+     * @param  {function} c The guard
+     *
+     * @return {MQRouter} The current calling instance (this)
+     */
+    before(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot use ${c} as a guard, because it is not a function`)
+        this.#before.push(c)
+        return this
+    }
+
+    /**
+     * Adds a hook, called with the contexts of the navigation and of the
+     * previous route after navigating and rendering the outlets
+     *
+     * @param  {function} c The hook
+     *
+     * @return {MQRouter} The current calling instance (this)
+     */
+    after(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot use ${c} as a hook, because it is not a function`)
+        this.#after.push(c)
+        return this
+    }
+
+    /**
+     * Adds an error handler, called with the error and the path when a guard,
+     * a route handler or a hook throws during a navigation started by the
+     * back and forward buttons or by a link
+     *
+     * Without error handlers, such errors are thrown asynchronously, so that
+     * they are reported like uncaught errors.
+     * Navigations started using `navigate` reject with the error instead
+     *
+     * @param  {function} c The error handler
+     *
+     * @return {MQRouter} The current calling instance (this)
+     */
+    error(c) {
+        if (typeof c !== 'function') throw new MQIllegalArgumentError(`Cannot use ${c} as an error handler, because it is not a function`)
+        this.#errors.push(c)
+        return this
+    }
+
+    /**
+     * Starts routing, and navigates to the current location
+     *
+     * Options
+     *     mode  : 'history' to use the path of the URL, or 'hash' to use
+     *             its hash, like `#/users/3`. Defaults to 'history'
+     *     base  : The path the application is served from in history mode, like '/app'
+     *     links : Whether to navigate when `<a data-route>` elements are clicked,
+     *             instead of loading the page. Defaults to true
+     *
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {Promise} Resolves to the context of the navigation, null if cancelled
+     */
+    start(o={}) {
+        this.stop()
+        const mode = o.mode || 'history'
+        if (mode !== 'history' && mode !== 'hash') throw new MQIllegalArgumentError(`Cannot route in mode ${mode}, use 'history' or 'hash'`)
+        this.#options = {mode, base: (o.base || '').replace(/\/+$/, ''), links: o.links !== false}
+        const pop = () => {
+            const u = this.#location()
+            this.#report(this.#navigate(u, {pop: true, state: history.state}), u)
+        }
+        const on = mode === 'hash' ? 'hashchange' : 'popstate'
+        $(pop, {on})
+        this.#listeners.push([window, on, pop])
+        if (this.#options.links) {
+            const click = e => this.#click(e)
+            document.addEventListener('click', click)
+            this.#listeners.push([document, 'click', click])
+        }
+        return this.#navigate(this.#location(), {pop: true, state: history.state})
+    }
+
+    /**
+     * Stops routing, the routes, guards and outlets are kept
+     *
+     * @return {MQRouter} The current calling instance (this)
+     */
+    stop() {
+        for (let [t, e, c] of this.#listeners) t.removeEventListener(e, c)
+        this.#listeners = []
+        this.#options = null
+        this.#token++
+        return this
+    }
+
+    /**
+     * Navigates to a path
+     *
+     * Options
+     *     replace : Whether to replace the current history entry instead of adding one
+     *     state   : State to store in the history entry, available as `context.state`
+     *
+     * @param  {string} p The path, may contain a query and a hash, like `/search?q=mk#results`
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {Promise} Resolves to the context of the navigation, null if cancelled
+     */
+    navigate(p, o={}) {
+        if (!this.#options) throw new MQIllegalArgumentError(`Cannot navigate to ${p}, because the router is not started`)
+        return this.#navigate(this.#path(p), {replace: !!o.replace, state: o.state === undefined ? null : o.state})
+    }
+
+    /**
+     * Goes back to the previous history entry
+     *
+     * @return {MQRouter} The current calling instance (this)
+     */
+    back() {
+        history.back()
+        return this
+    }
+
+    /**
+     * Returns the href of a path for the current mode, to use in links
+     *
+     * @param  {string} p The path
+     *
+     * @return {string} The href
+     */
+    href(p) {
+        const _o = this.#options || {mode: 'history', base: ''}
+        return _o.mode === 'hash' ? `#${p}` : `${_o.base}${p}`
+    }
+
+    /**
+     * The context of the current route, null before the first navigation
+     */
+    get current() {return this.#current}
+
+    /**
+     * Internal method to add an element to swap content into on navigation,
+     * shouldn't be called by external sources, use `NodeWrapper.outlet` instead
+     *
+     * @param  {HTMLElement} n The element
+     */
+    __outlet__(n) {
+        this.#outlets.add(n)
+    }
+
+    /**
+     * Internal method to navigate, running the guards, updating the URL,
+     * calling the route handler, rendering the outlets and running the hooks
+     *
+     * @param  {string} u The path, with the query and the hash
+     * @param  {Object} o The options, `pop` if the URL is already updated, `replace` and `state`
+     * @param  {number} r (optional) The number of redirects so far
+     *
+     * @return {Promise} Resolves to the context of the navigation, null if cancelled
+     */
+    async #navigate(u, o, r=0) {
+        if (r > 10) throw new MQIllegalArgumentError(`Cannot navigate to ${u}, because the guards redirect too many times`)
+        const token = ++this.#token
+        const from = this.#current
+        const [to, route] = this.#match(u, o.state)
+        for (let g of this.#before) {
+            const _ = await g(to, from)
+            if (token !== this.#token) return null
+            if (_ === false) {
+                if (o.pop && from) history.replaceState(history.state, '', this.href(from.url))
+                return null
+            }
+            if (typeof _ === 'string') return this.#navigate(this.#path(_), {replace: o.replace || o.pop, state: o.state}, r + 1)
+        }
+        if (o.replace) history.replaceState(o.state, '', this.href(u))
+        else if (!o.pop) history.pushState(o.state, '', this.href(u))
+        this.#current = to
+        const c = route ? route.handler : this.#fallback
+        const content = c ? await c(to) : undefined
+        if (token !== this.#token) return null
+        if (content !== undefined) {
+            for (let n of [...this.#outlets]) {
+                if (!n.isConnected) {
+                    this.#outlets.delete(n)
+                    continue
+                }
+                const w = new NodeWrapper(n).empty()
+                if (typeof content === 'string') w.html(content)
+                else if (content !== null) w.append(content)
+            }
+        }
+        for (let _ of this.#after) await _(to, from)
+        return to
+    }
+
+    /**
+     * Internal method to match a path against the routes, routes whose params
+     * are not valid percent-encoding do not match
+     *
+     * @param  {string} u The path, with the query and the hash
+     * @param  {*}      s The state of the history entry
+     *
+     * @return {Array} The context of the navigation, and the matching route or null
+     */
+    #match(u, s) {
+        const [rest, hash = ''] = u.split(/#(.*)/s)
+        const [path, search = ''] = rest.split(/\?(.*)/s)
+        const query = {}
+        for (let [k, v] of new URLSearchParams(search)) {
+            if (!(k in query)) query[k] = v
+            else if (query[k] instanceof Array) query[k].push(v)
+            else query[k] = [query[k], v]
+        }
+        for (let _ of this.#routes) {
+            const m = _.regex.exec(path)
+            if (!m) continue
+            const params = {}
+            try {
+                _.keys.forEach((k, i) => {
+                    if (m[i + 1] !== undefined) params[k] = decodeURIComponent(m[i + 1])
+                })
+            }
+            catch (err) {
+                if (err instanceof URIError) continue
+                throw err
+            }
+            return [{url: u, path, params, query, hash, state: s, route: _.pattern}, _]
+        }
+        return [{url: u, path, params: {}, query, hash, state: s, route: null}, null]
+    }
+
+    /**
+     * Internal method to compile a route pattern
+     *
+     * @param  {string} p The route pattern
+     *
+     * @return {Object} The regex of the pattern, and the names of its params
+     */
+    static #compile(p) {
+        const keys = []
+        const escape = _ => _.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        let src = ''
+        for (let _ of p.split('/').slice(1)) {
+            if (_ === '*') {
+                keys.push('*')
+                src += '(?:/(.*))?'
+            }
+            else if (_.startsWith(':')) {
+                const optional = _.endsWith('?')
+                const k = _.slice(1, optional ? -1 : undefined)
+                if (!/^\w+$/.test(k)) throw new MQIllegalArgumentError(`Cannot add route ${p}, because "${_}" is not a valid param`)
+                keys.push(k)
+                src += optional ? '(?:/([^/]+))?' : '/([^/]+)'
+            }
+            else if (_) src += `/${escape(_)}`
+        }
+        return {regex: new RegExp(`^${src}/?$`), keys}
+    }
+
+    /**
+     * Internal method to read the path of the current location
+     *
+     * @return {string} The path, with the query and the hash
+     */
+    #location() {
+        if (this.#options.mode === 'hash') return location.hash.slice(1) || '/'
+        let p = location.pathname
+        if (this.#options.base && p.startsWith(this.#options.base)) p = p.slice(this.#options.base.length)
+        return (p || '/') + location.search + location.hash
+    }
+
+    /**
+     * Internal method to turn an href into a path of the router
+     *
+     * @param  {string} h The href, like `/users/3`, `#/users/3`, or an absolute URL
+     *
+     * @return {string} The path, with the query and the hash
+     */
+    #path(h) {
+        const _o = this.#options || {mode: 'history', base: ''}
+        if (h.startsWith('#')) return h.slice(1) || '/'
+        const u = new URL(h, location.href)
+        if (_o.mode === 'hash' && u.hash.startsWith('#/')) return u.hash.slice(1)
+        let p = u.pathname
+        if (_o.base && p.startsWith(_o.base)) p = p.slice(_o.base.length)
+        return (p || '/') + u.search + u.hash
+    }
+
+    /**
+     * Internal method to navigate when an `<a data-route>` element is clicked
+     *
+     * Clicks with a modifier key or another button than the main one, and
+     * links opening in another window or downloading are left to the browser
+     *
+     * @param  {MouseEvent} e The click event
+     */
+    #click(e) {
+        if (e.defaultPrevented || e.button > 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+        const a = e.target && e.target.closest ? e.target.closest('a[data-route]') : null
+        if (!a || a.hasAttribute('download') || (a.target && a.target !== '_self')) return
+        const h = a.dataset.route || a.getAttribute('href')
+        if (!h) return
+        if (!h.startsWith('#') && new URL(h, location.href).origin !== location.origin) return
+        e.preventDefault()
+        this.#report(this.navigate(h), h)
+    }
+
+    /**
+     * Internal method to pass the errors of a navigation nobody waits for to the error handlers
+     *
+     * @param  {Promise} p The navigation
+     * @param  {string}  u The path navigated to
+     */
+    #report(p, u) {
+        p.catch(err => {
+            if (!this.#errors.length) return queueMicrotask(() => {throw err})
+            for (let _ of this.#errors) _(err, u)
+        })
+    }
+}
+
+$.router = new MQRouter()
+
+/**
+ * @author M K
+ *
+ * Lightweight templating engine, compiling templates into reusable render
+ * functions. Available as `$.template`
+ *
+ * Syntax
+ *     {{ path }}                          : Writes the value, escaped
+ *     {{{ path }}}                        : Writes the value as is, only use with trusted values
+ *     {{#if path}} ... {{else}} ... {{/if}} : Renders the first part if the value is truthy,
+ *                                           and not an empty array, the second part otherwise
+ *     {{#each path}} ... {{else}} ... {{/each}} : Renders the first part for every item of
+ *                                           an array or entry of an object, the second part if there are none
+ *     {{> name}}, {{> name path}}         : Renders a partial, with the current context or the value
+ *     {{! comment }}                      : Renders nothing
+ *
+ * Paths are dot separated, like `user.name`, and are looked up in the current
+ * context, then in the enclosing ones, by their own properties. `this` (or `.`)
+ * is the current context, `../` goes up one context, and `@index`, `@key`,
+ * `@first` and `@last` are available inside `#each`. Functions are called
+ * with the object they belong to as `this`, so `user.name` calls `name` on `user`
+ *
+ * Compiled templates are cached, and invalid templates throw an
+ * MQTemplateError with the line and column of the problem
+ *
+ * Example Usage
+ *     const row = $.template('<li class="{{#if done}}done{{/if}}">{{title}}</li>')
+ *     $.template.partial('row', row)
+ *     $('#todos').render('{{#each todos}}{{> row}}{{else}}<li>Nothing to do</li>{{/each}}', {todos})
+ */
+class MQTemplate {
+    static #cache = new Map()
+    static #partials = new Map()
+    static #ast = new WeakMap()
+
+    /**
+     * The maximum number of compiled templates to keep
+     */
+    static cacheSize = 200
+
+    /**
+     * Compiles a template, compiled templates are cached
+     *
+     * @param  {string} s The source of the template
+     *
+     * @return {function} The render function, called with the data, returning the markup
+     */
+    static compile(s) {
+        if (typeof s !== 'string') throw new MQIllegalArgumentError(`Cannot compile template ${s}, because it is not a string`)
+        let c = MQTemplate.#cache.get(s)
+        if (c) {
+            MQTemplate.#cache.delete(s)
+            MQTemplate.#cache.set(s, c)
+            return c
+        }
+        const nodes = MQTemplate.#parse(s)
+        c = d => {
+            const out = []
+            MQTemplate.#render(nodes, [{ctx: d}], out, 0)
+            return out.join('')
+        }
+        c.source = s
+        MQTemplate.#ast.set(c, nodes)
+        MQTemplate.#cache.set(s, c)
+        if (MQTemplate.#cache.size > MQTemplate.cacheSize) MQTemplate.#cache.delete(MQTemplate.#cache.keys().next().value)
+        return c
+    }
+
+    /**
+     * Compiles the template in an element, usually a `<template>` element
+     *
+     * @param  {string | HTMLElement | NodeWrapper} e The element, or a CSS Selector of it
+     *
+     * @return {function} The render function
+     */
+    static fromElement(e) {
+        const n = MQ.__nodes__(e, true)[0]
+        if (!n) throw new MQIllegalArgumentError(`Cannot read the template in ${e}, because it was not found`)
+        if (n.tagName !== 'TEMPLATE') return MQTemplate.compile(n.textContent)
+        return MQTemplate.compile(n.innerHTML.replace(/\{\{(\s*)&gt;/g, '{{$1>'))
+    }
+
+    /**
+     * Registers a partial, rendered by templates using `{{> name}}`
+     *
+     * @param  {string}            n The name of the partial
+     * @param  {string | function} s The source of the partial, or a compiled template
+     *
+     * @return {MQTemplate} The MQTemplate class, for chaining
+     */
+    static partial(n, s) {
+        if (typeof n !== 'string' || !/^[\w-]+$/.test(n)) throw new MQIllegalArgumentError(`Cannot register partial ${n}, because it is not a valid name`)
+        const c = typeof s === 'function' ? s : MQTemplate.compile(s)
+        if (!MQTemplate.#ast.has(c)) throw new MQIllegalArgumentError(`Cannot register partial ${n}, because ${s} is not a compiled template`)
+        MQTemplate.#partials.set(n, c)
+        return MQTemplate
+    }
+
+    /**
+     * Escapes a value for use in markup
+     *
+     * @param  {*} v The value
+     *
+     * @return {string} The escaped value, an empty string for null and undefined
+     */
+    static escape(v) {
+        if (v === undefined || v === null) return ''
+        const map = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;', '=': '&#61;'}
+        return `${v}`.replace(/[&<>"'`=]/g, _ => map[_])
+    }
+
+    /**
+     * Internal method to parse a template into a tree of nodes
+     *
+     * @param  {string} s The source of the template
+     *
+     * @return {Array} The nodes
+     */
+    static #parse(s) {
+        const root = {body: []}
+        const stack = [root]
+        const error = (m, i) => {
+            const {line, column} = MQTemplate.#position(s, i)
+            return new MQTemplateError(`Invalid template: ${m} at line ${line}, column ${column}`, line, column)
+        }
+        let i = 0
+        while (i < s.length) {
+            const open = s.indexOf('{{', i)
+            const top = stack[stack.length - 1]
+            const body = top.alt || top.body
+            if (open === -1) {
+                body.push({type: 'text', value: s.slice(i)})
+                break
+            }
+            if (open > i) body.push({type: 'text', value: s.slice(i, open)})
+            const raw = s.startsWith('{{{', open)
+            const close = s.indexOf(raw ? '}}}' : '}}', open)
+            if (close === -1) throw error(`unclosed "${raw ? '{{{' : '{{'}"`, open)
+            const t = s.slice(open + (raw ? 3 : 2), close).trim()
+            const pos = MQTemplate.#position(s, open)
+            i = close + (raw ? 3 : 2)
+            if (raw) {
+                body.push({type: 'value', raw: true, path: MQTemplate.#path(t, () => error(`invalid expression "${t}"`, open)), ...pos})
+                continue
+            }
+            if (t.startsWith('!')) continue
+            const [, tag, arg = ''] = /^([#/>]?\s*[\w-]*)\s*([\s\S]*)$/.exec(t) || []
+            const name = (tag || '').replace(/\s/g, '')
+            if (name === '#if' || name === '#each') {
+                if (!arg) throw error(`missing expression in "{{${t}}}"`, open)
+                const block = {type: name.slice(1), path: MQTemplate.#path(arg, () => error(`invalid expression "${arg}"`, open)), body: [], alt: null, at: open, ...pos}
+                body.push(block)
+                stack.push(block)
+            }
+            else if (name === 'else' && !arg) {
+                if (top === root || top.alt) throw error('unexpected "{{else}}"', open)
+                top.alt = []
+            }
+            else if (name === '/if' || name === '/each') {
+                if (top === root) throw error(`unexpected "{{${name}}}"`, open)
+                if (`/${top.type}` !== name) throw error(`"{{${name}}}" closes "{{#${top.type}}}" opened at line ${top.line}, column ${top.column}`, open)
+                stack.pop()
+            }
+            else if (name.startsWith('>')) {
+                const n = name.slice(1)
+                if (!n) throw error(`missing partial name in "{{${t}}}"`, open)
+                body.push({type: 'partial', name: n, path: arg ? MQTemplate.#path(arg, () => error(`invalid expression "${arg}"`, open)) : null, ...pos})
+            }
+            else if (name.startsWith('#') || name.startsWith('/')) throw error(`unknown block "{{${t}}}"`, open)
+            else body.push({type: 'value', raw: false, path: MQTemplate.#path(t, () => error(`invalid expression "${t}"`, open)), ...pos})
+        }
+        if (stack.length > 1) {
+            const top = stack[stack.length - 1]
+            throw error(`unclosed "{{#${top.type}}}"`, top.at)
+        }
+        return root.body
+    }
+
+    /**
+     * Internal method to parse a path expression
+     *
+     * @param  {string}   t The expression
+     * @param  {function} e Returns the error to throw if the expression is invalid
+     *
+     * @return {Object} The path, `{up, keys, own, special}`
+     */
+    static #path(t, e) {
+        let up = 0, p = t.trim()
+        while (p.startsWith('../')) {
+            up++
+            p = p.slice(3)
+        }
+        if (p === 'this' || p === '.') return {up, keys: [], own: true, special: null}
+        if (p.startsWith('@')) {
+            if (!/^@(index|key|first|last)$/.test(p)) throw e()
+            return {up, keys: [], own: true, special: p.slice(1)}
+        }
+        const own = up > 0 || p.startsWith('this.')
+        const keys = (p.startsWith('this.') ? p.slice(5) : p).split('.')
+        if (!keys.every(_ => /^[\w$-]+$/.test(_))) throw e()
+        return {up, keys, own, special: null}
+    }
+
+    /**
+     * Internal method to look a path up in the contexts
+     *
+     * @param  {Object} p     The path
+     * @param  {Array}  stack The contexts, the innermost last
+     *
+     * @return {*} The value
+     */
+    static #lookup(p, stack) {
+        let f = Math.max(stack.length - 1 - p.up, 0)
+        if (p.special) return stack[f][p.special]
+        if (!p.own) {
+            for (let i = f; i >= 0; i--) {
+                const c = stack[i].ctx
+                if (c !== null && c !== undefined && Object.hasOwn(Object(c), p.keys[0])) {
+                    f = i
+                    break
+                }
+            }
+        }
+        let v = stack[f].ctx
+        let parent = v
+        for (let k of p.keys) {
+            if (v === null || v === undefined) return undefined
+            if (k in Object.prototype && !Object.hasOwn(Object(v), k)) return undefined
+            parent = v
+            v = v[k]
+        }
+        return typeof v === 'function' ? v.call(parent) : v
+    }
+
+    /**
+     * Internal method to render nodes
+     *
+     * @param  {Array}  nodes The nodes
+     * @param  {Array}  stack The contexts, the innermost last
+     * @param  {Array}  out   The rendered strings
+     * @param  {number} depth The number of partials rendering
+     */
+    static #render(nodes, stack, out, depth) {
+        for (let n of nodes) {
+            if (n.type === 'text') out.push(n.value)
+            else if (n.type === 'value') {
+                const v = MQTemplate.#lookup(n.path, stack)
+                out.push(n.raw ? (v === undefined || v === null ? '' : `${v}`) : MQTemplate.escape(v))
+            }
+            else if (n.type === 'if') {
+                const v = MQTemplate.#lookup(n.path, stack)
+                const _ = v instanceof Array ? v.length > 0 : !!v
+                MQTemplate.#render(_ ? n.body : n.alt || [], stack, out, depth)
+            }
+            else if (n.type === 'each') {
+                const v = MQTemplate.#lookup(n.path, stack)
+                const entries = v instanceof Array ? v.map((_, i) => [i, _]) : v !== null && typeof v === 'object' ? Object.entries(v) : []
+                if (!entries.length) MQTemplate.#render(n.alt || [], stack, out, depth)
+                entries.forEach(([k, _], i) => {
+                    const frame = {ctx: _, index: i, key: k, first: i === 0, last: i === entries.length - 1}
+                    MQTemplate.#render(n.body, [...stack, frame], out, depth)
+                })
+            }
+            else if (n.type === 'partial') {
+                const c = MQTemplate.#partials.get(n.name)
+                if (!c) throw new MQTemplateError(`Unknown partial "${n.name}" at line ${n.line}, column ${n.column}`, n.line, n.column)
+                if (depth >= 100) throw new MQTemplateError(`Partial "${n.name}" nested too deeply at line ${n.line}, column ${n.column}`, n.line, n.column)
+                const _s = n.path ? [...stack, {ctx: MQTemplate.#lookup(n.path, stack)}] : stack
+                MQTemplate.#render(MQTemplate.#ast.get(c), _s, out, depth + 1)
+            }
+        }
+    }
+
+    /**
+     * Internal method to compute the line and the column of an index in a template
+     *
+     * @param  {string} s The source of the template
+     * @param  {number} i The index
+     *
+     * @return {Object} The position, `{line, column}`, both starting at 1
+     */
+    static #position(s, i) {
+        const lines = s.slice(0, i).split('\n')
+        return {line: lines.length, column: lines[lines.length - 1].length + 1}
+    }
+}
+
+$.template = s => MQTemplate.compile(s)
+$.template.fromElement = MQTemplate.fromElement
+$.template.partial = MQTemplate.partial
+$.template.escape = MQTemplate.escape
+
+/**
+ * @author M K
+ *
+ * Updates the content of an element to match new markup, applying the
+ * fewest changes to the live nodes instead of replacing them. Used by
+ * `morph` of NodeWrapper and MQ, and by the 'morph' option of `html`
+ *
+ * Nodes are matched by key first, the value of the key attribute
+ * ('data-key' by default) or the id, then by position and tag name among
+ * the nodes without a key. Matched nodes are kept, moved if needed, and
+ * their attributes and text are patched, so they keep the focus, the caret,
+ * scroll offsets, running CSS transitions and the listeners bound using `on`.
+ * Nodes that are not matched are removed like with `instance.remove()`
+ *
+ * The value and checked state of form controls only change if the markup
+ * changes them, and never while the control has the focus
+ */
+class MQMorph {
+    /**
+     * Internal method to morph the content of an element, shouldn't be called by external sources
+     *
+     * @param  {HTMLElement}                                      n The element
+     * @param  {string | TrustedHTML | Node | NodeWrapper | MQ | Array} t The new content
+     * @param  {Object}                                           o (optional) Additional options, `key`
+     */
+    static __morph__(n, t, o={}) {
+        const d = n.ownerDocument
+        const _o = {key: o.key || 'data-key', active: d.activeElement}
+        const a = _o.active
+        let selection = null
+        try {
+            if (a && typeof a.selectionStart === 'number') selection = [a.selectionStart, a.selectionEnd, a.selectionDirection]
+        }
+        catch (err) {}
+        MQMorph.#children(n, MQMorph.#fragment(t, d), _o)
+        if (a && a !== d.body && a.isConnected && d.activeElement !== a) {
+            a.focus({preventScroll: true})
+            if (selection) {
+                try {
+                    a.setSelectionRange(...selection)
+                }
+                catch (err) {}
+            }
+        }
+    }
+
+    /**
+     * Internal method to turn the new content into a DocumentFragment
+     *
+     * @param  {string | TrustedHTML | Node | NodeWrapper | MQ | Array} t The new content
+     * @param  {Document}                                         d The document of the element
+     *
+     * @return {DocumentFragment} The fragment
+     */
+    static #fragment(t, d) {
+        if (typeof t === 'string' || (typeof TrustedHTML !== 'undefined' && t instanceof TrustedHTML)) {
+            const tpl = d.createElement('template')
+            tpl.innerHTML = t
+            return tpl.content
+        }
+        const f = d.createDocumentFragment()
+        f.append(...MQ.__nodes__(t, false, d))
+        return f
+    }
+
+    /**
+     * Internal method to morph the children of a node into the children of another
+     *
+     * @param  {Node}   f The live node
+     * @param  {Node}   t The node with the new children
+     * @param  {Object} o The options
+     */
+    static #children(f, t, o) {
+        const keyed = new Map()
+        for (let _ of f.childNodes) {
+            const k = MQMorph.#key(_, o)
+            if (k !== null && !keyed.has(k)) keyed.set(k, _)
+        }
+        let cur = f.firstChild
+        for (let n of [...t.childNodes]) {
+            const k = MQMorph.#key(n, o)
+            let m = null
+            if (k !== null) {
+                const _ = keyed.get(k)
+                if (_ && _.nodeName === n.nodeName) m = _
+            }
+            if (!m && cur && MQMorph.#key(cur, o) === null && cur.nodeType === n.nodeType && cur.nodeName === n.nodeName) m = cur
+            if (!m) {
+                f.insertBefore(n, cur)
+                continue
+            }
+            keyed.delete(k)
+            if (m === cur) cur = cur.nextSibling
+            else {
+                const [top, left] = [m.scrollTop, m.scrollLeft]
+                f.insertBefore(m, cur)
+                if (top || left) [m.scrollTop, m.scrollLeft] = [top, left]
+            }
+            MQMorph.#patch(m, n, o)
+        }
+        while (cur) {
+            const _ = cur.nextSibling
+            if (cur.nodeType === cur.ELEMENT_NODE) new NodeWrapper(cur).remove()
+            else f.removeChild(cur)
+            cur = _
+        }
+    }
+
+    /**
+     * Internal method to patch a live node to match a new one
+     *
+     * @param  {Node}   a The live node
+     * @param  {Node}   b The new node
+     * @param  {Object} o The options
+     */
+    static #patch(a, b, o) {
+        if (a.nodeType !== a.ELEMENT_NODE) {
+            if (a.nodeValue !== b.nodeValue) a.nodeValue = b.nodeValue
+            return
+        }
+        const focused = a === o.active
+        for (let _ of [...b.attributes]) {
+            if (a.getAttributeNS(_.namespaceURI, _.localName) === _.value) continue
+            a.setAttributeNS(_.namespaceURI, _.name, _.value)
+            if (focused) continue
+            if (_.name === 'value' && 'value' in a) a.value = _.value
+            if (_.name === 'checked' && 'checked' in a) a.checked = true
+        }
+        for (let _ of [...a.attributes]) {
+            if (b.hasAttributeNS(_.namespaceURI, _.localName)) continue
+            a.removeAttributeNS(_.namespaceURI, _.localName)
+            if (!focused && _.name === 'checked' && 'checked' in a) a.checked = false
+        }
+        if (a.tagName === 'TEXTAREA') {
+            if (a.defaultValue !== b.defaultValue) {
+                const v = a.value
+                a.defaultValue = b.defaultValue
+                a.value = focused ? v : b.defaultValue
+            }
+            return
+        }
+        MQMorph.#children(a.tagName === 'TEMPLATE' ? a.content : a, b.tagName === 'TEMPLATE' ? b.content : b, o)
+    }
+
+    /**
+     * Internal method to read the key of a node
+     *
+     * @param  {Node}   n The node
+     * @param  {Object} o The options
+     *
+     * @return {string} The key, or null if the node has none
+     */
+    static #key(n, o) {
+        if (n.nodeType !== n.ELEMENT_NODE) return null
+        return n.hasAttribute(o.key) ? n.getAttribute(o.key) : n.id || null
+    }
+}
+
+/**
+ * @author M K
+ *
+ * Renders large lists by only keeping the rows in and around the visible
+ * part of a scroll container in the document. Available as `$.virtualList`
+ *
+ * The content of the container is replaced by a spacer as tall as all the
+ * rows, and the rendered rows are absolutely positioned inside it. Rows
+ * scrolled out of view are recycled, they are passed to `render` as its
+ * third argument, so that it may update and return them instead of
+ * creating new ones
+ *
+ * Options
+ *     items           : The array of items
+ *     render          : Function called with an item, its index and a recycled row (or undefined),
+ *                       returning the row, as a NodeWrapper, an element or markup
+ *     rowHeight       : The height of the rows in pixels, or a function called with an item and
+ *                       its index returning its height
+ *     measure         : If true, the rows are measured once rendered, for rows of unknown heights.
+ *                       May also be a function called with a row and its item returning its height
+ *     estimatedHeight : The height of the rows not measured yet, defaults to 40
+ *     overscan        : The number of rows to render above and below the visible ones, defaults to 3
+ *
+ * The `rangechange.mq` event is dispatched on the container when the
+ * visible rows change, with the `start` and `end` (exclusive) indexes in `event.detail`
+ *
+ * Example Usage
+ *     const list = $.virtualList('#log', {
+ *         items: entries,
+ *         rowHeight: 24,
+ *         render: (entry, i, row) => (row || $('<div class="entry">')).text(entry.message),
+ *     })
+ *     list.scrollToIndex(entries.length - 1)
+ */
+class MQVirtualList {
+    #n
+    #spacer
+    #o
+    #items = []
+    #heights = new Float64Array(0)
+    #offsets = new Float64Array(1)
+    #rows = new Map()
+    #pool = []
+    #range = {start: 0, end: 0}
+    #ro = null
+
+    /**
+     * Creates a virtual list, see `MQVirtualList` for the options
+     *
+     * @param  {string | HTMLElement | NodeWrapper} c The scroll container, or a CSS Selector of it
+     * @param  {Object}                             o The options
+     */
+    constructor(c, o={}) {
+        const n = MQ.__nodes__(c, true)[0]
+        if (!n) throw new MQIllegalArgumentError(`Cannot create a virtual list in ${c}, because it was not found`)
+        if (typeof o.render !== 'function') throw new MQIllegalArgumentError(`Cannot create a virtual list in ${c}, because ${o.render} is not a function`)
+        if (!o.rowHeight && !o.measure) throw new MQIllegalArgumentError(`Cannot create a virtual list in ${c}, because neither rowHeight nor measure is given`)
+        this.#n = n
+        this.#o = {overscan: 3, estimatedHeight: typeof o.rowHeight === 'number' ? o.rowHeight : 40, ...o}
+        const w = new NodeWrapper(n).empty()
+        const view = n.ownerDocument.defaultView || window
+        if (view.getComputedStyle(n).overflowY === 'visible') n.style.overflowY = 'auto'
+        this.#spacer = n.ownerDocument.createElement('div')
+        this.#spacer.style.position = 'relative'
+        this.#spacer.style.width = '100%'
+        n.append(this.#spacer)
+        w.on('scroll.mqvirtual', () => this.#update())
+        if (typeof ResizeObserver !== 'undefined') {
+            this.#ro = new ResizeObserver(() => this.#update())
+            this.#ro.observe(n)
+        }
+        this.setItems(o.items || [])
     }
 
     /**
-     * Allows manipulation of value property of the wrapped HTMLElement
-     * Usually used with input elements
+     * The items of the list
+     */
+    get items() {return this.#items}
+
+    /**
+     * The indexes of the visible rows, `{start, end}`, end excluded
+     */
+    get range() {return {...this.#range}}
+
+    /**
+     * Replaces the items of the list, keeping the scroll position
      *
-     * Can be used with 2 signatures
-     * 1. Without arguments, `instance.val()`
-     *     Returns the value of the value property
-     * 2. With 1 argument, `instance.val(val)`
-     *     Sets the value property to the given argument
+     * The visible rows are rendered again, with their current row as the recycled one
      *
-     * @param  {string} t The value to write to the value property
+     * @param  {Array} items The new items
      *
-     * @return {NodeWrapper} The current calling instance (this),
-     *              null if the property 'value' is not defined in the
-     *              wrapped element
+     * @return {MQVirtualList} The current calling instance (this)
      */
-    val(t) {
-        if (!('value' in this.n)) return null
-        if (!t && !(t === '')) return this.n.value
-        this.n.value = `${t}`
+    setItems(items) {
+        if (!(items instanceof Array)) throw new MQIllegalArgumentError(`Cannot use ${items} as the items of a virtual list, because it is not an array`)
+        const old = this.#heights
+        this.#items = items
+        this.#heights = new Float64Array(items.length)
+        for (let i = 0; i < items.length; i++) {
+            this.#heights[i] = this.#o.measure && i < old.length ? old[i] : this.#height(i)
+        }
+        for (let [i, row] of [...this.#rows]) {
+            if (i >= items.length) this.#release(i, row)
+        }
+        this.#layout()
+        this.#update(true)
         return this
     }
 
     /**
-     * Allows manipulation of CSS properties of the wrapped HTMLElement
+     * Renders the visible rows again, after the items changed in place
      *
-     * Can be called with 2 signatures
+     * @return {MQVirtualList} The current calling instance (this)
+     */
+    refresh() {
+        this.#update(true)
+        return this
+    }
+
+    /**
+     * Scrolls the container to show the row at the given index
      *
-     * 1. With 2 arguments, `instance.css(property, value)`
-     *     Applies the given value of the specified property on the wrapped HTMLElement
-     * 2. With 3 arguments, `instance.css(property, value, importance)`
-     *     Applies the given value and importance of the specified property on the wrapped HTMLElement
+     * Options
+     *     align    : Where to show the row, 'start', 'center', 'end', or 'auto' to scroll
+     *                as little as possible. Defaults to 'start'
+     *     behavior : The scroll behavior, 'auto' or 'smooth'
      *
-     * @param  {string} p The property to read or write to
-     * @param  {string} v The value to write to the specified property
-     * @param  {string} i (optional) The priority of the value on the specified property
+     * @param  {number} i The index of the row
+     * @param  {Object} o (optional) Additional options
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @return {MQVirtualList} The current calling instance (this)
      */
-    css(p, v, i) {
-        if (!p) return this.n.style
-        if (!v) return getComputedStyle(this.n).getPropertyValue(`${p}`)
-        this.n.style.setProperty(`${p}`, `${v}`, i)
+    scrollToIndex(i, o={}) {
+        if (!Number.isInteger(i) || i < 0 || i >= this.#items.length) {
+            throw new MQIndexOutOfBoundsError(`Cannot scroll to index ${i} of a virtual list of ${this.#items.length} items`)
+        }
+        const n = this.#n, top = this.#offsets[i], h = this.#heights[i], view = n.clientHeight
+        let y = top
+        if (o.align === 'center') y = top - (view - h) / 2
+        else if (o.align === 'end') y = top - view + h
+        else if (o.align === 'auto') y = top < n.scrollTop ? top : top + h > n.scrollTop + view ? top - view + h : n.scrollTop
+        y = Math.max(0, y)
+        if (typeof n.scrollTo === 'function') n.scrollTo({top: y, behavior: o.behavior || 'auto'})
+        else n.scrollTop = y
+        this.#update()
         return this
     }
 
     /**
-     * Adds an event listener to the wrapped HTMLElement
+     * Stops the list, removing the rows and the spacer
+     */
+    destroy() {
+        new NodeWrapper(this.#n).off('.mqvirtual')
+        if (this.#ro) this.#ro.disconnect()
+        for (let row of [...this.#rows.values(), ...this.#pool]) row.remove()
+        this.#rows.clear()
+        this.#pool = []
+        this.#spacer.remove()
+    }
+
+    /**
+     * Internal method to compute the height of a row from the options
      *
-     * @param  {string}   e The event to add the handler to
-     * @param  {function} c The handler callback function
-     * @param  {boolean}  u useCapture argument for adding eventListener
+     * @param  {number} i The index of the row
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @return {number} The height in pixels
      */
-    on(e, c, u) {
-        if (!e || !c) throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}`)
-        if (typeof c !== 'function') throw new MQEventBindError(`Cannot bind callback ${c} to event ${e}, because ${c} is not a function`)
-        this.n.addEventListener(e, c, u)
-        return this
+    #height(i) {
+        const h = this.#o.rowHeight
+        return typeof h === 'function' ? h(this.#items[i], i) : h || this.#o.estimatedHeight
     }
 
     /**
-     * Appends the given args to the wrapped HTMLElement
+     * Internal method to compute the offsets of the rows, and the height of the spacer
+     */
+    #layout() {
+        const len = this.#items.length
+        this.#offsets = new Float64Array(len + 1)
+        for (let i = 0; i < len; i++) this.#offsets[i + 1] = this.#offsets[i] + this.#heights[i]
+        this.#spacer.style.height = `${this.#offsets[len]}px`
+    }
+
+    /**
+     * Internal method to find the row at a vertical offset
      *
-     * @param  {HTMLElement | NodeWrapper} n The elements to add to the wrapped HTMLElement
+     * @param  {number} y The offset in pixels
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @return {number} The index of the row
      */
-    append(...n) {
-        if (!n) return this
-        let _n = [...n]
-        if (_n[0] instanceof Array) _n = _n[0]
-        for(let _ of _n) {
-            if (_ instanceof NodeWrapper) {
-                this.n.appendChild(_.get())
-            } else {
-                this.n.appendChild(_)
-            }
+    #index(y) {
+        let lo = 0, hi = this.#items.length - 1
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1
+            if (this.#offsets[mid] <= y) lo = mid
+            else hi = mid - 1
         }
-        return this
+        return lo
     }
 
     /**
-     * Appends the wrapped HTMLElement to a given parent element
+     * Internal method to detach a row and keep it for recycling
      *
-     * @param  {HTMLElement | NodeWrapper} n The parent element to add to
-     *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @param  {number}      i   The index of the row
+     * @param  {NodeWrapper} row The row
      */
-    appendTo(n) {
-        let k
-        if (typeof n === 'string') k = (new MQ(n, {__str__:true})).get()
-        else if (n instanceof NodeWrapper) k = n.get()
-        else k = n
-        k.appendChild(this.n)
-        return this
+    #release(i, row) {
+        row.get().remove()
+        this.#rows.delete(i)
+        this.#pool.push(row)
     }
 
     /**
-     * Returns the HTMLElement wrapped by this instance
+     * Internal method to render the rows in and around the visible part of the container
      *
-     * @return {HTMLElement} the HTMLElement wrapped by this instance
+     * @param  {boolean} force (optional) Whether to render the rows already rendered again
+     * @param  {number}  depth (optional) The number of updates caused by measuring rows
      */
-    get() {return this.n}
+    #update(force=false, depth=0) {
+        const n = this.#n, len = this.#items.length
+        const top = n.scrollTop, view = n.clientHeight
+        const first = len ? this.#index(top) : 0
+        const last = len ? this.#index(top + Math.max(view, 1) - 1) + 1 : 0
+        const start = Math.max(0, first - this.#o.overscan), end = Math.min(len, last + this.#o.overscan)
+        for (let [i, row] of [...this.#rows]) {
+            if (i < start || i >= end) this.#release(i, row)
+        }
+        if (this.#pool.length > end - start) this.#pool.splice(end - start).forEach(_ => _.remove())
+        for (let i = start; i < end; i++) {
+            if (this.#rows.has(i) && !force) continue
+            const prev = this.#rows.get(i) || this.#pool.pop()
+            const r = this.#o.render(this.#items[i], i, prev)
+            const e = MQ.__nodes__(r, false, n.ownerDocument)[0]
+            if (!e || e.nodeType !== e.ELEMENT_NODE) throw new MQIllegalArgumentError(`Cannot render item ${i} of a virtual list, because render returned ${r}`)
+            if (prev && prev.get() !== e) prev.remove()
+            e.style.position = 'absolute'
+            e.style.left = '0'
+            e.style.right = '0'
+            e.style.top = `${this.#offsets[i]}px`
+            if (e.parentNode !== this.#spacer) this.#spacer.append(e)
+            this.#rows.set(i, new NodeWrapper(e))
+        }
+        if (this.#o.measure && this.#measure(first, top) && depth < 3) return this.#update(false, depth + 1)
+        if (first !== this.#range.start || last !== this.#range.end) {
+            this.#range = {start: first, end: last}
+            new NodeWrapper(n).trigger('rangechange.mq', {start: first, end: last})
+        }
+    }
 
     /**
-     * Adds a CSS class to the wrapped HTMLElement
+     * Internal method to measure the rendered rows, and move the rows if their heights changed
      *
-     * @param  {string} c variable number of strings, each being a class to add
+     * The scroll position is adjusted by the change of the heights of the
+     * rows above the first visible one, so that the visible rows stay in place
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @param  {number} first The index of the first visible row
+     * @param  {number} top   The scroll position the rows were rendered for
+     *
+     * @return {boolean} `true` if a height changed, `false` otherwise
      */
-    addClass(...c) {
-        if (!c) throw new MQIllegalArgumentError(`Cannot add class ${c}`)
-        for(let _ of c) {
-            this.n.classList.add(_)
+    #measure(first, top) {
+        const m = this.#o.measure
+        let changed = false, shift = 0
+        for (let [i, row] of this.#rows) {
+            const h = typeof m === 'function' ? m(row, this.#items[i]) : row.get().getBoundingClientRect().height
+            if (!(h > 0) || h === this.#heights[i]) continue
+            if (i < first) shift += h - this.#heights[i]
+            this.#heights[i] = h
+            changed = true
         }
-        return this
+        if (!changed) return false
+        this.#layout()
+        for (let [i, row] of this.#rows) row.get().style.top = `${this.#offsets[i]}px`
+        if (shift) this.#n.scrollTop = top + shift
+        return true
     }
+}
+
+$.virtualList = (c, o) => new MQVirtualList(c, o)
+
+/**
+ * @author M K
+ *
+ * Accessibility helpers, focus traps, roving tabindex, live announcements
+ * and an audit of common problems. Available as `$.a11y`, used by
+ * `trapFocus`, `releaseFocus`, `rovingFocus` and `aria` of NodeWrapper and MQ
+ *
+ * Example Usage
+ *     $('#dialog').trapFocus()
+ *     $.announce('3 results found')
+ *     $('#menu [role="menuitem"]').rovingFocus({orientation: 'vertical'})
+ *     console.table($.a11y.check())
+ */
+class MQA11y {
+    static #traps = []
+    static #listening = null
+    static #regions = new Map()
 
     /**
-     * Removes a CSS class to the wrapped HTMLElement
+     * CSS Selector of the elements that may receive the focus using the keyboard
+     */
+    static #focusable = [
+        'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])', 'textarea:not([disabled])', 'iframe', 'audio[controls]', 'video[controls]',
+        'summary', '[contenteditable]:not([contenteditable="false"])', '[tabindex]',
+    ].join(', ')
+
+    /**
+     * Announces a message to screen readers, using an ARIA live region
+     * managed by the library
      *
-     * @param  {string} c variable number of strings, each being a class to remove
+     * Options
+     *     politeness : 'polite' to wait until the user is idle, or 'assertive'
+     *                  to interrupt. Defaults to 'polite'
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * The same message may be announced several times
+     *
+     * Example Usage
+     *     $.announce('Saved')
+     *     $.announce('Connection lost', {politeness: 'assertive'})
+     *
+     * @param  {string} m The message
+     * @param  {Object} o (optional) Additional options
+     *
+     * @return {Promise} Resolves once the message is in the live region
      */
-    removeClass(...c) {
-        if (!c) throw new MQIllegalArgumentError(`Cannot add class ${c}`)
-        for(let _ of c) {
-            this.n.classList.remove(_)
+    static announce(m, o={}) {
+        const p = o.politeness || 'polite'
+        if (p !== 'polite' && p !== 'assertive') throw new MQIllegalArgumentError(`Cannot announce with politeness ${p}, use 'polite' or 'assertive'`)
+        let r = MQA11y.#regions.get(p)
+        if (!r || !r.isConnected) {
+            r = document.createElement('div')
+            r.setAttribute('aria-live', p)
+            r.setAttribute('aria-atomic', 'true')
+            r.setAttribute('role', p === 'polite' ? 'status' : 'alert')
+            r.className = 'mq-live-region'
+            Object.assign(r.style, {
+                position: 'absolute', width: '1px', height: '1px', margin: '-1px', padding: '0',
+                overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap', border: '0',
+            })
+            document.body.append(r)
+            MQA11y.#regions.set(p, r)
         }
-        return this
+        r.textContent = ''
+        return new Promise(resolve => setTimeout(() => {
+            r.textContent = `${m}`
+            resolve()
+        }, 50))
     }
 
     /**
-     * Finds a given HTMLElement in the wrapped HTMLElement
+     * Looks for common accessibility problems, meant to be used while developing
      *
-     * @param  {string} n The CSS Selector of the HTMLElement to find
+     * Reports
+     *     image-alt     : Images without alternative text, use `alt=""` for decorative images
+     *     control-label : Form controls without a label
+     *     button-name   : Buttons without an accessible name
+     *     link-name     : Links without an accessible name
+     *     duplicate-id  : Ids used by several elements
+     *     aria-reference: ARIA attributes referencing ids that do not exist
+     *     document-lang : Documents without a `lang` attribute on the root element
      *
-     * @return {NodeWrapper}  The element if found, null otherwise
+     * Elements hidden using `hidden` or `aria-hidden="true"` are skipped
+     *
+     * Options
+     *     log : If true, every problem is also logged using `console.warn`
+     *
+     * @param  {string | HTMLElement | NodeWrapper | Document} r (optional) The element to check, defaults to the document
+     * @param  {Object}                                        o (optional) Additional options
+     *
+     * @return {Array} The problems, `{rule, message, element}`, with the element wrapped in a NodeWrapper
      */
-    find(n) {
-        if (typeof n === 'string') {
-            const _ = this.n.querySelector(`${n}`)
-            if (_) return new NodeWrapper(_)
-            return null
-        } else {
-            throw new MQIllegalArgumentError("Can only find by by CSS Selector")
+    static check(r=document, o={}) {
+        const root = r.nodeType && r.nodeType === r.DOCUMENT_NODE ? r : MQ.__nodes__(r, true)[0]
+        if (!root) throw new MQIllegalArgumentError(`Cannot check ${r}, because it was not found`)
+        const d = root.nodeType === root.DOCUMENT_NODE ? root : root.ownerDocument
+        const issues = []
+        const report = (rule, e, message) => issues.push({rule, message, element: new NodeWrapper(e)})
+        const all = [...(root === d ? [] : [root]), ...root.querySelectorAll('*')].filter(_ => !_.closest('[hidden], [aria-hidden="true"]'))
+        if (root === d && !d.documentElement.getAttribute('lang')) report('document-lang', d.documentElement, 'The document has no lang attribute')
+        const ids = new Map()
+        for (let e of all) {
+            const tag = e.tagName.toLowerCase(), role = e.getAttribute('role')
+            if (e.id) ids.set(e.id, (ids.get(e.id) || 0) + 1)
+            if ((tag === 'img' && !e.hasAttribute('alt') && !MQA11y.#labelled(e)) || (role === 'img' && !MQA11y.#name(e))) {
+                report('image-alt', e, 'Image has no alternative text')
+            }
+            else if (tag === 'input' && e.type === 'image' && !MQA11y.#name(e)) report('image-alt', e, 'Image button has no alternative text')
+            else if (MQA11y.#control(e) && !MQA11y.#name(e)) report('control-label', e, 'Form control has no label')
+            else if ((tag === 'button' || role === 'button' || (tag === 'input' && e.type === 'button')) && !MQA11y.#name(e)) {
+                report('button-name', e, 'Button has no accessible name')
+            }
+            else if (((tag === 'a' && e.hasAttribute('href')) || role === 'link') && !MQA11y.#name(e)) report('link-name', e, 'Link has no accessible name')
+            for (let a of ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant']) {
+                const v = e.getAttribute(a)
+                if (!v) continue
+                const missing = v.split(/\s+/).filter(_ => _ && !d.getElementById(_))
+                if (missing.length) report('aria-reference', e, `${a} references missing ids: ${missing.join(', ')}`)
+            }
+        }
+        for (let [id, count] of ids) {
+            if (count > 1) report('duplicate-id', d.getElementById(id), `Id "${id}" is used by ${count} elements`)
         }
+        if (o.log) issues.forEach(_ => console.warn(`[a11y] ${_.rule}: ${_.message}`, _.element.get()))
+        return issues
     }
 
     /**
-     * Checks whether a given HTMLElement in the wrapped HTMLElement
+     * Internal method to trap the focus inside an element, shouldn't be called by external sources
      *
-     * @param  {HTMLElement | NodeWrapper} n The HTMLElement to find
+     * @param  {HTMLElement} n The element
+     * @param  {Object}      o The options, see `NodeWrapper.trapFocus`
+     */
+    static __trap__(n, o={}) {
+        MQA11y.__untrap__(n, false)
+        const d = n.ownerDocument
+        MQA11y.#traps.push({n, previous: d.activeElement, restore: o.restore !== false})
+        MQA11y.#listen(d)
+        const initial = o.initial ? MQ.__nodes__(o.initial, true, d).find(_ => n.contains(_)) : null
+        const f = initial || MQA11y.#focusables(n)[0] || MQA11y.#self(n)
+        f.focus()
+    }
+
+    /**
+     * Internal method to release a focus trap, shouldn't be called by external sources
      *
-     * @return {boolean} `true` if found, `false` otherwise
+     * @param  {HTMLElement} n       The element
+     * @param  {boolean}     restore (optional) Whether to focus the element focused before the trap
      */
-    contains(n) {
-        if (n instanceof NodeWrapper) {
-            return this.n.contains(n.get())
+    static __untrap__(n, restore=true) {
+        const i = MQA11y.#traps.findIndex(_ => _.n === n)
+        if (i === -1) return
+        const [t] = MQA11y.#traps.splice(i, 1)
+        if (!MQA11y.#traps.length) MQA11y.#listen(null)
+        if (restore && t.restore && t.previous && t.previous.isConnected && typeof t.previous.focus === 'function') t.previous.focus()
+    }
+
+    /**
+     * Internal method to release what is held for an element that is removed
+     * from the document, shouldn't be called by external sources
+     *
+     * @param  {HTMLElement} e The element
+     */
+    static __release__(e) {
+        if (MQA11y.#traps.some(_ => _.n === e)) MQA11y.__untrap__(e)
+    }
+
+    /**
+     * Internal method to set up roving tabindex navigation, shouldn't be called by external sources
+     *
+     * @param  {Array}          l The items
+     * @param  {Object | false} o The options, see `NodeWrapper.rovingFocus`, or false to stop
+     */
+    static __roving__(l, o={}) {
+        for (let e of l) new NodeWrapper(e).off('.mqroving')
+        if (o === false || !l.length) return
+        const orientation = o.orientation || 'vertical'
+        if (!['horizontal', 'vertical', 'both', 'grid'].includes(orientation)) {
+            throw new MQIllegalArgumentError(`Cannot use orientation ${orientation}, use 'horizontal', 'vertical', 'both' or 'grid'`)
         }
-        else if (n instanceof HTMLElement) {
-            return this.n.contains(n)
+        const d = l[0].ownerDocument
+        const set = a => l.forEach(e => e.setAttribute('tabindex', e === a ? '0' : '-1'))
+        set(l.find(e => e === d.activeElement) || l.find(e => e.getAttribute('tabindex') === '0') || l.find(MQA11y.#enabled) || l[0])
+        let rows = null
+        if (orientation === 'grid') {
+            if (o.columns > 0) rows = [...Array(Math.ceil(l.length / o.columns)).keys()].map(i => l.slice(i * o.columns, (i + 1) * o.columns))
+            else rows = [...new Set(l.map(_ => _.parentNode))].map(p => l.filter(_ => _.parentNode === p))
         }
-        else {
-            throw new MQIllegalArgumentError("contains can only find HTMLElement or NodeWrapper objects")
+        for (let e of l) {
+            const w = new NodeWrapper(e)
+            w.on('focus.mqroving', () => set(e))
+            w.on('keydown.mqroving', ev => {
+                if (ev.altKey || ev.metaKey) return
+                const t = rows ? MQA11y.#cell(rows, e, ev, o.wrap !== false) : MQA11y.#item(l, e, ev, orientation, o.wrap !== false)
+                if (!t || t === e) return
+                ev.preventDefault()
+                set(t)
+                t.focus()
+            })
         }
     }
 
     /**
-     * Internal method to wrap instances with a proxy
+     * Internal method to find the item to move to in a list
      *
-     * @param  {NodeWrapper} t The instance to wrap
+     * @param  {Array}         l           The items
+     * @param  {HTMLElement}   e           The focused item
+     * @param  {KeyboardEvent} ev          The event
+     * @param  {string}        orientation The orientation
+     * @param  {boolean}       wrap        Whether to go from the last item to the first, and back
+     *
+     * @return {HTMLElement} The item, or null if the key does not move
      */
-    static #proxify(t) {
-        if (t.__isProxy) return t
-        t.__isProxy = true
-        return new Proxy(t, {
-            get: (_t, p, r) => {
-                return (p in _t) ? _t[p] : t.n[p]
-            },
-            set: (_t, p, v, r) => {
-                if (p in _t) {
-                    _t[p] = v
-                }
-                else {
-                    t.n[p] = v
+    static #item(l, e, ev, orientation, wrap) {
+        const prev = {horizontal: ['ArrowLeft'], vertical: ['ArrowUp'], both: ['ArrowLeft', 'ArrowUp']}[orientation]
+        const next = {horizontal: ['ArrowRight'], vertical: ['ArrowDown'], both: ['ArrowRight', 'ArrowDown']}[orientation]
+        if (ev.key === 'Home') return l.find(MQA11y.#enabled) || null
+        if (ev.key === 'End') return [...l].reverse().find(MQA11y.#enabled) || null
+        const step = prev.includes(ev.key) ? -1 : next.includes(ev.key) ? 1 : 0
+        return step ? MQA11y.#step(l, l.indexOf(e), step, wrap) : null
+    }
+
+    /**
+     * Internal method to find the cell to move to in a grid
+     *
+     * @param  {Array}         rows The rows of cells
+     * @param  {HTMLElement}   e    The focused cell
+     * @param  {KeyboardEvent} ev   The event
+     * @param  {boolean}       wrap Whether to go from the last cell of a row to the first, and back
+     *
+     * @return {HTMLElement} The cell, or null if the key does not move
+     */
+    static #cell(rows, e, ev, wrap) {
+        const r = rows.findIndex(_ => _.includes(e)), c = rows[r].indexOf(e)
+        const all = rows.flat()
+        switch (ev.key) {
+            case 'ArrowLeft': return MQA11y.#step(rows[r], c, -1, wrap)
+            case 'ArrowRight': return MQA11y.#step(rows[r], c, 1, wrap)
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const s = ev.key === 'ArrowUp' ? -1 : 1
+                for (let i = r + s; i >= 0 && i < rows.length; i += s) {
+                    const _ = rows[i][Math.min(c, rows[i].length - 1)]
+                    if (MQA11y.#enabled(_)) return _
                 }
-                return true
-            },
-        })
+                return null
+            }
+            case 'Home': return (ev.ctrlKey ? all : rows[r]).find(MQA11y.#enabled) || null
+            case 'End': return [...(ev.ctrlKey ? all : rows[r])].reverse().find(MQA11y.#enabled) || null
+            default: return null
+        }
     }
 
     /**
-     * Returns a one element Array containing the current calling object
+     * Internal method to step through items, skipping the disabled ones
      *
-     * Only exists for compatibility with MQ, so users do not have to
-     * worry about being unable to call `.list()` on results from `$`
+     * @param  {Array}   l    The items
+     * @param  {number}  i    The index to start from
+     * @param  {number}  s    The step, 1 or -1
+     * @param  {boolean} wrap Whether to continue from the other end
      *
-     * @return {Array} a one element Array containing the current calling object
+     * @return {HTMLElement} The item, or null if there is none
      */
-    list() {return [this]}
+    static #step(l, i, s, wrap) {
+        for (let k = 1; k < l.length; k++) {
+            let j = i + s * k
+            if (wrap) j = (j % l.length + l.length) % l.length
+            else if (j < 0 || j >= l.length) return null
+            if (MQA11y.#enabled(l[j])) return l[j]
+        }
+        return null
+    }
 
     /**
-     * Allows manipulation of data attributes of the wrapped HTMLElement
+     * Internal method to check whether an item may receive the focus
      *
-     * Can be called with 3 signatures
+     * @param  {HTMLElement} e The item
      *
-     * 1. Without arguments, `instance.attr()`
-     *     Returns the dataset property of the wrappend HTMLElement
-     * 2. With 1 arguments, `instance.css(attr)`
-     *     Returns the value of the specified data attribute
-     * 3. With 2 arguments, `instance.css(attr, value)`
-     *     Sets the value of the specified attribute to the given value
-     *     Returns the current calling instance
+     * @return {boolean} `true` if enabled, `false` otherwise
+     */
+    static #enabled(e) {return !e.disabled && e.getAttribute('aria-disabled') !== 'true' && !e.closest('[hidden]')}
+
+    /**
+     * Internal method to add or remove the document listeners of the focus traps
      *
-     * @param  {string} p The property to read or write to
-     * @param  {string} v The value to write to the specified property
-     * @param  {string} i (optional) The priority of the value on the specified property
+     * @param  {Document} d The document, or null to remove the listeners
+     */
+    static #listen(d) {
+        const l = MQA11y.#listening
+        if (l && l.d === d) return
+        if (l) {
+            l.d.removeEventListener('keydown', l.keydown, true)
+            l.d.removeEventListener('focusin', l.focusin, true)
+            MQA11y.#listening = null
+        }
+        if (!d) return
+        const keydown = e => {
+            const t = MQA11y.#traps[MQA11y.#traps.length - 1]
+            if (e.key !== 'Tab' || !t) return
+            const _l = MQA11y.#focusables(t.n)
+            const a = d.activeElement
+            if (!_l.length) {
+                e.preventDefault()
+                MQA11y.#self(t.n).focus()
+            }
+            else if (e.shiftKey && (a === _l[0] || a === t.n || !t.n.contains(a))) {
+                e.preventDefault()
+                _l[_l.length - 1].focus()
+            }
+            else if (!e.shiftKey && (a === _l[_l.length - 1] || !t.n.contains(a))) {
+                e.preventDefault()
+                _l[0].focus()
+            }
+        }
+        const focusin = e => {
+            const t = MQA11y.#traps[MQA11y.#traps.length - 1]
+            if (!t || t.n.contains(e.target)) return
+            const f = MQA11y.#focusables(t.n)[0] || MQA11y.#self(t.n)
+            f.focus()
+        }
+        d.addEventListener('keydown', keydown, true)
+        d.addEventListener('focusin', focusin, true)
+        MQA11y.#listening = {d, keydown, focusin}
+    }
+
+    /**
+     * Internal method to list the elements inside an element that may receive the focus using Tab
      *
-     * @return {NodeWrapper | Object} The dataset property of the HTMLElement if called by signature #1
-     *                                The value of the data attribute of the HTMLElement if called by signature #2
-     *                                The current calling instance (this) if called by signature #3
+     * @param  {HTMLElement} n The element
+     *
+     * @return {Array} The elements, in document order
      */
-    attr(a, v) {
-        if (!a) return this.n.dataset
-        if (!v) return this.n.dataset[`${a}`]
-        this.n.dataset[`${a}`] = v
-        return this
+    static #focusables(n) {
+        return [...n.querySelectorAll(MQA11y.#focusable)].filter(_ => _.tabIndex >= 0 && !_.closest('[hidden], [inert]'))
     }
 
     /**
-     * Applies the given function on the wrapped HTMLElement
+     * Internal method to make an element itself focusable, if it is not
      *
-     * Only exists for compatibility with MQ, so users do not have to
-     * worry about being unable to call `.each()` on results from `$`
+     * @param  {HTMLElement} n The element
      *
-     * @param  {function} c The function to apply
+     * @return {HTMLElement} The element
+     */
+    static #self(n) {
+        if (!n.hasAttribute('tabindex')) n.setAttribute('tabindex', '-1')
+        return n
+    }
+
+    /**
+     * Internal method to check whether an element is a form control that needs a label
      *
-     * @return {NodeWrapper} The current calling instance (this)
+     * @param  {HTMLElement} e The element
+     *
+     * @return {boolean} `true` if it needs a label, `false` otherwise
      */
-    each(c) {
-        if (typeof c !== 'function') throw new MQIllegalArgumentError("Illegal Argument")
-        c(this)
-        return this
+    static #control(e) {
+        const tag = e.tagName.toLowerCase()
+        if (tag === 'input') return !['hidden', 'button', 'submit', 'reset', 'image'].includes(e.type)
+        return tag === 'select' || tag === 'textarea' || ['textbox', 'combobox', 'listbox', 'checkbox', 'radio', 'slider', 'switch'].includes(e.getAttribute('role'))
+    }
+
+    /**
+     * Internal method to check whether an element is labelled using ARIA attributes
+     *
+     * @param  {HTMLElement} e The element
+     *
+     * @return {boolean} `true` if labelled, `false` otherwise
+     */
+    static #labelled(e) {
+        if ((e.getAttribute('aria-label') || '').trim()) return true
+        const ids = (e.getAttribute('aria-labelledby') || '').split(/\s+/).filter(_ => _)
+        return ids.some(_ => {
+            const l = e.ownerDocument.getElementById(_)
+            return !!l && !!l.textContent.trim()
+        })
+    }
+
+    /**
+     * Internal method to check whether an element has an accessible name,
+     * a simplified version of the accessible name computation
+     *
+     * @param  {HTMLElement} e The element
+     *
+     * @return {boolean} `true` if it has a name, `false` otherwise
+     */
+    static #name(e) {
+        if (MQA11y.#labelled(e)) return true
+        if (e.labels && [...e.labels].some(_ => _.textContent.trim())) return true
+        if ((e.tagName === 'IMG' || (e.tagName === 'INPUT' && e.type === 'image')) && (e.getAttribute('alt') || '').trim()) return true
+        if (e.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(e.type)) return !!e.value.trim()
+        if (!MQA11y.#control(e)) {
+            if (e.textContent.trim()) return true
+            if ([...e.querySelectorAll('img[alt], [aria-label]')].some(_ => (_.getAttribute('alt') || _.getAttribute('aria-label')).trim())) return true
+        }
+        return !!(e.getAttribute('title') || '').trim()
     }
 }
 
+$.a11y = MQA11y
+$.announce = MQA11y.announce
+
 /**
  * @author M K
  *
@@ -731,3 +8872,66 @@ class MQIndexOutOfBoundsError extends MQError {}
  * Thrown if invalid element creation is not possible with given arguments
  */
 class MQElementCreationError extends MQError {}
+
+/**
+ * @author M K
+ *
+ * Thrown if a HTTP request fails, or its response has a status other than 2xx
+ */
+class MQHttpError extends MQError {
+    /**
+     * Internal method, shouldn't be called by external sources
+     *
+     * @param  {string} message  The error message
+     * @param  {number} status   The status of the response, 0 if there was no response
+     * @param  {*}      body     The parsed body of the response, if any
+     * @param  {Object} response The response object, if any
+     */
+    constructor(message, status, body, response) {
+        super(message)
+        this.status = status
+        this.body = body
+        this.response = response
+    }
+}
+
+/**
+ * @author M K
+ *
+ * Thrown if an operation does not complete in the allowed time
+ */
+class MQTimeoutError extends MQError {}
+
+/**
+ * @author M K
+ *
+ * Thrown if an operation is cancelled using an AbortSignal
+ */
+class MQAbortError extends MQError {}
+
+/**
+ * @author M K
+ *
+ * Thrown if a plugin method cannot be registered because its name is already in use
+ */
+class MQPluginConflictError extends MQError {}
+
+/**
+ * @author M K
+ *
+ * Thrown if a template is invalid, or cannot be rendered
+ */
+class MQTemplateError extends MQError {
+    /**
+     * Internal method, shouldn't be called by external sources
+     *
+     * @param  {string} message The error message
+     * @param  {number} line    The line of the problem in the template, starting at 1
+     * @param  {number} column  The column of the problem in the template, starting at 1
+     */
+    constructor(message, line, column) {
+        super(message)
+        this.line = line
+        this.column = column
+    }
+}
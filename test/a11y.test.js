@@ -0,0 +1,127 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQA11y', () => {
+    const window = load()
+    const {$, document} = window
+    const $$ = s => document.querySelector(s)
+    const key = (k, o={}) => {
+        const e = new window.KeyboardEvent('keydown', {key: k, bubbles: true, cancelable: true, ...o})
+        document.activeElement.dispatchEvent(e)
+        return e
+    }
+
+    beforeEach(() => {
+        document.body.innerHTML = `<button id="open">Open</button>
+            <div id="dlg"><p>Hi</p><input id="a" aria-label="A"><button id="b" disabled>x</button><a id="c" href="#">c</a><div hidden><button>h</button></div></div>
+            <div id="dlg2"><button id="z">Z</button></div>
+            <ul id="menu"><li>One</li><li aria-disabled="true">Two</li><li>Three</li></ul>
+            <div id="grid"><div><span>1</span><span>2</span></div><div><span>3</span></div></div>`
+    })
+
+    after(() => window.close())
+
+    it('traps focus, wrapping at both ends, and restores it once released', () => {
+        $$('#open').focus()
+        $('#dlg').trapFocus()
+        assert.equal(document.activeElement, $$('#a'))
+        $$('#c').focus()
+        assert.ok(key('Tab').defaultPrevented)
+        assert.equal(document.activeElement, $$('#a'))
+        key('Tab', {shiftKey: true})
+        assert.equal(document.activeElement, $$('#c'))
+        $$('#open').focus()
+        assert.equal(document.activeElement, $$('#a'))
+        $('#dlg2').trapFocus()
+        assert.equal(document.activeElement, $$('#z'))
+        $('#dlg2').releaseFocus()
+        assert.equal(document.activeElement, $$('#a'))
+        $('#dlg').releaseFocus()
+        assert.equal(document.activeElement, $$('#open'))
+    })
+
+    it('releases the trap of removed elements', () => {
+        $$('#open').focus()
+        $('#dlg').trapFocus({initial: '#c'})
+        assert.equal(document.activeElement, $$('#c'))
+        $('#dlg').remove()
+        assert.equal(document.activeElement, $$('#open'))
+        $$('#z').focus()
+        assert.equal(document.activeElement, $$('#z'))
+    })
+
+    it('reads and writes typed aria attributes', () => {
+        // Arrays must come from the window, like they would in a browser
+        $('#z').aria({expanded: false, controls: window.Array.of('menu', 'grid'), label: 'Zed'})
+        assert.equal($$('#z').getAttribute('aria-expanded'), 'false')
+        assert.equal($('#z').aria('expanded'), false)
+        assert.equal($$('#z').getAttribute('aria-controls'), 'menu grid')
+        assert.equal($('#z').aria('aria-label'), 'Zed')
+        $('#z').aria('label', null)
+        assert.equal($$('#z').hasAttribute('aria-label'), false)
+        assert.equal($('#z').aria('label'), null)
+        $('#menu li').aria('selected', true)
+        assert.equal($('#menu li').aria('selected'), true)
+        assert.equal(document.querySelectorAll('[aria-selected="true"]').length, 3)
+    })
+
+    it('moves a roving focus with the arrow keys, skipping disabled items', () => {
+        const li = [...document.querySelectorAll('#menu li')]
+        const tabindex = () => li.map(_ => _.getAttribute('tabindex'))
+        $('#menu li').rovingFocus()
+        assert.deepEqual(tabindex(), ['0', '-1', '-1'])
+        li[0].focus()
+        key('ArrowDown')
+        assert.equal(document.activeElement, li[2])
+        assert.deepEqual(tabindex(), ['-1', '-1', '0'])
+        key('ArrowDown')
+        assert.equal(document.activeElement, li[0])
+        key('End')
+        assert.equal(document.activeElement, li[2])
+        key('ArrowRight')
+        assert.equal(document.activeElement, li[2])
+        $('#menu li').rovingFocus(false)
+        key('ArrowDown')
+        assert.equal(document.activeElement, li[2])
+    })
+
+    it('moves a roving focus in grids', () => {
+        const cells = [...document.querySelectorAll('#grid span')]
+        $('#grid span').rovingFocus({orientation: 'grid'})
+        cells[1].focus()
+        key('ArrowDown')
+        assert.equal(document.activeElement, cells[2])
+        key('ArrowUp')
+        assert.equal(document.activeElement, cells[0])
+        key('End')
+        assert.equal(document.activeElement, cells[1])
+        key('End', {ctrlKey: true})
+        assert.equal(document.activeElement, cells[2])
+    })
+
+    it('announces messages in live regions', async () => {
+        await $.announce('Saved')
+        const r = document.querySelector('.mq-live-region[aria-live="polite"]')
+        assert.equal(r.textContent, 'Saved')
+        assert.equal(r.getAttribute('role'), 'status')
+        const p = $.announce('Saved')
+        assert.equal(r.textContent, '')
+        await p
+        assert.equal(r.textContent, 'Saved')
+        await $.announce('Lost', {politeness: 'assertive'})
+        assert.equal(document.querySelector('[aria-live="assertive"]').textContent, 'Lost')
+    })
+
+    it('reports common issues', () => {
+        document.body.innerHTML = `<img src="x.png"><img src="d.png" alt=""><input id="n"><label>Name <input id="m"></label>
+            <button></button><button><img src="i.png" alt="Close"></button><a href="/x"></a><a href="/y" aria-label="Y"></a>
+            <div id="dup"></div><span id="dup"></span><div aria-labelledby="nope"></div><div aria-hidden="true"><img src="h.png"></div>
+            <input type="submit"><input type="button">`
+        const issues = $.a11y.check()
+        assert.deepEqual([...issues].map(_ => _.rule).sort(), ['aria-reference', 'button-name', 'button-name', 'control-label', 'document-lang', 'duplicate-id', 'image-alt', 'link-name'])
+        assert.equal(issues.find(_ => _.rule === 'image-alt').element.get().getAttribute('src'), 'x.png')
+        assert.deepEqual([...$.a11y.check('#n')].map(_ => _.rule), ['control-label'])
+        assert.ok($.a11y.check(document.body).every(_ => _.rule !== 'document-lang'))
+    })
+})
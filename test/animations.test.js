@@ -0,0 +1,58 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load, wait} = require('./helper')
+
+describe('animations', () => {
+    const window = load()
+    const {$, document} = window
+    // Arrays must come from the window, like they would in a browser
+    const data = o => window.JSON.parse(JSON.stringify(o))
+    let a
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="a">x</div><div class="b">1</div><div class="b">2</div>'
+        a = $('#a')
+    })
+
+    after(() => window.close())
+
+    it('queues animations per element and resolves with the instance', async () => {
+        const order = []
+        a.animate(data([{opacity: 1}, {opacity: 0.5}]), 30).then(() => order.push(1))
+        const p = a.animate(data({marginLeft: ['0px', '10px']}), {duration: 20}).then(() => order.push(2))
+        await p
+        assert.equal(await a.animate({opacity: 0.5}, 5), a)
+        assert.deepEqual(order, [1, 2])
+        assert.equal(a.get().style.opacity, '0.5')
+        assert.equal(a.get().style.marginLeft, '10px')
+    })
+
+    it('fades and toggles elements', async () => {
+        a.css('opacity', '0.5')
+        await a.fadeOut(20)
+        assert.equal(a.get().style.display, 'none')
+        await a.fadeIn(20)
+        assert.equal(a.get().style.display, '')
+        assert.equal(a.get().style.opacity, '0.5')
+        a.hide()
+        a.toggle()
+        assert.equal(a.get().style.display, '')
+    })
+
+    it('stops the queue, jumping to the end of the current animation', async () => {
+        const p = a.animate({width: '100px'}, 1000)
+        const q = a.animate({width: '10px'}, 1000)
+        await wait(10)
+        a.stop(true)
+        await p
+        await q
+        assert.equal(a.get().style.width, '100px')
+    })
+
+    it('animates every selected element', async () => {
+        const m = await $('.b').slideUp(10)
+        assert.ok(m.list().every(_ => _.get().style.display === 'none'))
+        await $('.b').slideDown(10)
+        assert.ok($('.b').list().every(_ => _.get().style.display === ''))
+    })
+})
@@ -0,0 +1,88 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('attributes, properties and data', () => {
+    const window = load()
+    const {$, document} = window
+    // Objects must come from the window, like they would in a browser
+    const data = o => window.JSON.parse(JSON.stringify(o))
+    let a
+
+    beforeEach(() => {
+        document.body.innerHTML = `<a id="l" data-count="3" data-open="true" data-opts='{"a":1}' data-name="x" data-user-id="007">x</a>
+            <input id="c" type="checkbox"><p class="p"></p><p class="p"></p>`
+        a = $('#l')
+    })
+
+    after(() => window.close())
+
+    it('reads and writes attributes', () => {
+        a.attr('href', '/x').attr({'aria-label': 'Go', title: null, hidden: true})
+        assert.equal(a.get().getAttribute('href'), '/x')
+        assert.equal(a.attr('aria-label'), 'Go')
+        assert.equal(a.attr('hidden'), '')
+        assert.equal(a.attr('nope'), null)
+        assert.equal(a.attr().href, '/x')
+        a.attr('hidden', false)
+        assert.equal(a.get().hasAttribute('hidden'), false)
+        a.removeAttr('href aria-label')
+        assert.equal(a.get().hasAttribute('href'), false)
+        assert.equal(a.get().hasAttribute('aria-label'), false)
+    })
+
+    it('reads and writes properties', () => {
+        $('#c').prop('checked', true)
+        assert.equal($('#c').prop('checked'), true)
+        assert.equal(document.querySelector('#c').checked, true)
+        assert.equal(document.querySelector('#c').hasAttribute('checked'), false)
+    })
+
+    it('parses data attributes into typed values', () => {
+        assert.equal(a.data('count'), 3)
+        assert.equal(a.data('open'), true)
+        assert.equal(a.data('opts').a, 1)
+        assert.equal(a.data('name'), 'x')
+        assert.equal(a.data('user-id'), '007')
+        assert.equal(a.data('userId'), '007')
+    })
+
+    it('keeps values that cannot be data attributes in a store', () => {
+        const fn = () => 1
+        const cyclic = new window.Object()
+        cyclic.self = cyclic
+        a.data('cb', fn).data('obj', data({b: [1, 2]})).data('cyclic', cyclic)
+        assert.equal(a.data('cb'), fn)
+        assert.ok(!('cb' in a.get().dataset))
+        assert.equal(a.get().dataset.obj, '{"b":[1,2]}')
+        assert.equal(a.data('obj').b[1], 2)
+        assert.equal(a.data('cyclic'), cyclic)
+        assert.equal(a.data().cb, fn)
+        assert.equal(a.data().count, 3)
+        assert.equal(a.clone(true, true).data('cb'), fn)
+        assert.equal(a.clone().data('cb'), undefined)
+        a.removeData('cb')
+        assert.equal(a.data('cb'), undefined)
+    })
+
+    it('applies to every selected element', () => {
+        $('.p').attr('role', 'note').data('k', 5)
+        assert.equal(document.querySelectorAll('[role=note]').length, 2)
+        assert.equal($('.p').attr('role'), 'note')
+        assert.equal($('.p').data('k'), 5)
+        assert.equal($('.p').prop('tagName'), 'P')
+        $('.p').removeAttr('role')
+        assert.equal(document.querySelector('[role]'), null)
+    })
+
+    it('writes data attributes with attr() in legacy mode', () => {
+        $.config.legacyAttr = true
+        try {
+            a.attr('foo', 'bar')
+            assert.equal(a.get().dataset.foo, 'bar')
+            assert.equal(a.attr('foo'), 'bar')
+        } finally {
+            $.config.legacyAttr = false
+        }
+    })
+})
@@ -0,0 +1,86 @@
+const {describe, it, beforeEach, afterEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQBinding', () => {
+    const window = load()
+    const {$, document} = window
+    // Arrays must come from the window, like they would in a browser
+    const data = o => window.JSON.parse(JSON.stringify(o))
+    const $$ = s => document.querySelectorAll(s)
+    let state
+
+    beforeEach(() => {
+        document.body.innerHTML = `<div id="p">
+            <h1 data-bind-text="user.name" data-bind-class="active: user.active, off: !user.active"></h1>
+            <a data-bind-attr="href: user.url, hidden: !user.active">x</a>
+            <input id="n" data-bind-value="user.name"><input id="age" type="number" data-bind-value="user.age">
+            <input id="cb" type="checkbox" data-bind-value="user.active">
+            <p id="msg" data-bind-if="user.active">on</p>
+            <ul data-bind-each="tag in user.tags"><li data-bind-text="tag.label" data-bind-class="tag.cls"></li></ul>
+        </div>`
+        state = $.bind('#p', data({user: {name: 'M K', age: 3, active: true, url: '/a', tags: [{label: 'a', cls: 'x'}, {label: 'b', cls: ['y', 'z']}]}}))
+    })
+
+    afterEach(() => $.unbind(state))
+
+    after(() => window.close())
+
+    it('renders the state into the bound elements', () => {
+        const h = document.querySelector('h1')
+        assert.equal(h.textContent, 'M K')
+        assert.equal(h.className, 'active')
+        assert.equal(document.querySelector('a').getAttribute('href'), '/a')
+        assert.equal(document.querySelector('a').hasAttribute('hidden'), false)
+        assert.equal(document.querySelector('#n').value, 'M K')
+        assert.equal($$('li').length, 2)
+        assert.equal($$('li')[1].className, 'y z')
+    })
+
+    it('updates the elements when the state changes', () => {
+        state.user.name = 'K M'
+        assert.equal(document.querySelector('h1').textContent, 'K M')
+        assert.equal(document.querySelector('#n').value, 'K M')
+        state.user.active = false
+        assert.equal(document.querySelector('h1').className, 'off')
+        assert.equal(document.querySelector('#msg'), null)
+        assert.equal(document.querySelector('a').hasAttribute('hidden'), true)
+        state.user.active = true
+        assert.ok(document.querySelector('#msg'))
+    })
+
+    it('updates the state when controls change', () => {
+        const n = document.querySelector('#n')
+        n.value = 'typed'
+        n.dispatchEvent(new window.Event('input'))
+        assert.equal(state.user.name, 'typed')
+        assert.equal(document.querySelector('h1').textContent, 'typed')
+        const age = document.querySelector('#age')
+        age.value = '42'
+        age.dispatchEvent(new window.Event('input'))
+        assert.equal(state.user.age, 42)
+        const cb = document.querySelector('#cb')
+        assert.equal(cb.checked, true)
+        cb.checked = false
+        cb.dispatchEvent(new window.Event('change'))
+        assert.equal(state.user.active, false)
+    })
+
+    it('renders lists and follows their changes', () => {
+        state.user.tags.push(data({label: 'c', cls: ''}))
+        assert.equal($$('li').length, 3)
+        state.user.tags[0].label = 'A'
+        assert.equal($$('li')[0].textContent, 'A')
+        state.user.tags = data([{label: 'only'}])
+        assert.equal($$('li').length, 1)
+        assert.equal($$('li')[0].textContent, 'only')
+        state.user.tags.splice(0, 1)
+        assert.equal($$('li').length, 0)
+    })
+
+    it('stops updating the elements once unbound', () => {
+        $.unbind(state)
+        state.user.name = 'gone'
+        assert.equal(document.querySelector('h1').textContent, 'M K')
+    })
+})
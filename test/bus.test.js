@@ -0,0 +1,81 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('custom events and MQBus', () => {
+    const window = load()
+    const {$, document} = window
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="w"><p id="p">x</p></div><i class="i"></i><i class="i"></i>'
+    })
+
+    after(() => window.close())
+
+    it('triggers custom events with a payload and a namespace', () => {
+        const got = []
+        $('#w').on('save', e => got.push(`any:${e.detail.a}:${e.namespace}`))
+        $('#w').on('save.editor', () => got.push('editor'))
+        $('#w').on('save.other', () => got.push('other'))
+        assert.equal($('#p').trigger('save', {a: 1}), true)
+        assert.deepEqual(got, ['any:1:', 'editor', 'other'])
+        got.length = 0
+        $('#p').trigger('save.editor', {a: 2})
+        assert.deepEqual(got, ['editor'])
+    })
+
+    it('returns false from NodeWrapper.trigger if a handler cancelled the event', () => {
+        $('#w').on('stop', e => e.preventDefault())
+        assert.equal($('#p').trigger('stop'), false)
+        assert.equal($('#p').trigger('stop', null, {cancelable: false}), true)
+        let n = 0
+        $('#w').on('quiet', () => n++)
+        $('#p').trigger('quiet', null, {bubbles: false})
+        assert.equal(n, 0)
+    })
+
+    it('returns a boolean from MQ.trigger, false if a handler cancelled the event on any element', () => {
+        let n = 0
+        $('.i').on('y', () => n++)
+        assert.equal($('.i').trigger('x'), true)
+        $('.i').first().on('y', e => e.preventDefault())
+        assert.equal($('.i').trigger('y'), false)
+        assert.equal(n, 2)
+    })
+
+    it('publishes topics to matching subscribers', () => {
+        const seen = []
+        const off = $.bus.on('cart.*.added', (d, t) => seen.push(`one:${t}`))
+        $.bus.on('cart.**', d => seen.push(`deep:${d}`))
+        $.bus.on('cart', () => seen.push('exact'))
+        $.bus.once('cart.item.added', () => seen.push('once'))
+        assert.equal($.bus.emit('cart.item.added', 5), 3)
+        $.bus.emit('cart.item.added', 6)
+        $.bus.emit('cart', 7)
+        assert.deepEqual(seen, ['one:cart.item.added', 'deep:5', 'once', 'one:cart.item.added', 'deep:6', 'deep:7', 'exact'])
+        off()
+        seen.length = 0
+        $.bus.emit('cart.x.added', 1)
+        assert.deepEqual(seen, ['deep:1'])
+        $.bus.off('cart.**')
+        $.bus.off('cart')
+        seen.length = 0
+        $.bus.emit('cart.x.added', 1)
+        assert.equal(seen.length, 0)
+        assert.throws(() => $.bus.emit('a.*'), {name: 'MQIllegalArgumentError'})
+    })
+
+    it('waits for topics and events', async () => {
+        setTimeout(() => $.bus.emit('auth.login', {u: 'a'}), 5)
+        assert.equal((await $.bus.once('auth.*')).u, 'a')
+        await assert.rejects($.bus.once('never', {timeout: 10}), {name: 'MQTimeoutError'})
+        await $.ready()
+        const ping = $.when('ping')
+        window.dispatchEvent(new window.Event('ping'))
+        assert.equal((await ping).type, 'ping')
+        const tap = $.when('tap', {target: '#p'})
+        $('#p').trigger('tap')
+        assert.equal((await tap).type, 'tap')
+        await assert.rejects($.when('never', {timeout: 10}), {name: 'MQTimeoutError'})
+    })
+})
@@ -0,0 +1,62 @@
+const {describe, it, beforeEach, afterEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('collections', () => {
+    const window = load()
+    const {$, document} = window
+    const MQ = window.eval('MQ')
+    const NodeWrapper = window.eval('NodeWrapper')
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div class="c">1</div><div class="c">2</div><div class="c">3</div><p id="one"></p>'
+    })
+
+    afterEach(() => {
+        $.config.strict = false
+    })
+
+    after(() => window.close())
+
+    it('returns a NodeWrapper for a single element, unless strict', () => {
+        assert.ok($('#one') instanceof NodeWrapper)
+        const s = $('#one', {strict: true})
+        assert.ok(s instanceof MQ)
+        assert.equal(s.length, 1)
+        assert.ok($('#none') instanceof MQ)
+        assert.equal($('#none').length, 0)
+    })
+
+    it('always returns an MQ in strict mode', () => {
+        $.config.strict = true
+        const one = $('#one')
+        assert.ok(one instanceof MQ)
+        assert.ok($('<div>') instanceof MQ)
+        assert.ok(one.parent() instanceof MQ)
+        assert.ok($('.c').eq(0) instanceof MQ)
+    })
+
+    it('selects by index and slices', () => {
+        const c = $('.c')
+        assert.equal(c.eq(-1).html(), '3')
+        assert.equal(c.eq(5).length, 0)
+        assert.equal(c.slice(1).length, 2)
+        assert.equal(c.nth(1).html(), '2')
+        assert.throws(() => c.nth(3), {name: 'MQIndexOutOfBoundsError'})
+        assert.equal(c.index(c.nth(2)), 2)
+        assert.equal(c.index(), 0)
+        assert.equal(c.nth(1).index(), 1)
+    })
+
+    it('combines selections with set operations', () => {
+        const c = $('.c')
+        const u = c.add('#one').add(c)
+        assert.equal(u.length, 4)
+        assert.equal(u.last().get().id, 'one')
+        assert.equal(c.intersect('div:nth-child(2)').html(), '2')
+        const copy = $(c)
+        assert.notEqual(copy, c)
+        assert.equal(copy.length, 3)
+        assert.equal(c.toArray()[0].tagName, 'DIV')
+    })
+})
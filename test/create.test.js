@@ -0,0 +1,58 @@
+const {describe, it, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('element creation', () => {
+    const window = load()
+    const {$} = window
+
+    after(() => window.close())
+
+    it('creates elements from tags and markup', () => {
+        assert.equal($('<div>').get().tagName, 'DIV')
+        const li = $('<li class="item">Hi</li>')
+        assert.equal(li.get().className, 'item')
+        assert.equal(li.html(), 'Hi')
+        assert.equal($('<li>a</li> text <li>b</li>').length, 2)
+    })
+
+    it('parses elements that need a specific parent', () => {
+        assert.equal($('<tr><td>1</td></tr>').get().tagName, 'TR')
+        assert.equal($('<td>1</td>').get().tagName, 'TD')
+        assert.equal($('<option>o</option>').get().tagName, 'OPTION')
+    })
+
+    it('expands self-closing tags, but not inside attribute values', () => {
+        const s = $('<my-el/><span x="a/>b"/>')
+        assert.equal(s.length, 2)
+        assert.equal(s.last().get().getAttribute('x'), 'a/>b')
+    })
+
+    it('applies element options', () => {
+        let clicks = 0
+        const b = $('<button>', {
+            attrs: {type: 'submit', disabled: false, 'aria-label': 'Go'},
+            dataset: {id: 5},
+            style: {backgroundColor: 'red'},
+            classes: 'x y',
+            // Arrays must come from the window, like they would in a browser
+            children: window.Array.of('<b>B</b>', 'text', $('<i>')),
+            on: {click: () => clicks++},
+            id: 'btn',
+        }).get()
+        assert.equal(b.getAttribute('type'), 'submit')
+        assert.equal(b.hasAttribute('disabled'), false)
+        assert.equal(b.getAttribute('aria-label'), 'Go')
+        assert.equal(b.dataset.id, '5')
+        assert.equal(b.style.backgroundColor, 'red')
+        assert.equal(b.className, 'x y')
+        assert.equal(b.id, 'btn')
+        assert.equal(b.innerHTML, '<b>B</b>text<i></i>')
+        b.click()
+        assert.equal(clicks, 1)
+    })
+
+    it('throws an MQElementCreationError for invalid markup', () => {
+        assert.throws(() => $('<  >'), {name: 'MQElementCreationError'})
+    })
+})
@@ -0,0 +1,101 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load, wait} = require('./helper')
+
+describe('dimensions', () => {
+    const window = load()
+    const {$, document} = window
+    const rect = {top: 10, left: 10, bottom: 20, right: 20, width: 10, height: 10}
+
+    beforeEach(() => {
+        document.body.innerHTML = `<div id="a" style="width: 100px; height: 50px; padding: 5px; border: 2px solid; margin: 3px"></div>
+            <div id="b" style="box-sizing: border-box; width: 100px; padding: 10px; border: 1px solid"></div>
+            <div id="s"><p id="t">x</p></div><img class="lazy"><img class="lazy">`
+    })
+
+    after(() => window.close())
+
+    it('reads sizes as numbers, with or without padding, border and margin', () => {
+        const a = $('#a')
+        assert.equal(a.width(), 100)
+        assert.equal(a.height(), 50)
+        assert.equal(a.innerWidth(), 110)
+        assert.equal(a.outerWidth(), 114)
+        assert.equal(a.outerWidth(true), 120)
+        assert.equal($('#b').width(), 78)
+        assert.equal($('div').width(), 100)
+    })
+
+    it('writes sizes, adding the edges of border-box elements', () => {
+        $('#b').width(50)
+        assert.equal(document.querySelector('#b').style.width, '72px')
+        $('#a').height('3em')
+        assert.equal(document.querySelector('#a').style.height, '3em')
+        $('div').width(10)
+        assert.equal(document.querySelector('#s').style.width, '10px')
+    })
+
+    it('reads offsets and positions', () => {
+        document.querySelector('#t').getBoundingClientRect = () => rect
+        assert.deepEqual({...$('#t').offset()}, {top: 10, left: 10})
+        assert.equal(typeof $('#t').position().top, 'number')
+        assert.equal($('div').offset().length, 3)
+    })
+
+    it('scrolls containers and elements', () => {
+        const s = document.querySelector('#s')
+        let last
+        s.scrollTo = o => last = o
+        $('#s').scrollTo({top: 40}, {offset: 10, behavior: 'instant'})
+        assert.equal(last.top, 30)
+        assert.equal(last.behavior, 'instant')
+        $('#s').scrollTo('#t', {offset: 10})
+        assert.equal(last.behavior, 'smooth')
+        assert.equal(typeof last.top, 'number')
+        const t = document.querySelector('#t')
+        t.scrollIntoView = function (o) {last = [o, this.style.scrollMarginTop]}
+        $('#t').scrollIntoView({offset: 60})
+        assert.equal(last[0].block, 'start')
+        assert.equal(last[1], '60px')
+        assert.equal(t.style.scrollMarginTop, '')
+    })
+
+    it('checks whether elements are in the viewport', () => {
+        assert.equal($('#a').isInViewport(), false)
+        document.querySelector('#t').getBoundingClientRect = () => rect
+        assert.equal($('#t').isInViewport(), true)
+        assert.equal($('#t').isInViewport(true), true)
+    })
+
+    it('reports elements once visible, with an IntersectionObserver', () => {
+        let report, observed = []
+        window.IntersectionObserver = class {
+            constructor(c) {report = c}
+            observe(e) {observed.push(e)}
+            unobserve(e) {observed = observed.filter(_ => _ !== e)}
+            disconnect() {observed = []}
+        }
+        try {
+            const seen = []
+            const o = $.onVisible('.lazy', n => seen.push(n.get()))
+            assert.equal(observed.length, 2)
+            report([{isIntersecting: true, target: observed[0]}, {isIntersecting: false, target: observed[1]}])
+            assert.equal(seen.length, 1)
+            assert.equal(observed.length, 1)
+            o.disconnect()
+            assert.equal(observed.length, 0)
+        } finally {
+            delete window.IntersectionObserver
+        }
+    })
+
+    it('reports elements right away without an IntersectionObserver', async () => {
+        const seen = []
+        const o = $.onVisible('.lazy', n => seen.push(n.get()))
+        assert.equal(seen.length, 2)
+        document.body.insertAdjacentHTML('beforeend', '<img class="lazy">')
+        await wait(0)
+        assert.equal(seen.length, 3)
+        o.disconnect()
+    })
+})
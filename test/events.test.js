@@ -0,0 +1,62 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('events', () => {
+    const window = load()
+    const {$, document} = window
+
+    beforeEach(() => {
+        document.body.innerHTML = '<ul id="l"><li class="a">x</li><li class="a">y</li></ul><div class="d"></div><div class="d"></div>'
+    })
+
+    after(() => window.close())
+
+    it('delegates handlers to descendants, including ones added later', () => {
+        const seen = []
+        $('#l').on('click', 'li', function (e) {seen.push([this.tagName, e.target.tagName])})
+        const li = document.createElement('li')
+        document.querySelector('#l').append(li)
+        li.innerHTML = '<b>b</b>'
+        li.firstChild.click()
+        document.querySelector('#l').click()
+        assert.deepEqual(seen, [['LI', 'B']])
+    })
+
+    it('runs handlers bound with once() a single time', () => {
+        let n = 0
+        $('#l').once('click', 'li', () => n++)
+        document.querySelector('li').click()
+        document.querySelector('li').click()
+        assert.equal(n, 1)
+    })
+
+    it('removes handlers by namespace, type or handler', () => {
+        const l = $('#l')
+        const li = document.querySelector('li')
+        let menu = 0, plain = 0
+        l.on('click.menu', 'li', () => menu++)
+        l.on('click', () => plain++)
+        li.click()
+        l.off('.menu')
+        li.click()
+        assert.equal(menu, 1)
+        assert.equal(plain, 2)
+        l.off()
+        li.click()
+        assert.equal(plain, 2)
+    })
+
+    it('binds and removes handlers on every selected element', () => {
+        let n = 0
+        const f = () => n++
+        $('.d').on('click mouseover', f)
+        $('.d').click()
+        assert.equal(n, 2)
+        $('.d').off('click', f)
+        $('.d').click()
+        assert.equal(n, 2)
+        document.querySelector('.d').dispatchEvent(new window.MouseEvent('mouseover'))
+        assert.equal(n, 3)
+    })
+})
@@ -0,0 +1,74 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('forms', () => {
+    const window = load()
+    const {$, document} = window
+    // Arrays must come from the window, like they would in a browser
+    const data = o => window.JSON.parse(JSON.stringify(o))
+
+    beforeEach(() => {
+        document.body.innerHTML = `<form id="f">
+            <input name="user[name]" value="M K"><input name="user[address][city]" value="Paris">
+            <input type="checkbox" name="tags[]" value="a" checked><input type="checkbox" name="tags[]" value="b">
+            <input type="radio" name="role" value="admin"><input type="radio" name="role" value="user" checked>
+            <select name="langs" multiple><option value="js" selected>js</option><option value="py" selected>py</option><option value="c">c</option></select>
+            <input name="off" value="x" disabled><button name="b">b</button>
+        </form>`
+    })
+
+    after(() => window.close())
+
+    it('serializes controls into nested objects', () => {
+        assert.deepEqual(JSON.parse(JSON.stringify($('#f').serializeObject())), {
+            user: {name: 'M K', address: {city: 'Paris'}},
+            tags: ['a'],
+            role: 'user',
+            langs: ['js', 'py'],
+        })
+    })
+
+    it('keeps every value when names mix keys and empty brackets', () => {
+        document.body.innerHTML = `<form id="f">
+            <input name="a[x]" value="1"><input name="a[]" value="2"><input name="a[]" value="3">
+            <input name="b" value="4"><input name="b[]" value="5">
+            <input name="c" value="6"><input name="c[y]" value="7">
+        </form>`
+        assert.deepEqual(JSON.parse(JSON.stringify($('#f').serializeObject())), {
+            a: {x: '1', 0: '2', 1: '3'},
+            b: ['4', '5'],
+            c: {0: '6', y: '7'},
+        })
+    })
+
+    it('serializes controls into a query string', () => {
+        assert.equal($('#f').serialize(), 'user%5Bname%5D=M+K&user%5Baddress%5D%5Bcity%5D=Paris&tags%5B%5D=a&role=user&langs=js&langs=py')
+    })
+
+    it('populates controls from nested objects', () => {
+        $('#f').populate(data({user: {address: {city: 'Rome'}}, tags: ['b'], role: 'admin', langs: ['c']}))
+        const o = $('#f').serializeObject()
+        assert.equal(o.user.name, 'M K')
+        assert.equal(o.user.address.city, 'Rome')
+        assert.deepEqual([...o.tags], ['b'])
+        assert.equal(o.role, 'admin')
+        assert.equal(o.langs, 'c')
+    })
+
+    it('skips names that would pollute prototypes', () => {
+        document.body.innerHTML = `<form id="f">
+            <input name="__proto__[polluted]" value="yes"><input name="a[constructor][prototype][x]" value="1">
+            <input name="u[name]" value="n"><input name="toString" value="t">
+        </form>`
+        const o = $('#f').serializeObject()
+        assert.equal(window.Object.prototype.polluted, undefined)
+        assert.equal({}.polluted, undefined)
+        assert.equal(o.u.name, 'n')
+        assert.equal(o.toString, 't')
+        assert.ok(!('a' in o))
+        $('#f').populate(window.JSON.parse('{"__proto__": {"polluted": "no"}, "u": {"name": "z"}}'))
+        assert.equal(document.querySelector('[name="__proto__[polluted]"]').value, 'yes')
+        assert.equal(document.querySelector('[name="u[name]"]').value, 'z')
+    })
+})
@@ -0,0 +1,40 @@
+const fs = require('node:fs')
+const path = require('node:path')
+const vm = require('node:vm')
+const {JSDOM} = require('jsdom')
+
+/**
+ * The source of MKQuery
+ */
+const source = fs.readFileSync(path.join(__dirname, '..', 'MKQuery.js'), 'utf8')
+
+/**
+ * Creates a jsdom window with MKQuery loaded, like a page including MKQuery.js
+ *
+ * The classes of MKQuery are globals of the window, like in a browser, so
+ * `window.eval('MQTimeoutError')` returns the MQTimeoutError class
+ *
+ * @param  {string} html (optional) The markup of the page
+ * @param  {Object} o    (optional) Additional options for JSDOM
+ *
+ * @return {Window} The window, with `$` as `window.$`
+ */
+function load(html='<!doctype html><html><body></body></html>', o={}) {
+    const dom = new JSDOM(html, {runScripts: 'outside-only', pretendToBeVisual: true, url: 'http://localhost/', ...o})
+    // Run as a script rather than an eval, so the classes stay in the global scope
+    new vm.Script(source, {filename: 'MKQuery.js'}).runInContext(dom.getInternalVMContext())
+    return dom.window
+}
+
+/**
+ * Returns a Promise that resolves after the given number of milliseconds
+ *
+ * @param  {number} t The number of milliseconds
+ *
+ * @return {Promise} Resolves after the time
+ */
+function wait(t) {
+    return new Promise(resolve => setTimeout(resolve, t))
+}
+
+module.exports = {source, load, wait}
@@ -0,0 +1,113 @@
+const {describe, it, beforeEach, afterEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQHotkeys', () => {
+    const window = load()
+    const {$, document} = window
+    const offs = []
+    const bind = (...a) => offs.push($.hotkeys.bind(...a))
+    const key = (k, o={}, t=document.body) => {
+        const e = new window.KeyboardEvent('keydown', {key: k, bubbles: true, cancelable: true, ...o})
+        t.dispatchEvent(e)
+        return e
+    }
+    let log
+
+    beforeEach(() => {
+        document.body.innerHTML = '<input id="i"><div id="ed" tabindex="0"><span id="in">x</span></div><div id="gone"></div>'
+        log = []
+    })
+
+    afterEach(() => {
+        offs.splice(0).forEach(_ => _())
+    })
+
+    after(() => window.close())
+
+    it('calls handlers for shortcuts with modifiers', () => {
+        bind('mod+k', (e, i) => log.push(i.keys), {description: 'Search'})
+        const e = key('k', /Mac/.test(window.navigator.platform) ? {metaKey: true} : {ctrlKey: true})
+        assert.deepEqual(log, ['mod+k'])
+        assert.ok(e.defaultPrevented)
+        key('k')
+        assert.equal(log.length, 1)
+        const s = $.hotkeys.list().find(_ => _.keys === 'mod+k')
+        assert.equal(s.description, 'Search')
+        assert.ok(s.label)
+    })
+
+    it('prefers sequences over single keys', () => {
+        bind('g i', () => log.push('inbox'))
+        bind('i', () => log.push('i'))
+        key('g')
+        key('i')
+        key('i')
+        assert.deepEqual(log, ['inbox', 'i'])
+        $.hotkeys.unbind('g i')
+        key('g')
+        key('i')
+        assert.deepEqual(log, ['inbox', 'i', 'i'])
+    })
+
+    it('matches shift with letters and names, and characters as typed', () => {
+        bind('shift+k', () => log.push('K'))
+        bind('shift+enter', () => log.push('shift+enter'))
+        bind('?', () => log.push('?'))
+        bind('!', () => log.push('!'))
+        key('K', {shiftKey: true})
+        key('k')
+        key('Enter', {shiftKey: true})
+        key('Enter')
+        key('?', {shiftKey: true})
+        key('!', {shiftKey: true})
+        assert.deepEqual(log, ['K', 'shift+enter', '?', '!'])
+    })
+
+    it('throws an MQIllegalArgumentError for shift with characters other than letters', () => {
+        for (const k of ['shift+1', 'shift+/', 'shift+plus', 'shift+comma']) {
+            assert.throws(() => $.hotkeys.bind(k, () => {}), {name: 'MQIllegalArgumentError', message: /Use the shifted character instead/}, k)
+        }
+        assert.throws(() => $.hotkeys.bind('hyper+k', () => {}), {name: 'MQIllegalArgumentError'})
+    })
+
+    it('matches the physical key of alt shortcuts', () => {
+        bind('alt+n', () => log.push('alt'))
+        key('˜', {altKey: true, code: 'KeyN'})
+        assert.deepEqual(log, ['alt'])
+    })
+
+    it('ignores keystrokes in inputs, unless allowed', () => {
+        bind('i', () => log.push('i'))
+        bind('esc', () => log.push('esc'), {allowInInputs: true})
+        key('i', {}, document.querySelector('#i'))
+        key('Escape', {}, document.querySelector('#i'))
+        assert.deepEqual(log, ['esc'])
+    })
+
+    it('only calls the shortcuts of the active scope', () => {
+        bind('esc', () => log.push('esc'))
+        bind('esc', () => log.push('modal'), {scope: 'modal'})
+        bind('i', () => log.push('i'))
+        $.hotkeys.pushScope('modal')
+        assert.equal($.hotkeys.scope(), 'modal')
+        key('Escape')
+        key('i')
+        assert.equal($.hotkeys.list('modal').length, 1)
+        assert.equal($.hotkeys.popScope(), 'default')
+        key('Escape')
+        assert.deepEqual(log, ['modal', 'esc'])
+        assert.equal($.hotkeys.list('modal')[0].active, false)
+    })
+
+    it('binds shortcuts to elements, released once removed', () => {
+        $('#ed').hotkeys('x', function () {log.push(this.id)})
+        key('x')
+        key('x', {}, document.querySelector('#in'))
+        assert.deepEqual(log, ['ed'])
+        $('#gone').hotkeys('y', () => {})
+        $('#gone').remove()
+        assert.ok(!$.hotkeys.list().some(_ => _.keys === 'y'))
+        $.hotkeys.unbind('x')
+    })
+})
@@ -0,0 +1,104 @@
+const {describe, it, before, after, beforeEach} = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('node:http')
+const vm = require('node:vm')
+const {JSDOM} = require('jsdom')
+const {source, load} = require('./helper')
+
+describe('MQHttp', () => {
+    let server, base, window, $
+    const hits = new Map()
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const u = new URL(req.url, 'http://localhost')
+            const n = (hits.get(u.pathname) || 0) + 1
+            hits.set(u.pathname, n)
+            res.setHeader('Content-Type', 'application/json')
+            if (u.pathname === '/page') {
+                res.setHeader('Content-Type', 'text/html')
+                res.end('<html><body><nav id="menu"><a>1</a></nav><p>other</p></body></html>')
+            }
+            else if (u.pathname === '/json') res.end(JSON.stringify({method: req.method, query: u.search}))
+            else if (u.pathname === '/missing') {
+                res.statusCode = 404
+                res.end('{"error":"missing"}')
+            }
+            else if (u.pathname === '/flaky' && n < 3) {
+                res.statusCode = 503
+                res.end('{}')
+            }
+            else if (u.pathname === '/slow' || (u.pathname === '/slow-twice' && n < 3)) setTimeout(() => res.end(`{"hits":${n}}`), 300)
+            else res.end(`{"hits":${n}}`)
+        })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        base = `http://127.0.0.1:${server.address().port}`
+        window = load()
+        // The fetch of Node only accepts its own signals and bodies
+        Object.assign(window, {fetch, AbortController, URLSearchParams, FormData})
+        $ = window.$
+    })
+
+    after(() => {
+        window.close()
+        server.closeAllConnections()
+        server.close()
+    })
+
+    beforeEach(() => hits.clear())
+
+    it('resolves to the parsed response', async () => {
+        const r = await $.http.get(`${base}/json`, {params: {a: 1, b: 'x y'}})
+        assert.equal(r.status, 200)
+        assert.deepEqual({...r.data}, {method: 'GET', query: '?a=1&b=x+y'})
+    })
+
+    it('rejects with an MQHttpError for error statuses, without retrying them', async () => {
+        await assert.rejects($.http.get(`${base}/missing`, {retries: 2, retryDelay: 1}), e => {
+            assert.equal(e.name, 'MQHttpError')
+            assert.equal(e.status, 404)
+            assert.equal(e.body.error, 'missing')
+            return true
+        })
+        assert.equal(hits.get('/missing'), 1)
+    })
+
+    it('retries server errors', async () => {
+        const r = await $.http.get(`${base}/flaky`, {retries: 3, retryDelay: 1})
+        assert.equal(r.data.hits, 3)
+        assert.equal(hits.get('/flaky'), 3)
+    })
+
+    it('rejects with an MQTimeoutError after the timeout', async () => {
+        await assert.rejects($.http.get(`${base}/slow`, {timeout: 50}), {name: 'MQTimeoutError'})
+    })
+
+    it('retries requests that time out', async () => {
+        const r = await $.http.get(`${base}/slow-twice`, {timeout: 100, retries: 2, retryDelay: 1})
+        assert.equal(r.data.hits, 3)
+    })
+
+    it('rejects with an MQAbortError when aborted, without retrying', async () => {
+        const c = new AbortController()
+        setTimeout(() => c.abort(), 30)
+        await assert.rejects($.http.get(`${base}/slow`, {signal: c.signal, retries: 2, retryDelay: 1}), {name: 'MQAbortError'})
+        assert.equal(hits.get('/slow'), 1)
+    })
+
+    it('loads fragments of documents into elements', async () => {
+        window.document.body.innerHTML = '<div id="s"></div><p class="t"></p><p class="t"></p>'
+        await $('#s').load(`${base}/page`, '#menu')
+        assert.equal(window.document.querySelector('#s').innerHTML, '<nav id="menu"><a>1</a></nav>')
+        await $('.t').load(`${base}/page`, 'p')
+        assert.equal(window.document.querySelectorAll('.t')[1].innerHTML, '<p>other</p>')
+    })
+
+    it('parses fragments with the window of the document they are loaded into', async () => {
+        // Loaded in Node itself, without any of the globals of a browser
+        const _$ = vm.runInNewContext(`${source}\n$`, {fetch, AbortController, URLSearchParams, FormData, setTimeout, clearTimeout, queueMicrotask, URL})
+        const dom = new JSDOM('<!doctype html><div id="s"></div>')
+        await _$.using(dom.window)('#s').load(`${base}/page`, '#menu')
+        assert.equal(dom.window.document.querySelector('#s').innerHTML, '<nav id="menu"><a>1</a></nav>')
+        dom.window.close()
+    })
+})
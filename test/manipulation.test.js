@@ -0,0 +1,83 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('manipulation', () => {
+    const window = load()
+    const {$, document} = window
+    const html = s => document.querySelector(s).innerHTML
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="a"><p class="x">1</p></div><div id="b"></div><ul class="t"><li>a</li></ul><ul class="t"><li>b</li></ul>'
+    })
+
+    after(() => window.close())
+
+    it('inserts content inside and around elements', () => {
+        $('#a').append('<span>s</span>', document.createElement('i'))
+        assert.equal(html('#a'), '<p class="x">1</p><span>s</span><i></i>')
+        $('#a').prepend('<b>0</b>')
+        assert.equal(document.querySelector('#a').firstElementChild.tagName, 'B')
+        $('#b').before('<hr>')
+        $('#b').after('<br>')
+        assert.equal(document.querySelector('#b').previousElementSibling.tagName, 'HR')
+        assert.equal(document.querySelector('#b').nextElementSibling.tagName, 'BR')
+        $('<p>q</p>').insertAfter('#a')
+        $('<p>w</p>').insertBefore('#a')
+        $('<p>h</p>').prependTo('#b')
+        assert.equal(document.querySelector('#a').nextElementSibling.textContent, 'q')
+        assert.equal(document.querySelector('#a').previousElementSibling.textContent, 'w')
+        assert.equal(document.querySelector('#b').firstElementChild.textContent, 'h')
+    })
+
+    it('clones content for every target but the last', () => {
+        $('.t').append('<li>z</li>')
+        assert.equal(document.querySelectorAll('li').length, 4)
+        const em = $('<em>e</em>')
+        em.appendTo('.t')
+        assert.equal(document.querySelectorAll('em').length, 2)
+        assert.equal(document.querySelectorAll('ul')[1].lastElementChild, em.get())
+    })
+
+    it('copies handlers to clones only when asked to', () => {
+        let n = 0
+        $('#a p').on('click', () => n++)
+        $('#a').clone(true, true).get().querySelector('p').click()
+        assert.equal(n, 1)
+        $('#a').clone().get().querySelector('p').click()
+        assert.equal(n, 1)
+    })
+
+    it('keeps handlers of detached elements and drops those of removed ones', () => {
+        let n = 0
+        $('#a p').on('click', () => n++)
+        $('#a p').detach().appendTo('#b')
+        document.querySelector('#b p').click()
+        assert.equal(n, 1)
+        const p = $('#b p')
+        p.remove()
+        p.get().click()
+        assert.equal(n, 1)
+        $('#a').append('<i>1</i>')
+        $('#a i').on('click', () => n++)
+        const i = document.querySelector('#a i')
+        $('#a').empty()
+        assert.equal(document.querySelector('#a').children.length, 0)
+        i.click()
+        assert.equal(n, 1)
+    })
+
+    it('wraps, unwraps and replaces elements', () => {
+        $('#a').empty().append('<i>1</i><i>2</i>')
+        $('#a i').wrapAll('<section><div class="in"></div></section>')
+        assert.equal(document.querySelector('#a > section > .in').children.length, 2)
+        $('#a i').unwrap('.in')
+        assert.equal(document.querySelector('#a > section').children.length, 2)
+        $('#a i').wrap('<u></u>')
+        assert.equal(document.querySelectorAll('#a u > i').length, 2)
+        $('#a u').replaceWith('<s>r</s>')
+        assert.equal(document.querySelectorAll('#a s').length, 2)
+        assert.equal(document.querySelector('#a u'), null)
+        assert.equal($('#a s').clone().length, 2)
+    })
+})
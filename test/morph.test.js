@@ -0,0 +1,68 @@
+const {describe, it, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQMorph', () => {
+    const window = load()
+    const {$, document} = window
+
+    after(() => window.close())
+
+    it('patches elements in place and moves keyed elements', () => {
+        document.body.innerHTML = '<div id="d"><h2 class="t">Title</h2><ul><li data-key="a">A</li><li data-key="b">B</li><li data-key="c">C</li></ul></div>'
+        const d = document.querySelector('#d')
+        const [h2, ul] = d.children
+        const [a, b, c] = ul.children
+        let clicks = 0
+        $(b).on('click', () => clicks++)
+        $('#d').morph('<h2 class="t big">New</h2><ul><li data-key="c">C</li><li data-key="b" title="t">B2</li><li data-key="d">D</li></ul>')
+        assert.equal(d.querySelector('h2'), h2)
+        assert.equal(h2.className, 't big')
+        assert.equal(h2.textContent, 'New')
+        assert.equal(d.querySelector('ul'), ul)
+        assert.equal(ul.children[0], c)
+        assert.equal(ul.children[1], b)
+        assert.equal(ul.children[2].textContent, 'D')
+        assert.equal(a.isConnected, false)
+        assert.equal(b.title, 't')
+        b.click()
+        assert.equal(clicks, 1)
+    })
+
+    it('keeps the value of the focused control', () => {
+        document.body.innerHTML = '<div id="d"><input id="q" value="x"></div>'
+        const q = document.querySelector('#q')
+        q.focus()
+        q.value = 'typed'
+        $('#d').morph('<input id="q" value="server">')
+        assert.equal(document.activeElement, q)
+        assert.equal(q.value, 'typed')
+        assert.equal(q.getAttribute('value'), 'server')
+        q.blur()
+        $('#d').morph('<input id="q" value="again">')
+        assert.equal(q.value, 'again')
+    })
+
+    it('removes elements missing from the new markup', () => {
+        document.body.innerHTML = '<div id="d"><h2>x</h2><p>y</p><p>z</p></div>'
+        $('#d').morph('<h2>x</h2>')
+        assert.equal(document.querySelector('#d').innerHTML, '<h2>x</h2>')
+    })
+
+    it('matches elements by a custom key attribute', () => {
+        document.body.innerHTML = '<ol id="o"><li data-id="1">1</li><li data-id="2">2</li></ol>'
+        const first = document.querySelector('#o li')
+        $('#o').morph('<li data-id="2">2</li><li data-id="1">1!</li>', {key: 'data-id'})
+        assert.equal(document.querySelector('#o').lastElementChild, first)
+        assert.equal(first.textContent, '1!')
+    })
+
+    it('morphs through html() with the morph option, sanitizing first', () => {
+        document.body.innerHTML = '<div id="d"><h2>old</h2></div>'
+        const h2 = document.querySelector('h2')
+        $('#d').html('<h2 onclick="alert(1)">new</h2>', {morph: true, sanitize: true})
+        assert.equal(document.querySelector('h2'), h2)
+        assert.equal(h2.hasAttribute('onclick'), false)
+        assert.equal(h2.textContent, 'new')
+    })
+})
@@ -0,0 +1,62 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load, wait} = require('./helper')
+
+describe('MQObserver', () => {
+    const window = load()
+    const {$, document} = window
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="root"><p class="w">1</p></div>'
+    })
+
+    after(() => window.close())
+
+    it('reports added, removed and changed elements until disconnected', async () => {
+        const seen = []
+        // Arrays must come from the window, like they would in a browser
+        const o = $.observe('.w', {added: true, removed: true, attributes: window.Array.of('data-x')}, (n, t) => seen.push(`${t}:${n.html()}`))
+        const d = document.createElement('div')
+        d.innerHTML = '<p class="w">2</p>'
+        document.body.append(d)
+        await wait(0)
+        document.querySelector('.w').setAttribute('data-x', '1')
+        document.querySelector('.w').setAttribute('data-y', '1')
+        await wait(0)
+        d.remove()
+        await wait(0)
+        assert.deepEqual(seen, ['added:2', 'attributes:1', 'removed:2'])
+        o.disconnect()
+        document.body.append(d)
+        await wait(0)
+        assert.equal(seen.length, 3)
+    })
+
+    it('throws an MQInvalidSelectorError for invalid selectors', () => {
+        assert.throws(() => $.observe('[[', () => {}), {name: 'MQInvalidSelectorError'})
+    })
+
+    it('waits for elements to appear', async () => {
+        const p = $.waitFor('#later', {timeout: 500})
+        setTimeout(() => document.body.insertAdjacentHTML('beforeend', '<span id="later">L</span>'), 10)
+        assert.equal((await p).html(), 'L')
+        assert.equal((await $.waitFor('#later')).html(), 'L')
+        await assert.rejects($.waitFor('#never', {timeout: 20}), {name: 'MQTimeoutError'})
+    })
+
+    it('keeps live selections in sync until disposed', async () => {
+        document.body.insertAdjacentHTML('beforeend', '<p class="w">2</p>')
+        const live = $('.w', {live: true})
+        assert.equal(live.length, 2)
+        document.body.insertAdjacentHTML('beforeend', '<p class="w">3</p>')
+        await wait(0)
+        assert.equal(live.length, 3)
+        document.querySelector('#root').remove()
+        await wait(0)
+        assert.equal(live.length, 2)
+        live.dispose()
+        document.body.insertAdjacentHTML('beforeend', '<p class="w">4</p>')
+        await wait(0)
+        assert.equal(live.length, 2)
+    })
+})
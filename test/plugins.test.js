@@ -0,0 +1,55 @@
+const {describe, it, beforeEach, afterEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQPlugins', () => {
+    const window = load()
+    const {$, document} = window
+    const removers = []
+
+    beforeEach(() => {
+        document.body.innerHTML = '<p>ab</p><p>cde</p><i id="x">q</i>'
+    })
+
+    afterEach(() => {
+        removers.splice(0).forEach(_ => _())
+    })
+
+    after(() => window.close())
+
+    it('adds methods to NodeWrapper and lifts them to MQ', () => {
+        removers.push($.fn.register('highlight', function (c) {this.css('color', c || 'red')}))
+        const ps = $('p')
+        const x = $('#x')
+        assert.equal(ps.highlight('blue'), ps)
+        assert.ok(ps.list().every(_ => _.get().style.color === 'blue'))
+        assert.equal(x.highlight(), x)
+        assert.equal(x.get().style.color, 'red')
+    })
+
+    it('returns the results as configured', () => {
+        removers.push($.fn.register('len', function () {return this.html().length}, {returns: 'array'}))
+        removers.push($.fn.register('firstLength', function () {return this.html().length}, {returns: 'first', mass: false}))
+        assert.deepEqual([...$('p').len()], [2, 3])
+        assert.equal($('#x').len(), 1)
+        assert.equal($('p').firstLength(), 2)
+    })
+
+    it('throws an MQPluginConflictError for names already in use', () => {
+        removers.push($.fn.register('highlight', () => {}))
+        assert.throws(() => $.fn.register('css', () => 1), {name: 'MQPluginConflictError'})
+        assert.throws(() => $.fn.register('highlight', () => 1), {name: 'MQPluginConflictError'})
+        assert.throws(() => $.fn.register('focus', () => 1), {name: 'MQPluginConflictError'})
+        assert.throws(() => $.extend({fresh() {}, highlight() {}}), {name: 'MQPluginConflictError'})
+        assert.equal($.fn.has('fresh'), false)
+    })
+
+    it('removes methods again', () => {
+        const remove = $.extend({five() {return 5}}, {returns: 'first'})
+        assert.equal($('p').five(), 5)
+        assert.deepEqual([...$.fn.list()], ['five'])
+        remove()
+        assert.ok(!('five' in $('p')))
+        assert.equal($.fn.has('five'), false)
+    })
+})
@@ -0,0 +1,125 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load, wait} = require('./helper')
+
+describe('MQPointer', () => {
+    const window = load()
+    const {$, document} = window
+    const $$ = s => document.querySelector(s)
+    // jsdom has no layout, so the boxes of the elements are given
+    const rect = (e, l, t, w, h) => e.getBoundingClientRect = () => ({left: l, top: t, right: l + w, bottom: t + h, width: w, height: h, x: l, y: t})
+    // jsdom has no PointerEvent either
+    const pointer = (type, x, y, t=document, id=1) => {
+        const e = new window.MouseEvent(type, {bubbles: true, cancelable: true, clientX: x, clientY: y, button: 0})
+        Object.defineProperty(e, 'pointerId', {value: id})
+        t.dispatchEvent(e)
+        return e
+    }
+    const drag = (t, from, to) => {
+        pointer('pointerdown', ...from, t)
+        pointer('pointermove', ...to)
+        pointer('pointerup', ...to)
+    }
+    let log
+
+    beforeEach(() => {
+        document.body.innerHTML = `<div id="box"><div id="d"><b class="h">h</b><i>x</i></div></div><div id="t1"></div><div id="t2"></div>
+            <ul id="l1"><li>a</li><li>b</li><li>c</li></ul><ul id="l2"><li>z</li></ul><div id="g"></div>`
+        rect($$('#box'), 0, 0, 200, 200)
+        rect($$('#d'), 10, 10, 20, 20)
+        rect($$('#t1'), 300, 0, 100, 100)
+        rect($$('#t2'), 300, 200, 100, 100)
+        log = []
+    })
+
+    after(() => window.close())
+
+    it('drags elements past a threshold, within their containment and on a grid', () => {
+        $('#d').draggable({containment: 'parent', grid: 10})
+        $('#d').on('dragstart.mq', () => log.push('start')).on('dragend.mq', e => log.push(`end:${e.detail.x},${e.detail.y}:${e.detail.dropped}`))
+        drag($$('#d i'), [15, 15], [16, 15])
+        assert.equal(log.length, 0)
+        drag($$('#d i'), [15, 15], [48, 500])
+        assert.deepEqual(log, ['start', 'end:30,170:false'])
+        assert.equal($$('#d').style.transform, 'translate(30px, 170px)')
+    })
+
+    it('only starts dragging from the handle, and not once dragstart is cancelled', () => {
+        $('#d').draggable({handle: '.h'}).on('dragstart.mq', () => log.push('start'))
+        drag($$('#d i'), [15, 15], [50, 50])
+        assert.equal(log.length, 0)
+        drag($$('#d .h'), [15, 15], [50, 50])
+        assert.deepEqual(log, ['start'])
+        $('#d').on('dragstart.mq', e => e.preventDefault())
+        drag($$('#d .h'), [50, 50], [90, 90])
+        assert.equal($$('#d').style.transform, 'translate(35px, 35px)')
+    })
+
+    it('drops on droppables that accept the element, or reverts', () => {
+        $('#d').draggable({revert: true}).on('dragend.mq', e => log.push(`end:${e.detail.dropped}`))
+        $('#t1').droppable({hoverClass: 'over'}).on('dragenter.mq', () => log.push('enter')).on('drop.mq', e => log.push(`drop:${e.detail.draggable.n.id}`))
+        $('#t2').droppable({accept: '.nope'})
+        pointer('pointerdown', 15, 15, $$('#d i'))
+        pointer('pointermove', 350, 50)
+        assert.ok($$('#t1').classList.contains('over'))
+        assert.ok($$('#t1').classList.contains('mq-drop-active'))
+        assert.ok(!$$('#t2').classList.contains('mq-drop-active'))
+        pointer('pointerup', 350, 50)
+        assert.deepEqual(log, ['enter', 'drop:d', 'end:true'])
+        assert.ok(!$$('#t1').classList.contains('over'))
+        log.length = 0
+        drag($$('#d i'), [15, 15], [350, 250])
+        assert.deepEqual(log, ['end:false'])
+        assert.equal($$('#d').style.transform, 'translate(335px, 35px)')
+    })
+
+    it('does not call handlers of the mq namespace for native events', () => {
+        let mq = 0, native = 0
+        $('#t1').droppable().on('drop.mq', () => mq++).on('drop', () => native++)
+        $('#d').draggable().on('dragstart.mq', () => mq++)
+        $$('#t1').dispatchEvent(new window.Event('drop', {bubbles: true}))
+        $$('#d').dispatchEvent(new window.Event('dragstart', {bubbles: true}))
+        assert.equal(mq, 0)
+        assert.equal(native, 1)
+        $('#t1').trigger('drop.mq')
+        assert.equal(mq, 1)
+    })
+
+    it('sorts items within and across lists of a group', () => {
+        const li = [...document.querySelectorAll('#l1 li')]
+        li.forEach((l, i) => rect(l, 0, 400 + i * 20, 100, 20))
+        rect($$('#l1'), 0, 400, 100, 60)
+        rect($$('#l2'), 200, 400, 100, 60)
+        rect($$('#l2 li'), 200, 400, 100, 20)
+        $('#l1, #l2').sortable({group: 'k'})
+        $('#l1').on('sortupdate.mq', e => log.push(`l1:${e.detail.oldIndex}>${e.detail.newIndex}`))
+        $('#l2').on('sortupdate.mq', e => log.push(`l2:${e.detail.item.n.textContent}:${e.detail.newIndex}`))
+        drag(li[0], [5, 405], [5, 455])
+        assert.equal($$('#l1').textContent, 'bca')
+        drag(li[1], [5, 405], [250, 450])
+        assert.equal($$('#l2').textContent, 'zb')
+        assert.deepEqual(log, ['l1:0>2', 'l2:b:1'])
+    })
+
+    it('recognizes swipes, long presses and pinches', async () => {
+        const g = $$('#g')
+        $('#g').gestures({longpress: {duration: 30}})
+        $('#g').on('swipe.mq', e => log.push(`swipe:${e.detail.direction}`)).on('longpress.mq', () => log.push('long')).on('pinch.mq', e => log.push(`pinch:${e.detail.scale}`))
+        assert.equal(g.style.touchAction, 'none')
+        pointer('pointerdown', 100, 100, g)
+        pointer('pointermove', 150, 105)
+        pointer('pointerup', 160, 105)
+        pointer('pointerdown', 100, 100, g)
+        await wait(60)
+        pointer('pointerup', 100, 100)
+        pointer('pointerdown', 100, 100, g, 1)
+        pointer('pointerdown', 200, 100, g, 2)
+        pointer('pointermove', 300, 100, document, 2)
+        pointer('pointerup', 300, 100, document, 2)
+        pointer('pointerup', 0, 100, document, 1)
+        assert.deepEqual(log, ['swipe:right', 'long', 'pinch:2'])
+        $('#g').gestures(false)
+        drag(g, [100, 100], [200, 100])
+        assert.equal(log.length, 3)
+    })
+})
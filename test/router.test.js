@@ -0,0 +1,107 @@
+const {describe, it, beforeEach, afterEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load, wait} = require('./helper')
+
+describe('MQRouter', () => {
+    const window = load()
+    const {$, document, history, location} = window
+    let router, app
+
+    beforeEach(() => {
+        history.replaceState(null, '', '/')
+        document.body.innerHTML = '<main id="app"></main><a id="user" data-route href="/users/7?tab=a#top">u</a><a id="bad" data-route href="/users/%E0%A4%A">x</a>'
+        app = document.querySelector('#app')
+        router = new $.router.constructor()
+        router
+            .route('/', () => '<h1>Home</h1>')
+            .route('/users/:id', ({params, query, hash}) => `user ${params.id} ${query.tab || ''} ${hash}`.trim())
+            .route('/posts/:slug?', ({params}) => `post ${params.slug || 'none'}`)
+            .route('/files/*', ({params}) => `file ${params['*']}`)
+            .route('/login', () => 'login')
+            .route('/admin', () => 'admin')
+            .route('/boom', () => {throw new Error('boom')})
+            .notFound(({path}) => `nothing at ${path}`)
+            .before(to => to.path === '/admin' ? '/login' : to.path !== '/blocked')
+        $(app).outlet(router)
+    })
+
+    afterEach(() => router.stop())
+
+    after(() => window.close())
+
+    it('renders the route of the current location when started', async () => {
+        const c = await router.start()
+        assert.equal(c.path, '/')
+        assert.equal(app.innerHTML, '<h1>Home</h1>')
+    })
+
+    it('navigates to routes with params, optional params and wildcards', async () => {
+        await router.start()
+        await router.navigate('/users/42?tab=b')
+        assert.equal(location.pathname, '/users/42')
+        assert.equal(app.textContent, 'user 42 b')
+        assert.equal(router.current.params.id, '42')
+        await router.navigate('/posts')
+        assert.equal(app.textContent, 'post none')
+        await router.navigate('/posts/hello%20world')
+        assert.equal(app.textContent, 'post hello world')
+        await router.navigate('/files/a/b.txt')
+        assert.equal(app.textContent, 'file a/b.txt')
+        await router.navigate('/nope')
+        assert.equal(app.textContent, 'nothing at /nope')
+    })
+
+    it('redirects and cancels navigations from before hooks', async () => {
+        await router.start()
+        const c = await router.navigate('/admin')
+        assert.equal(c.path, '/login')
+        assert.equal(location.pathname, '/login')
+        assert.equal(await router.navigate('/blocked'), null)
+        assert.equal(location.pathname, '/login')
+    })
+
+    it('navigates on clicks on links and on popstate', async () => {
+        await router.start()
+        document.querySelector('#user').click()
+        await wait(10)
+        assert.equal(app.textContent, 'user 7 a top')
+        history.pushState(null, '', '/posts/x')
+        window.dispatchEvent(new window.PopStateEvent('popstate', {state: null}))
+        await wait(10)
+        assert.equal(app.textContent, 'post x')
+    })
+
+    it('navigates on hashchange in hash mode', async () => {
+        location.hash = '#/users/1'
+        await router.start({mode: 'hash', links: false})
+        assert.equal(app.textContent, 'user 1')
+        await router.navigate('/posts/a')
+        assert.equal(location.hash, '#/posts/a')
+        history.replaceState(null, '', '#/posts/b')
+        window.dispatchEvent(new window.HashChangeEvent('hashchange'))
+        await wait(10)
+        assert.equal(app.textContent, 'post b')
+        assert.equal(router.href('/x'), '#/x')
+    })
+
+    it('treats malformed params as not found', async () => {
+        await router.start()
+        document.querySelector('#bad').click()
+        await wait(10)
+        assert.equal(app.textContent, 'nothing at /users/%E0%A4%A')
+    })
+
+    it('reports the errors of link and history navigations to the error hooks', async () => {
+        const errors = []
+        router.error((err, u) => errors.push(`${err.message} ${u}`))
+        await router.start()
+        document.body.insertAdjacentHTML('beforeend', '<a id="boom" data-route href="/boom">b</a>')
+        document.querySelector('#boom').click()
+        await wait(10)
+        history.pushState(null, '', '/boom')
+        window.dispatchEvent(new window.PopStateEvent('popstate'))
+        await wait(10)
+        assert.deepEqual(errors, ['boom /boom', 'boom /boom'])
+        await assert.rejects(router.navigate('/boom'), {message: 'boom'})
+    })
+})
@@ -0,0 +1,50 @@
+const {describe, it, after, afterEach} = require('node:test')
+const assert = require('node:assert/strict')
+const {load, wait} = require('./helper')
+
+describe('MQSanitizer', () => {
+    const window = load('<!doctype html><html><body><div id="d"></div></body></html>')
+    const {$, document} = window
+
+    afterEach(() => {
+        $.config.sanitize = false
+    })
+
+    after(() => window.close())
+
+    it('removes scripts, event handlers and javascript: URLs, and reports them', () => {
+        const r = $.sanitize('<img src="x" onerror="alert(1)"><a href=" javascript:alert(1)">l</a><script>bad()</script><b style="color:red" data-x="1">ok</b><!-- c -->')
+        assert.equal(r.html, '<img src="x"><a>l</a><b data-x="1">ok</b>')
+        assert.deepEqual([...r.removed].map(_ => `${_.type}:${_.name}`), ['attribute:onerror', 'attribute:href', 'element:script', 'attribute:style', 'comment:#comment'])
+    })
+
+    it('removes the directives of data binding and routing, unless allowed explicitly', () => {
+        assert.equal($.sanitize('<b data-bind-text="secret" data-route="/x" data-id="1">b</b>').html, '<b data-id="1">b</b>')
+        assert.equal($.sanitize('<a data-route="/y">y</a>', {attributes: {a: ['data-route']}}).html, '<a data-route="/y">y</a>')
+    })
+
+    it('parses the markup inertly', async () => {
+        let ran = false
+        window.__ran = () => ran = true
+        $.sanitize('<img src="x" onerror="__ran()"><script>__ran()</script>')
+        await wait(20)
+        assert.equal(ran, false)
+    })
+
+    it('keeps the policy used for Trusted Types private', () => {
+        assert.ok(!('__trusted__' in $.sanitizer))
+    })
+
+    it('sanitizes html() when asked to, or when enabled globally', () => {
+        const d = $('#d')
+        d.html('<i onclick="x()">i</i>')
+        assert.equal(document.querySelector('#d').innerHTML, '<i onclick="x()">i</i>')
+        d.html('<i onclick="x()">i</i>', {sanitize: true})
+        assert.equal(document.querySelector('#d').innerHTML, '<i>i</i>')
+        $.config.sanitize = true
+        d.html('<u>u</u><i onclick="x()">i</i>', {sanitize: {elements: ['i']}})
+        assert.equal(document.querySelector('#d').innerHTML, 'u<i>i</i>')
+        d.unsafeHtml('<i onclick="x()">i</i>')
+        assert.equal(document.querySelector('#d').innerHTML, '<i onclick="x()">i</i>')
+    })
+})
@@ -0,0 +1,82 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQScheduler', () => {
+    const window = load()
+    const {$, document} = window
+    let d
+
+    beforeEach(() => {
+        $.config.syncBatch = false
+        document.body.innerHTML = '<div id="d"></div><p class="c"></p><p class="c"></p>'
+        d = document.querySelector('#d')
+    })
+
+    after(() => window.close())
+
+    it('queues the writes of NodeWrapper instances inside a batch', async () => {
+        const p = $.batch(() => {
+            $('#d').css('color', 'red').addClass('x').attr('title', 't').data('k', 1).width(50).height(7)
+            assert.equal(d.style.color, '')
+            assert.equal(d.className, '')
+            assert.equal(d.title, '')
+            assert.equal(d.style.width, '')
+            assert.equal(d.style.height, '')
+        })
+        assert.equal(d.style.width, '')
+        await p
+        assert.equal(d.style.color, 'red')
+        assert.equal(d.className, 'x')
+        assert.equal(d.title, 't')
+        assert.equal($('#d').data('k'), 1)
+        assert.equal(d.style.width, '50px')
+        assert.equal(d.style.height, '7px')
+    })
+
+    it('queues the writes of MQ instances inside a batch', async () => {
+        const p = $.batch(() => {
+            $('.c').css('color', 'red').width(9).height(3)
+            assert.ok([...document.querySelectorAll('.c')].every(_ => !_.style.color && !_.style.width && !_.style.height))
+        })
+        await p
+        assert.ok([...document.querySelectorAll('.c')].every(_ => _.style.color === 'red' && _.style.width === '9px' && _.style.height === '3px'))
+    })
+
+    it('writes right away outside of a batch', () => {
+        $('#d').css('color', 'blue').width(4)
+        assert.equal(d.style.color, 'blue')
+        assert.equal(d.style.width, '4px')
+    })
+
+    it('flushes inside a batch without queueing the writes again', async () => {
+        await $.batch(() => {
+            $('#d').addClass('y')
+            $.flush()
+            assert.equal(d.className, 'y')
+        })
+    })
+
+    it('queues the writes of deferred instances until flushed', async () => {
+        $('.c').defer().addClass('stale')
+        assert.equal(document.querySelectorAll('.stale').length, 0)
+        await $.flush()
+        assert.equal(document.querySelectorAll('.stale').length, 2)
+    })
+
+    it('runs the queued reads before the queued writes', async () => {
+        const log = []
+        const w = $.mutate(() => log.push('write'))
+        const r = $.measure(() => log.push('read'))
+        await Promise.all([w, r])
+        assert.deepEqual(log, ['read', 'write'])
+    })
+
+    it('runs right away with syncBatch', async () => {
+        $.config.syncBatch = true
+        const p = $.batch(() => $('#d').css('color', 'green'))
+        assert.equal(d.style.color, 'green')
+        await p
+        assert.equal(await $.measure(() => 1), 1)
+    })
+})
@@ -0,0 +1,75 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQSelector', () => {
+    const window = load()
+    const {$, document} = window
+
+    beforeEach(() => {
+        document.body.innerHTML = `<ul id="u"><li>a</li><li class="d">Done 1</li><li>c</li><li class="d">Done 2</li></ul>
+            <form id="f"><input name="r" type="radio" value="1"><input name="r" type="radio" value="2" checked><select><option>x</option></select><textarea></textarea><button>b</button><span>s</span></form>
+            <div class="box"><img class="icon"></div><div class="box"><p>no</p></div>`
+    })
+
+    after(() => window.close())
+
+    it('supports positional pseudo-classes', () => {
+        assert.equal($('li:eq(1)').html(), 'Done 1')
+        assert.equal($('li:eq(-1)').html(), 'Done 2')
+        assert.equal($('li:first').html(), 'a')
+        assert.equal($('li:last').html(), 'Done 2')
+        assert.equal($('li:even').length, 2)
+        assert.equal($('li:odd').length, 2)
+        assert.equal($('li:lt(2)').length, 2)
+        assert.equal($('li:gt(1)').length, 2)
+    })
+
+    it('supports content and form pseudo-classes', () => {
+        assert.equal($('li:contains("Done")').length, 2)
+        assert.equal($('li:contains(Done 2)').html(), 'Done 2')
+        assert.equal($('li.d:contains(Done):last').html(), 'Done 2')
+        assert.equal($(':input', {root: '#f'}).length, 5)
+        assert.equal($('#f > :input:first').get().value, '1')
+        assert.equal($('[name=r]:checked').get().value, '2')
+        // jsdom has no layout, so no element is visible
+        assert.equal($('li:hidden').length, 4)
+        assert.equal($('li:visible').length, 0)
+    })
+
+    it('nests custom pseudo-classes in native ones and in groups', () => {
+        assert.equal($('li:not(:contains(Done))').length, 2)
+        assert.equal($('.box:has(.icon)').length, 1)
+        assert.equal($('.box:has(> img:first)').length, 1)
+        assert.equal($('ul li:eq(0), .box:last').length, 2)
+    })
+
+    it('is used by filtering, traversal and delegation', () => {
+        assert.equal($('li').filter(':even').first().html(), 'a')
+        assert.equal($('li').filter(':even').length, 2)
+        assert.ok($('li').is(':contains(c)'))
+        assert.ok(!$('li').is(':contains(zz)'))
+        assert.equal($('li').not(':first').length, 3)
+        assert.equal($('#u').findAll('li:eq(2)').html(), 'c')
+        assert.equal($('.d').first().closest('ul:has(.d)').get().id, 'u')
+        let hits = 0
+        $('#u').on('click', 'li:contains(Done)', () => hits++)
+        document.querySelectorAll('li')[1].click()
+        document.querySelectorAll('li')[0].click()
+        assert.equal(hits, 1)
+    })
+
+    it('registers and unregisters pseudo-classes', () => {
+        $.expr.register('done', e => e.classList.contains('d'))
+        assert.equal($('li:done').length, 2)
+        $.expr.unregister('done')
+        assert.throws(() => $('li:done'), {name: 'MQInvalidSelectorError'})
+    })
+
+    it('throws an MQInvalidSelectorError describing the problem', () => {
+        assert.throws(() => $('li:foo'), {name: 'MQInvalidSelectorError', message: /:foo/})
+        for (const s of ['li:eq(1', 'div,', 'a[href', 'li:contains(x) ]']) {
+            assert.throws(() => $(s), {name: 'MQInvalidSelectorError'}, s)
+        }
+    })
+})
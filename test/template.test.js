@@ -0,0 +1,67 @@
+const {describe, it, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQTemplate', () => {
+    const window = load()
+    const {$, document} = window
+    const render = (t, d) => $.template(t)(window.JSON.parse(JSON.stringify(d || {})))
+
+    after(() => window.close())
+
+    it('escapes values, unless written with triple braces', () => {
+        assert.equal(render('<p>{{ name }} {{{ html }}}</p>', {name: '<b>&"', html: '<i>x</i>'}), '<p>&lt;b&gt;&amp;&quot; <i>x</i></p>')
+    })
+
+    it('renders each and if blocks, with their else blocks', () => {
+        assert.equal(render('{{#each items}}{{@index}}:{{this}}{{#if @last}}.{{else}},{{/if}}{{else}}none{{/each}}', {items: ['a', 'b']}), '0:a,1:b.')
+        assert.equal(render('{{#each items}}x{{else}}none{{/each}}', {items: []}), 'none')
+        assert.equal(render('{{#each o}}{{@key}}={{.}};{{/each}}', {o: {a: 1, b: 2}}), 'a=1;b=2;')
+        assert.equal(render('{{#if list}}y{{else}}n{{/if}}', {list: []}), 'n')
+    })
+
+    it('looks paths up in the enclosing contexts', () => {
+        assert.equal(render('{{#each users}}{{name}}@{{team}}|{{../team}} {{/each}}', {team: 'T', users: [{name: 'u'}, {name: 'v', team: 'X'}]}), 'u@T|T v@X|T ')
+        assert.equal(render('{{a.b.c}}|{{missing.x}}', {a: {b: {c: 0}}}), '0|')
+    })
+
+    it('only looks up own properties', () => {
+        assert.equal(render('{{constructor}}|{{a.toString}}', {a: {}}), '|')
+        assert.equal(render('{{#each items}}{{name}}{{/each}}', {name: 'outer', items: [{name: 'x'}, {}]}), 'xouter')
+    })
+
+    it('calls functions with the object they belong to as this', () => {
+        const d = {v: 3, fn() {return this.v}, user: {first: 'A', last: 'B', full() {return `${this.first} ${this.last}`}}}
+        assert.equal($.template('{{fn}}|{{user.full}}')(d), '3|A B')
+    })
+
+    it('renders partials', () => {
+        $.template.partial('row', '<li>{{title}}</li>')
+        assert.equal(render('<ul>{{#each todos}}{{> row}}{{/each}}</ul>', {todos: [{title: 'a'}, {title: '<b>'}]}), '<ul><li>a</li><li>&lt;b&gt;</li></ul>')
+        assert.equal(render('{{> row first}}', {first: {title: 'F'}}), '<li>F</li>')
+    })
+
+    it('throws an MQTemplateError with the position of the problem', () => {
+        assert.throws(() => $.template('<ul>\n  {{#each items}}\n<li>'), {
+            name: 'MQTemplateError',
+            message: 'Invalid template: unclosed "{{#each}}" at line 2, column 3',
+            line: 2,
+            column: 3,
+        })
+        assert.throws(() => $.template('{{a b}}'), {message: 'Invalid template: invalid expression "a b" at line 1, column 1'})
+    })
+
+    it('renders into elements', () => {
+        document.body.innerHTML = '<template id="tpl"><h2>{{title}}</h2></template><div id="out"></div><div class="m"></div><div class="m"></div>'
+        $('#out').render($.template.fromElement('#tpl'), {title: 'Hi'})
+        assert.equal(document.querySelector('#out').innerHTML, '<h2>Hi</h2>')
+        $('.m').render('{{x}}', {x: '<i>'})
+        assert.equal(document.querySelectorAll('.m')[1].innerHTML, '&lt;i&gt;')
+    })
+
+    it('compiles partials of template elements, with or without spaces', () => {
+        $.template.partial('item', '<li>{{title}}</li>')
+        document.body.innerHTML = '<template id="tpl">{{> item}}{{ > item }}</template>'
+        assert.equal($.template.fromElement('#tpl')({title: 'a'}), '<li>a</li><li>a</li>')
+    })
+})
@@ -0,0 +1,58 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('traversal', () => {
+    const window = load()
+    const {$, document} = window
+    const ids = s => [...s.toArray()].map(_ => _.id || _.tagName)
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="r"><ul id="l"><li class="a">x</li><li class="b">y</li><li class="a"><span>z</span></li></ul></div>'
+    })
+
+    after(() => window.close())
+
+    it('finds parents, children and siblings', () => {
+        const l = $('#l')
+        const b = l.children('.b')
+        assert.equal(l.children().length, 3)
+        assert.equal(l.children('.a').length, 2)
+        assert.equal(b.siblings().length, 2)
+        assert.equal(b.next().html(), '<span>z</span>')
+        assert.equal(b.prev().html(), 'x')
+        assert.equal(b.parent().get().id, 'l')
+        assert.equal(b.closest('div').get().id, 'r')
+        assert.equal(l.closest('p').length, 0)
+        assert.equal(l.findAll('li').length, 3)
+        assert.throws(() => l.findAll('[['), {name: 'MQInvalidSelectorError'})
+    })
+
+    it('returns ancestors from the closest to the furthest', () => {
+        assert.deepEqual(ids($('.b').parents()), ['l', 'r', 'BODY', 'HTML'])
+        assert.deepEqual(ids($('span').parents('ul, div')), ['l', 'r'])
+        assert.deepEqual(ids($('li').parents()), ['l', 'r', 'BODY', 'HTML'])
+        assert.equal($('.b').parents().first().get().id, 'l')
+    })
+
+    it('keeps the order of the selection in subsets', () => {
+        const p = $('.b').parents()
+        assert.deepEqual(ids(p.filter('ul, div')), ['l', 'r'])
+        assert.deepEqual(ids(p.not('ul')), ['r', 'BODY', 'HTML'])
+        assert.deepEqual(ids(p.slice(1, 3)), ['r', 'BODY'])
+        assert.deepEqual(ids(p.intersect('#r, #l')), ['l', 'r'])
+        assert.deepEqual(ids(p.has('span')), ['l', 'r', 'BODY', 'HTML'])
+    })
+
+    it('filters selections and returns to the previous one', () => {
+        const lis = $('li')
+        assert.equal(lis.filter('.a').length, 2)
+        assert.equal(lis.filter((e, i) => i === 1).get().className, 'b')
+        assert.equal(lis.not('.a').end(), lis)
+        assert.ok(lis.is('.b'))
+        assert.ok(!lis.is('p'))
+        assert.equal(lis.has('span').get().className, 'a')
+        assert.equal(lis.parent().get().id, 'l')
+        assert.equal($('#l').children().end().get(), document.querySelector('#l'))
+    })
+})
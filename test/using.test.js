@@ -0,0 +1,50 @@
+const {describe, it, after} = require('node:test')
+const assert = require('node:assert/strict')
+const vm = require('node:vm')
+const {JSDOM} = require('jsdom')
+const {source, wait} = require('./helper')
+
+// Loaded in Node itself, without any of the globals of a browser
+const $ = vm.runInThisContext(`${source}\n$`)
+
+describe('$.using', () => {
+    const {window} = new JSDOM('<!doctype html><ul id="a"><li>1</li><li class="x">2</li></ul><ul id="b"><li>3</li></ul><div id="d" style="display: none"></div>')
+    const $w = $.using(window)
+
+    after(() => window.close())
+
+    it('only binds to windows and documents', () => {
+        assert.throws(() => $.using({}), {name: 'MQIllegalArgumentError'})
+        assert.equal(typeof $.using(window.document), 'function')
+    })
+
+    it('selects and creates elements in the bound document', () => {
+        assert.equal($w('li').length, 3)
+        assert.equal($w('li', {root: '#b'}).get().textContent, '3')
+        assert.equal($w('li:contains(2)').get().className, 'x')
+        assert.equal($w('<p>').get().ownerDocument, window.document)
+        assert.throws(() => $w('li[['), {name: 'MQInvalidSelectorError'})
+    })
+
+    it('reads styles and dispatches events using the window of the document', () => {
+        assert.equal($w('#d').css('display'), 'none')
+        $w('#d').show()
+        assert.equal($w('#d').css('display'), 'block')
+        let clicks = 0
+        $w('#a').on('click', 'li', () => clicks++)
+        $w('li.x').trigger('click')
+        assert.equal(clicks, 1)
+    })
+
+    it('observes the bound document', async () => {
+        const added = []
+        const o = $w.observe('em', n => added.push(n))
+        const found = $w.waitFor('.late', {timeout: 1000})
+        $w('#b').append('<em class="late"></em>')
+        assert.equal((await found).get().className, 'late')
+        await wait(10)
+        o.disconnect()
+        assert.equal(added.length, 1)
+        await $w.ready()
+    })
+})
@@ -0,0 +1,92 @@
+const {describe, it, beforeEach, after} = require('node:test')
+const assert = require('node:assert/strict')
+const {load} = require('./helper')
+
+describe('MQVirtualList', () => {
+    const window = load()
+    const {$, document} = window
+    // Arrays must come from the window, like they would in a browser
+    const items = (n, f) => window.Array.from({length: n}, (_, i) => f(i))
+    const rows = () => [...document.querySelectorAll('#c .row')]
+    const texts = () => rows().map(_ => _.textContent)
+    const render = (item, i, row) => {
+        row = row || $('<div class="row">')
+        row.get().textContent = item
+        return row
+    }
+    let c, top
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="c"><p>old</p></div>'
+        c = document.querySelector('#c')
+        top = 0
+        // jsdom has no layout, so the container scrolls by hand
+        Object.defineProperty(c, 'scrollTop', {get: () => top, set: v => {
+            top = v
+            c.dispatchEvent(new window.Event('scroll'))
+        }})
+        Object.defineProperty(c, 'clientHeight', {get: () => 100})
+    })
+
+    after(() => window.close())
+
+    it('only renders the visible rows and the overscan', () => {
+        const ranges = []
+        let created = 0
+        $(c).on('rangechange.mq', e => ranges.push(`${e.detail.start}-${e.detail.end}`))
+        const list = $.virtualList('#c', {items: items(10000, i => `Item ${i}`), rowHeight: 20, overscan: 2, render: (item, i, row) => {
+            if (!row) created++
+            return render(item, i, row)
+        }})
+        assert.equal(c.querySelector('p'), null)
+        assert.equal(c.firstChild.style.height, '200000px')
+        assert.equal(rows().length, 7)
+        assert.deepEqual(ranges, ['0-5'])
+        c.scrollTop = 1000
+        assert.equal(rows().length, 9)
+        assert.ok(texts().includes('Item 50'))
+        assert.ok(texts().includes('Item 56'))
+        assert.ok(!texts().includes('Item 0'))
+        assert.equal(created, 9)
+        assert.equal(list.range.start, 50)
+        assert.equal(list.range.end, 55)
+        const row = rows().find(_ => _.textContent === 'Item 50')
+        assert.equal(row.style.position, 'absolute')
+        assert.equal(row.style.top, '1000px')
+        list.destroy()
+        assert.equal(c.children.length, 0)
+    })
+
+    it('scrolls to items and replaces them', () => {
+        const list = $.virtualList(c, {items: items(10000, i => `Item ${i}`), rowHeight: 20, render})
+        list.scrollToIndex(9999, {align: 'end'})
+        assert.equal(top, 200000 - 100)
+        assert.ok(texts().includes('Item 9999'))
+        list.scrollToIndex(100, {align: 'center'})
+        assert.equal(top, 1960)
+        list.setItems(items(10000, i => `ITEM ${i}`))
+        assert.equal(top, 1960)
+        assert.ok(texts().includes('ITEM 100'))
+        list.setItems(items(3, i => `Item ${i}`))
+        assert.equal(rows().length, 3)
+        assert.equal(c.firstChild.style.height, '60px')
+        assert.throws(() => list.scrollToIndex(5), {name: 'MQIndexOutOfBoundsError'})
+        list.destroy()
+    })
+
+    it('positions rows of measured heights', () => {
+        const h = i => 10 + (i % 3) * 10
+        const list = $.virtualList(c, {items: items(100, i => i), measure: (row, item) => h(item), estimatedHeight: 20, overscan: 0, render})
+        let y = 0
+        for (const row of rows()) {
+            assert.equal(row.style.top, `${y}px`)
+            y += h(+row.textContent)
+        }
+        assert.ok(y >= 100)
+        list.destroy()
+    })
+
+    it('throws an MQIllegalArgumentError without a row height', () => {
+        assert.throws(() => $.virtualList(c, {render}), {name: 'MQIllegalArgumentError'})
+    })
+})